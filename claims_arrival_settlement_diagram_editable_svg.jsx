@@ -5,6 +5,8 @@
 // - Each claim is a horizontal line from notification (circle) to settlement (final X)
 // - Partial payments are X marks along the line
 // - Sorted by notification date (earliest at top)
+// - Claims come from the shared simulator in utils/claimSimulator.js: a page loads that script before this
+//   file (it sets window.claimSimulator), otherwise it is required from ./utils/claimSimulator.js
 //
 // Splits:
 // - Train: notify < trainCut
@@ -382,6 +384,14 @@ function aggregateClaimToQuarters(claim, oneBasedDevQuarters = false, observatio
   };
 }
 
+// The shared simulator: the page's global when utils/claimSimulator.js was loaded as a script, else the module
+function loadClaimSimulator() {
+  if (typeof window !== 'undefined' && window.claimSimulator) return window.claimSimulator;
+  return require('./utils/claimSimulator.js');
+}
+
+// Claims from the shared simulator; this diagram's duration / partial-count controls map onto a uniform
+// settlement delay and the partial payment count.
 function generateClaims({
   n = 20,
   startDate,
@@ -391,88 +401,69 @@ function generateClaims({
   maxPartials = 3,
   seed = 1,
   dedupeMonthly = true,
-  observationEndDate, // Add parameter for inflation adjustment
 }) {
-  const rand = mulberry32(seed);
-  const claims = [];
-  const totalDays = Math.max(1, daysBetween(startDate, endDate));
-  const latestNotify = Math.max(0, totalDays - minDurDays);
-  // Static covariate options
-  const postcodes = ['2000', '3000', '4000', '5000', '6000', '7000', '1000'];
-  const claimTypes = ['Motor', 'Property', 'Liability', 'Workers Comp'];
-  const regions = ['Metro', 'Regional', 'Remote'];
-
-  for (let i = 0; i < n; i++) {
-    // Generate accident date (7-60 days before notification)
-    const accidentOffset = 7 + Math.floor(rand() * 54);
-    const notify = addDays(startDate, Math.floor(rand() * latestNotify));
-    const accident = addDays(notify, -accidentOffset);
-
-    const dur = minDurDays + Math.floor(rand() * Math.max(1, maxDurDays - minDurDays + 1));
-    const rawSettlement = addDays(notify, dur);
-    const settlement = rawSettlement > endDate ? endDate : rawSettlement;
-
-    // Generate payments (using original logic)
-    let k = Math.floor(rand() * (maxPartials + 1));
-    if (daysBetween(notify, settlement) < 2) k = 0;
-    let payments = [];
-    for (let j = 0; j < k; j++) {
-      const spanDays = Math.max(1, daysBetween(notify, settlement));
-      const t = addDays(notify, Math.floor(rand() * spanDays));
-      const amount = 1 + Math.floor(rand() * 9); // Random nominal amount 1-9
-
-      payments.push({
-        date: t,
-        amount: amount // Store nominal amount initially
-      });
-    }
-
-    // Filter, sort, and dedupe payments
-    payments = payments
-      .filter((p) => p.date > notify && p.date <= settlement)
-      .sort((a, b) => a.date.getTime() - b.date.getTime());
-
-    if (dedupeMonthly) {
-      const seen = new Set();
-      const deduped = [];
-      for (const p of payments) {
-        const key = monthKeyUTC(p.date);
-        if (!seen.has(key)) {
-          seen.add(key);
-          deduped.push(p);
-        } else {
-          // If same month, add amounts together
-          const existing = deduped.find(d => monthKeyUTC(d.date) === key);
-          if (existing) {
-            existing.amount += p.amount;
-          }
-        }
-      }
-      payments = deduped;
-    }
+  const { simulateClaims, simulatorParamsFromDurations } = loadClaimSimulator();
+  return simulateClaims({
+    n,
+    startDate,
+    endDate,
+    seed,
+    dedupeMonthly,
+    idPrefix: 'CLM-',
+    params: simulatorParamsFromDurations({ minDurDays, maxDurDays, maxPartials }),
+  });
+}
 
-    // Legacy partials for backward compatibility
-    const partials = payments.map(p => p.date);
+// -------------------- Split assignment export --------------------
+
+// Column order of the per-claim split assignment table (one record per diagram row; duplicated
+// claims in the "Both" mode appear twice, the copy pointing back at its primary row via duplicate_of).
+const ASSIGNMENT_COLUMNS = [
+  'row', 'claim_id', 'split_mode', 'dataset', 'is_censored', 'observed_end', 'is_duplicate',
+  'has_duplicate', 'duplicate_of', 'leak_until', 'accident', 'notify', 'settlement',
+];
+
+// Flatten buildRows output into plain records (dates as YYYY-MM-DD, missing values as null).
+function splitAssignmentRecords(rows, splitMode) {
+  const iso = (d) => (d ? toISODate(d) : null);
+  return rows.map((r, i) => ({
+    row: i,
+    claim_id: r.claim.staticCovariates ? r.claim.staticCovariates.claimId : null,
+    split_mode: splitMode,
+    dataset: r.dataset,
+    is_censored: !!r.isCensored,
+    observed_end: iso(r.observedEnd),
+    is_duplicate: !!r.isDuplicate,
+    has_duplicate: !!r.hasDuplicate,
+    duplicate_of: r.linkFrom != null ? r.linkFrom : null,
+    leak_until: iso(r.leakUntil),
+    accident: iso(r.claim.accident),
+    notify: iso(r.claim.notify),
+    settlement: iso(r.claim.settlement),
+  }));
+}
 
-    // Static covariates
-    const staticCovariates = {
-      postcode: postcodes[Math.floor(rand() * postcodes.length)],
-      claimType: claimTypes[Math.floor(rand() * claimTypes.length)],
-      region: regions[Math.floor(rand() * regions.length)],
-      claimId: `CLM-${String(i + 1).padStart(4, '0')}`
-    };
+function assignmentsToCsv(records) {
+  const esc = (v) => {
+    if (v == null) return '';
+    const s = String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [ASSIGNMENT_COLUMNS.join(',')];
+  for (const r of records) lines.push(ASSIGNMENT_COLUMNS.map((c) => esc(r[c])).join(','));
+  return lines.join('\n') + '\n';
+}
 
-    claims.push({
-      accident,
-      notify,
-      settlement,
-      partials, // for backward compatibility
-      payments, // new enhanced payment data
-      staticCovariates
-    });
-  }
-  claims.sort((a, b) => a.notify.getTime() - b.notify.getTime());
-  return claims;
+function downloadText(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
 }
 
 function XMark({ x, y, size = 6, strokeWidth = 2, color = 'currentColor', opacity = 1 }) {
@@ -846,6 +837,23 @@ function ClaimsDiagram() {
     URL.revokeObjectURL(url);
   }
 
+  // Per-claim split assignments exactly as drawn (current split mode and cutoffs)
+  function downloadAssignments(format) {
+    const records = splitAssignmentRecords(rows, splitMode);
+    const base = `split_assignments_${splitMode}`;
+    if (format === 'csv') {
+      downloadText(assignmentsToCsv(records), `${base}.csv`, 'text/csv;charset=utf-8');
+      return;
+    }
+    const payload = {
+      splitMode,
+      cutoffs: { train: toISODate(trainCut), val: toISODate(valCut), test: toISODate(testCut) },
+      observationEnd: toISODate(endDate),
+      rows: records,
+    };
+    downloadText(JSON.stringify(payload, null, 2), `${base}.json`, 'application/json');
+  }
+
   function formatTick(d) {
     const spanDays = daysBetween(startDate, endDate);
     if (spanDays > 365 * 3) return d.getUTCFullYear();
@@ -2164,6 +2172,12 @@ function ClaimsDiagram() {
               {/* <button onClick={downloadSVG} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50'>
                 Download SVG
               </button> */}
+              <button onClick={() => downloadAssignments('csv')} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Download per-claim split assignments as CSV'>
+                Export split CSV
+              </button>
+              <button onClick={() => downloadAssignments('json')} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Download per-claim split assignments as JSON'>
+                Export split JSON
+              </button>
               <button onClick={() => setSeedText(String(Date.now()))} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Randomise dataset'>Randomise dataset</button>
             </div>
             <div />
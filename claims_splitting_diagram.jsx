@@ -5,17 +5,50 @@
 // - Each claim is a horizontal line from notification (circle) to settlement (final X)
 // - Partial payments are X marks along the line
 // - Sorted by notification date (earliest at top)
+// - Simulated claims come from utils/claimSimulator.js (Poisson arrivals, delay / severity distributions, payment pattern)
 //
-// Splits:
+// Splits (defaults; the periods are a user-defined ordered list of named cutoffs, Train/Validation/Test out of the box):
 // - Train: notify < trainCut
 // - Val:   trainCut <= notify < valCut
 // - Test:  valCut   <= notify < testCut
-// - Post:  notify >= testCut (outside observation window)
+// - Post:  notify >= testCut (outside observation window); the last period's cutoff is always the observation end
+// - Accident mode applies the same cutoffs to the accident date instead of notify
+// - Stratified mode: within each value of a covariate, claims in notify order fill train, then val, then test
+//   in the portfolio's notify-split proportions, so each dataset keeps the overall covariate mix
+// - Calendar-row mode splits inside each claim: every development-quarter row goes to the dataset of its quarter-end date
+// - Random mode ignores trainCut/valCut: each claim observed by testCut goes to train/val/test by a hash of its id and the seed
 //
 // Censoring:
 // - If a claim's settlement is after its dataset cutoff, its observed segment ends at the cutoff with a square; the continuation is dashed & faded.
+// - In random mode the only cutoff is the observation end (testCut).
+// - In accident mode a claim not yet notified at its cutoff is censored before it is reported: only the
+//   accident-to-notify reporting delay up to the cutoff is observed, everything after it is dashed & faded.
 //
-// Duplication (data leakage illustration):
+// Reopened claims (statusEvents: open, closed, reopened, closed again; settlement is the final closure):
+// - Closed periods before a reopen are drawn as dotted gaps, with a bar at the interim closure and a triangle at the reopen.
+// - Because settlement is the final closure, a claim that looks closed at its cutoff but reopens after it is censored
+//   at the cutoff in the notify, notifyDup, accident, stratified and random modes; settlement mode assigns it to the
+//   period of its final closure; calendar-row mode keeps the closed quarters as rows of their own datasets.
+//
+// Recoveries (salvage, subrogation, refunds) are negative payments, drawn as a circled minus instead of a cross;
+// the split statistics report dollars net of them.
+//
+// Case-estimate revisions (optional): small arrows at the dates the claim's incurred estimate was revised, up for an
+// increase and down for a decrease, following the same visibility rules as the payments.
+//
+// Reporting delay (IBNR):
+// - Every claim's accident date is a small filled dot, joined to its notification by a dotted reporting-delay segment.
+// - Each cutoff shows the number of claims incurred but not reported on it (accident on or before, notification after),
+//   counting the simulated accidents still unreported at the end date, which have no row of their own.
+//
+// Calendar-quarter shocks (simulated data only): shaded bands over the quarters the simulator shocks, a court-award
+// step raising every later payment, a payment freeze pushing the quarter's payments and closures to the next quarter,
+// or a processing backlog delaying every claim open in it. A temporal split puts each shock in one dataset only.
+//
+// Embargo (optional):
+// - A gap of N days after every cutoff but the last; claims notified or settled inside a gap are purged to Unused or only flagged.
+//
+// Duplication (data leakage illustration; with more periods the same rule applies to each period and the next one):
 // - If a TRAIN claim is censored because settlement is strictly between trainCut and valCut,
 //   add a duplicate in VAL (immediately below). The VAL copy is not censored; the segment before trainCut is
 //   rendered dashed+faded to indicate overlap with train data.
@@ -88,6 +121,26 @@ function startOfMonthUTC(d) {
 function addMonthsUTC(d, n) {
   return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + n, 1));
 }
+// Nearest month or quarter boundary (cutoffs are exclusive, so a boundary is the 1st of the following period);
+// mode 'none' only drops the time of day.
+const CUTOFF_SNAP_OPTIONS = [
+  { id: 'none', label: 'Day' },
+  { id: 'month', label: 'Month' },
+  { id: 'quarter', label: 'Quarter' },
+];
+function snapCutoff(d, mode) {
+  if (mode !== 'month' && mode !== 'quarter') return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  const floor = new Date(Date.UTC(d.getUTCFullYear(), mode === 'quarter' ? Math.floor(d.getUTCMonth() / 3) * 3 : d.getUTCMonth(), 1));
+  const next = addMonthsUTC(floor, mode === 'quarter' ? 3 : 1);
+  return d.getTime() - floor.getTime() < next.getTime() - d.getTime() ? floor : next;
+}
+// Same day of month n months away (clamped to the month's last day), unlike addMonthsUTC which snaps to the 1st
+function shiftMonthsUTC(d, n) {
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth() + n;
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(d.getUTCDate(), lastDay)));
+}
 function generateSmartTicks(start, end, maxTicks = 10) {
   const spanDays = daysBetween(start, end);
   const ticks = [];
@@ -116,93 +169,978 @@ function generateSmartTicks(start, end, maxTicks = 10) {
   return ticks;
 }
 
-function generateClaims({
-  n = 20,
-  startDate,
-  endDate,
-  minDurDays = 30,
-  maxDurDays = 300,
-  maxPartials = 3,
-  seed = 1,
-  dedupeMonthly = true,
-}) {
-  const rand = mulberry32(seed);
-  const claims = [];
-  const totalDays = Math.max(1, daysBetween(startDate, endDate));
-  const latestNotify = Math.max(0, totalDays - minDurDays);
-  // Static covariate options
-  const postcodes = ['2000', '3000', '4000', '5000', '6000', '7000', '1000'];
-  const claimTypes = ['Motor', 'Property', 'Liability', 'Workers Comp'];
-  const regions = ['Metro', 'Regional', 'Remote'];
-
-  for (let i = 0; i < n; i++) {
-    const notifyDays = Math.floor(rand() * latestNotify);
-    const notify = addDays(startDate, notifyDays);
-    const remainingDays = daysBetween(notify, endDate);
-    const maxDur = Math.min(maxDurDays, remainingDays);
-    const durDays = Math.max(minDurDays, Math.floor(rand() * maxDur));
-    const settlement = addDays(notify, durDays);
-
-    // Generate partial payment dates
-    const numPartials = Math.floor(rand() * (maxPartials + 1));
-    const partialDates = [];
-    for (let j = 0; j < numPartials; j++) {
-      const partialDays = Math.floor(rand() * durDays);
-      partialDates.push(addDays(notify, partialDays));
+// -------------------- URL state --------------------
+
+// Query-string parameters of the current page (empty outside a browser).
+function readUrlParams() {
+  if (typeof window === 'undefined' || !window.location) return new URLSearchParams();
+  return new URLSearchParams(window.location.search);
+}
+
+// Replace the page's query string with `params` (null/empty values dropped) without adding a history entry.
+function writeUrlParams(params) {
+  if (typeof window === 'undefined' || !window.history || !window.history.replaceState) return;
+  const qs = new URLSearchParams();
+  for (const [k, v] of Object.entries(params)) {
+    if (v != null && v !== '') qs.set(k, String(v));
+  }
+  const search = qs.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+  window.history.replaceState(null, '', url);
+}
+
+// Integer URL parameter, or `fallback` when absent or not a number.
+function urlInt(params, key, fallback) {
+  const v = params.get(key);
+  const n = v == null ? NaN : parseInt(v, 10);
+  return isFinite(n) ? n : fallback;
+}
+
+// -------------------- Dataset periods --------------------
+// Ordered list of named periods, each ending (exclusively) at its cutoff. Cutoffs are matched to periods by
+// position after sorting, so the list order is the time order; claims after the last cutoff are 'post' (Unused).
+const DEFAULT_PERIODS = [
+  { id: 'train', label: 'Train', color: '#2563eb', cut: '2021-06-30' },
+  { id: 'val', label: 'Validation', color: '#f59e0b', cut: '2023-06-30' },
+  { id: 'test', label: 'Test', color: '#10b981', cut: '2025-01-01' },
+];
+const POST_COLOR = '#9ca3af';
+const PERIOD_PALETTE = ['#2563eb', '#f59e0b', '#10b981', '#8b5cf6', '#ef4444', '#0891b2', '#db2777', '#65a30d'];
+const RESERVED_DATASET_IDS = ['post', 'all'];
+
+// A usable copy of a saved / linked period list, or null when it cannot be used.
+function normalisePeriods(list) {
+  if (!Array.isArray(list) || !list.length) return null;
+  const seen = new Set();
+  const out = [];
+  for (let i = 0; i < list.length; i++) {
+    const p = list[i];
+    if (!p || typeof p.id !== 'string' || !p.id || seen.has(p.id) || RESERVED_DATASET_IDS.includes(p.id)) return null;
+    seen.add(p.id);
+    out.push({
+      id: p.id,
+      label: p.label ? String(p.label) : p.id,
+      color: /^#[0-9a-f]{6}$/i.test(p.color) ? p.color : PERIOD_PALETTE[i % PERIOD_PALETTE.length],
+      cut: p.cut ? String(p.cut) : '',
+    });
+  }
+  return out;
+}
+
+// periods=[[id, label, color, cut], ...] as JSON; older links carry train/val/test dates for the default periods.
+function periodsFromUrl(params) {
+  const raw = params.get('periods');
+  if (raw) {
+    try {
+      const periods = normalisePeriods(JSON.parse(raw).map(([id, label, color, cut]) => ({ id, label, color, cut })));
+      if (periods) return periods;
+    } catch (e) {
+      // fall back to the defaults below
     }
-    partialDates.sort((a, b) => a.getTime() - b.getTime());
+  }
+  return DEFAULT_PERIODS.map((p) => ({ ...p, cut: params.get(p.id) || p.cut }));
+}
+function periodsToUrl(periods) {
+  return JSON.stringify(periods.map((p) => [p.id, p.label, p.color, p.cut]));
+}
 
-    // Generate amounts for partials and total
-    const amounts = [];
-    let totalAmount = 10000 + rand() * 90000; // $10k-$100k
-    let remainingAmount = totalAmount;
+function nextPeriodId(periods) {
+  let n = periods.length + 1;
+  while (periods.some((p) => p.id === `p${n}`)) n += 1;
+  return `p${n}`;
+}
+
+// Dataset of a date: the first period whose cutoff is after it, else 'post'.
+function datasetForDate(d, cuts, ids) {
+  for (let i = 0; i < cuts.length; i++) {
+    if (d < cuts[i]) return ids[i];
+  }
+  return 'post';
+}
 
-    for (let j = 0; j < numPartials; j++) {
-      const partialAmount = remainingAmount * (0.1 + rand() * 0.3); // 10-40% of remaining
-      amounts.push(partialAmount);
-      remainingAmount -= partialAmount;
+// -------------------- Claim simulation --------------------
+// Claims come from the shared stochastic simulator in utils/claimSimulator.js (loaded by splitting.html before this
+// file): Poisson accident arrivals, notification / settlement delay and severity distributions, and a payment pattern.
+const {
+  DISTRIBUTIONS: SIM_DISTRIBUTIONS,
+  ARRIVAL_MODELS: SIM_ARRIVAL_MODELS,
+  DEFAULT_SIMULATOR_PARAMS,
+  normaliseSimulatorParams,
+  simulatorParamsFromDurations,
+  simulatorParamsFromUrl,
+  simulatorParamsToUrl,
+  simulatePortfolio,
+  SHOCK_TYPES,
+  shockWindow,
+  ibnrCountAt,
+  claimStatusAt,
+  closedGaps,
+  reopenDates,
+  buildStatusEvents,
+  isRecovery,
+  grossNetAmounts,
+  buildCaseEstimates,
+  caseEstimateRevisions,
+} = window.claimSimulator;
+
+// -------------------- Scenario files --------------------
+
+// A scenario file is { format, version, page, savedAt, ...sections } where the sections (controls, data,
+// selectedClaimId, ...) are page-specific. Bump SCENARIO_VERSION whenever the meaning of a saved field changes
+// and add the upgrade to SCENARIO_MIGRATIONS; merely adding a control only needs a default in SCENARIO_DEFAULTS.
+const SCENARIO_FORMAT = 'individual-reserving-scenario';
+const SCENARIO_VERSION = 3;
+// SCENARIO_MIGRATIONS[v] upgrades a version-v scenario to version v + 1.
+const SCENARIO_MIGRATIONS = {
+  // v2: the three fixed cutoffs became a list of named periods, and the random split's train/val
+  // percentages a positional list (one per period but the last)
+  1: (scenario) => {
+    const { trainCut, valCut, testCut, randomTrainPct, randomValPct, ...controls } = scenario.controls || {};
+    const cuts = [trainCut, valCut, testCut];
+    if (cuts.some((c) => c != null)) {
+      controls.periods = DEFAULT_PERIODS.map((p, i) => ({ ...p, cut: cuts[i] != null ? cuts[i] : p.cut }));
     }
-    // Final payment gets remaining amount
-    amounts.push(remainingAmount);
+    if (randomTrainPct != null || randomValPct != null) controls.randomPcts = [randomTrainPct ?? 60, randomValPct ?? 20];
+    return { ...scenario, controls };
+  },
+  // v3: the uniform duration / partial-count knobs became claim simulator parameters
+  2: (scenario) => {
+    const { minDurDays, maxDurDays, maxPartials, ...controls } = scenario.controls || {};
+    return { ...scenario, controls: { ...controls, simulator: simulatorParamsFromDurations({ minDurDays, maxDurDays, maxPartials }) } };
+  },
+};
+// Every saved control of this page; a scenario saved before a control existed loads with its default.
+const SCENARIO_DEFAULTS = {
+  controls: {
+    numClaims: 20,
+    startDate: '2020-01-01',
+    endDate: '2025-01-01',
+    simulator: DEFAULT_SIMULATOR_PARAMS,
+    seedText: 'insurer-diagram',
+    dedupeMonthly: true,
+    splitMode: 'settlement',
+    stratifyBy: 'claimType',
+    randomPcts: [60, 20],
+    periods: DEFAULT_PERIODS,
+    cutoffSnap: 'month',
+    embargoDays: 0,
+    embargoAction: 'purge',
+    cvEnabled: false,
+    cvFolds: 4,
+    cvStepMonths: 6,
+    axisTicks: 10,
+    label: 'Date',
+    rowGap: 20,
+    margins: { left: 70, right: 24, top: 28, bottom: 52 },
+  },
+  data: { source: 'simulated', customJson: null, csvText: null, csvMapping: null }, // null keeps the page's current text
+  selectedClaimId: null,
+};
 
-    // Create payment objects
-    const payments = [];
-    for (let j = 0; j < partialDates.length; j++) {
-      payments.push({
-        date: partialDates[j],
-        amount: amounts[j],
-      });
+const DATA_SOURCES = [{ id: 'simulated', label: 'Simulated' }, { id: 'json', label: 'Custom JSON' }, { id: 'csv', label: 'CSV import' }];
+
+// A saved control value, or its default when the file holds something unusable
+function isoDateOr(v, fallback) {
+  return typeof v === 'string' && !isNaN(new Date(v).getTime()) ? v : fallback;
+}
+function numberOr(v, fallback, min = -Infinity) {
+  const n = Number(v);
+  return v != null && v !== '' && isFinite(n) ? Math.max(min, n) : fallback;
+}
+
+function buildScenario(page, sections) {
+  return { format: SCENARIO_FORMAT, version: SCENARIO_VERSION, page, savedAt: new Date().toISOString(), ...sections };
+}
+
+// Parse, migrate and default-fill a scenario file. Returns { scenario, error } (scenario is null on error).
+function readScenario(text, page, defaults) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    return { scenario: null, error: `Invalid JSON: ${e.message}` };
+  }
+  if (!raw || raw.format !== SCENARIO_FORMAT) return { scenario: null, error: 'Not a scenario file' };
+  if (raw.page !== page) return { scenario: null, error: `This scenario was saved from the ${raw.page} page` };
+  // Files from before versioning carry no version and read as version 1
+  let version = raw.version == null ? 1 : Number(raw.version);
+  if (!Number.isInteger(version) || version < 1) return { scenario: null, error: `Invalid scenario version: ${raw.version}` };
+  if (version > SCENARIO_VERSION) {
+    return { scenario: null, error: `Scenario version ${version} is newer than this page supports (${SCENARIO_VERSION})` };
+  }
+  let scenario = raw;
+  while (version < SCENARIO_VERSION) {
+    const migrate = SCENARIO_MIGRATIONS[version];
+    if (typeof migrate !== 'function') return { scenario: null, error: `No upgrade from scenario version ${version}` };
+    try {
+      scenario = migrate(scenario);
+    } catch (e) {
+      return { scenario: null, error: `Could not upgrade scenario version ${version}: ${e.message}` };
     }
-    // Final settlement payment
-    payments.push({
-      date: settlement,
-      amount: amounts[amounts.length - 1],
-    });
+    version += 1;
+  }
+  // Fill anything the file predates from the page defaults (one level deep for grouped sections)
+  const filled = { ...scenario, version };
+  for (const [key, def] of Object.entries(defaults)) {
+    const isGroup = def && typeof def === 'object' && !Array.isArray(def);
+    filled[key] = isGroup ? { ...def, ...(scenario[key] || {}) } : (scenario[key] ?? def);
+  }
+  return { scenario: filled, error: null };
+}
+
+// -------------------- CSV import --------------------
+
+// Columns a CSV extract can be mapped onto. One CSV row is either a whole claim, or (when a
+// claim ID column is mapped) one payment of a claim; rows sharing a claim ID are grouped.
+const CSV_FIELDS = [
+  { id: 'claimId', label: 'Claim ID', required: false, guess: /claim.?(id|no|num)|^id$/i },
+  { id: 'accident', label: 'Accident date', required: false, guess: /accident|loss.?date|occur/i },
+  { id: 'notify', label: 'Notification date', required: true, guess: /notif|report/i },
+  { id: 'settlement', label: 'Settlement date', required: true, guess: /settle|clos/i },
+  { id: 'paymentDate', label: 'Payment date', required: false, guess: /pa(y|id).*date|trans.*date|txn.*date/i },
+  { id: 'amount', label: 'Payment amount', required: false, guess: /amount|paid|payment|value/i },
+  { id: 'claimType', label: 'Claim type', required: false, guess: /type|class/i },
+  { id: 'region', label: 'Region', required: false, guess: /region|state/i },
+  { id: 'postcode', label: 'Postcode', required: false, guess: /post.?code|zip/i },
+];
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF line endings.
+// Returns { header: string[], records: { line, cells: string[] }[] } with blank lines removed; line is the
+// record's 1-based line in the file.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Keep the original line number so errors can point back at the file
+  const numbered = rows.map((r, i) => ({ line: i + 1, cells: r })).filter((r) => r.cells.some((c) => c.trim() !== ''));
+  if (!numbered.length) return { header: [], records: [] };
+  const header = numbered[0].cells.map((h) => h.trim());
+  return { header, records: numbered.slice(1) };
+}
+
+// Suggest a column for each CSV field from the header names (each column used at most once).
+function guessCsvMapping(header) {
+  const mapping = {};
+  const used = new Set();
+  for (const f of CSV_FIELDS) {
+    const col = header.find((h) => !used.has(h) && f.guess.test(h));
+    mapping[f.id] = col || '';
+    if (col) used.add(col);
+  }
+  return mapping;
+}
+
+// CSV dates are ISO strings (YYYY-MM-DD...) or plain numbers of days since Start date.
+function parseCsvDate(value, baseStart) {
+  const v = (value || '').trim();
+  if (v === '') return null;
+  if (/^-?\d+(\.\d+)?$/.test(v)) return parseMaybeDate(Number(v), baseStart);
+  if (/^\d{4}-\d{1,2}-\d{1,2}/.test(v)) return parseMaybeDate(v, baseStart);
+  return undefined; // present but unparseable
+}
 
-    // Generate accident date (before or same as notify)
-    const maxAccidentLag = 365; // up to 1 year before notify
-    const accidentLagDays = Math.floor(rand() * maxAccidentLag);
-    const accident = addDays(notify, -accidentLagDays);
+// Money cell; "(1,250.00)" is an accounting negative (a recovery)
+function parseCsvAmount(value) {
+  let v = (value || '').trim().replace(/[$,\s]/g, '');
+  if (v === '') return null;
+  const negative = /^\(.*\)$/.test(v);
+  if (negative) v = v.slice(1, -1);
+  const n = Number(v);
+  if (!isFinite(n) || (negative && n < 0)) return undefined;
+  return negative ? -n : n;
+}
+
+// Build claim objects from parsed CSV records. Never drops a row silently: every
+// record that cannot be used is reported in `errors` as { line, claimId, message }.
+function claimsFromCsv({ header, records }, mapping, { startDate, dedupeMonthly }) {
+  const errors = [];
+  const missing = CSV_FIELDS.filter((f) => f.required && !mapping[f.id]);
+  if (missing.length) {
+    errors.push({ line: 1, claimId: null, message: `Map a column for: ${missing.map((f) => f.label).join(', ')}` });
+    return { claims: [], errors };
+  }
+  const colIndex = {};
+  for (const f of CSV_FIELDS) colIndex[f.id] = mapping[f.id] ? header.indexOf(mapping[f.id]) : -1;
+  const cell = (rec, id) => (colIndex[id] >= 0 ? (rec.cells[colIndex[id]] || '').trim() : '');
+
+  const groups = new Map();
+  for (const rec of records) {
+    const id = colIndex.claimId >= 0 ? cell(rec, 'claimId') : `CSV${String(rec.line - 1).padStart(4, '0')}`;
+    if (!id) {
+      errors.push({ line: rec.line, claimId: null, message: 'Missing claim ID' });
+      continue;
+    }
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(rec);
+  }
+
+  const claims = [];
+  for (const [claimId, recs] of groups) {
+    const dates = { accident: null, notify: null, settlement: null };
+    const covariates = {};
+    const payments = [];
+    let ok = true;
+    for (const rec of recs) {
+      for (const key of Object.keys(dates)) {
+        const raw = cell(rec, key);
+        const d = parseCsvDate(raw, startDate);
+        if (d === undefined) {
+          errors.push({ line: rec.line, claimId, message: `Unparseable ${key} date "${raw}"` });
+          ok = false;
+        } else if (d && dates[key] && d.getTime() !== dates[key].getTime()) {
+          errors.push({ line: rec.line, claimId, message: `Conflicting ${key} date "${raw}" (expected ${toISODate(dates[key])})` });
+          ok = false;
+        } else if (d && !dates[key]) {
+          dates[key] = d;
+        }
+      }
+      for (const key of ['claimType', 'region', 'postcode']) {
+        if (!covariates[key] && cell(rec, key)) covariates[key] = cell(rec, key);
+      }
+      const rawDate = cell(rec, 'paymentDate');
+      const rawAmount = cell(rec, 'amount');
+      if (rawDate === '' && rawAmount === '') continue;
+      const date = parseCsvDate(rawDate, startDate);
+      const amount = parseCsvAmount(rawAmount);
+      if (!date) {
+        errors.push({ line: rec.line, claimId, message: rawDate ? `Unparseable payment date "${rawDate}"` : 'Payment amount without a payment date' });
+        ok = false;
+      } else if (amount === undefined || amount === null) {
+        errors.push({ line: rec.line, claimId, message: rawAmount ? `Unparseable amount "${rawAmount}"` : 'Payment date without an amount' });
+        ok = false;
+      } else {
+        payments.push({ date, amount });
+      }
+    }
+    if (!ok) continue;
+    const firstLine = recs[0].line;
+    if (!dates.notify || !dates.settlement) {
+      errors.push({ line: firstLine, claimId, message: `Missing ${!dates.notify ? 'notification' : 'settlement'} date` });
+      continue;
+    }
+    if (dates.settlement < dates.notify) {
+      errors.push({ line: firstLine, claimId, message: 'Settlement date is before notification date' });
+      continue;
+    }
 
-    const claim = {
+    payments.sort((a, b) => a.date.getTime() - b.date.getTime());
+    const partialDates = payments.filter((p) => !isRecovery(p)).map((p) => p.date).filter((d) => d < dates.settlement);
+    const accident = dates.accident || addDays(dates.notify, -30); // Default 30 days before notification
+    claims.push({
       accident,
-      notify,
-      settlement,
+      notify: dates.notify,
+      settlement: dates.settlement,
       partials: dedupeMonthly ? dedupeByCalendarMonth(partialDates) : partialDates,
+      recoveries: payments.filter(isRecovery).map((p) => p.date),
       payments,
       staticCovariates: {
-        claimId: `CL${String(i + 1).padStart(4, '0')}`,
-        postcode: postcodes[Math.floor(rand() * postcodes.length)],
-        claimType: claimTypes[Math.floor(rand() * claimTypes.length)],
-        region: regions[Math.floor(rand() * regions.length)],
+        claimId,
+        postcode: covariates.postcode || '',
+        claimType: covariates.claimType || '',
+        region: covariates.region || '',
         policyYear: accident.getUTCFullYear(),
-        totalAmount: totalAmount,
+        totalAmount: payments.reduce((s, p) => s + p.amount, 0),
       },
-    };
-    claims.push(claim);
+    });
   }
   claims.sort((a, b) => a.notify.getTime() - b.notify.getTime());
-  return claims;
+  errors.sort((a, b) => a.line - b.line);
+  return { claims, errors };
+}
+
+// -------------------- Split assignment export --------------------
+
+// Column order of the per-claim split assignment table (one record per diagram row; duplicated
+// claims in the "Both" mode appear twice, the copy pointing back at its primary row via duplicate_of;
+// moved_from is the notify-date dataset of a claim the stratified mode placed elsewhere, or the dataset an
+// embargo purged it from; embargo is 'purged' / 'flagged' for claims touching an embargo gap; reopens counts
+// the claim's reopen events; paid_gross / recovered / paid_net are the claim's payments in full, not only the
+// part seen in its dataset).
+// In cross-validation mode every fold contributes its own rows; fold is empty otherwise.
+const ASSIGNMENT_COLUMNS = [
+  'row', 'claim_id', 'split_mode', 'fold', 'dataset', 'is_censored', 'observed_end', 'is_duplicate',
+  'has_duplicate', 'duplicate_of', 'leak_until', 'moved_from', 'embargo', 'accident', 'notify', 'settlement',
+  'reopens', 'paid_gross', 'recovered', 'paid_net',
+];
+
+// Flatten buildRows output into plain records (dates as YYYY-MM-DD, missing values as null).
+function splitAssignmentRecords(rows, splitMode, fold = null) {
+  const iso = (d) => (d ? toISODate(d) : null);
+  return rows.map((r, i) => {
+    const amounts = grossNetAmounts(r.claim.payments);
+    return {
+      row: i,
+      claim_id: r.claim.staticCovariates ? r.claim.staticCovariates.claimId : null,
+      split_mode: splitMode,
+      fold,
+      dataset: r.dataset,
+      is_censored: !!r.isCensored,
+      observed_end: iso(r.observedEnd),
+      is_duplicate: !!r.isDuplicate,
+      has_duplicate: !!r.hasDuplicate,
+      duplicate_of: r.linkFrom != null ? r.linkFrom : null,
+      leak_until: iso(r.leakUntil),
+      moved_from: r.movedFrom || r.purgedFrom || null,
+      embargo: r.embargo || null,
+      accident: iso(r.claim.accident),
+      notify: iso(r.claim.notify),
+      settlement: iso(r.claim.settlement),
+      reopens: reopenDates(r.claim).length,
+      paid_gross: amounts.gross,
+      recovered: amounts.recovered,
+      paid_net: amounts.net,
+    };
+  });
+}
+
+function assignmentsToCsv(records) {
+  const esc = (v) => {
+    if (v == null) return '';
+    const s = String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [ASSIGNMENT_COLUMNS.join(',')];
+  for (const r of records) lines.push(ASSIGNMENT_COLUMNS.map((c) => esc(r[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+function downloadText(content, filename, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// -------------------- Figure export (PNG / PDF) --------------------
+
+const CSS_PX_PER_INCH = 96;
+
+// Drawing size of an SVG element in CSS pixels: its viewBox, else its on-screen size, else its width/height attributes.
+function svgPixelSize(svgEl) {
+  const vb = svgEl.viewBox && svgEl.viewBox.baseVal;
+  if (vb && vb.width > 0 && vb.height > 0) return { width: vb.width, height: vb.height };
+  const rect = svgEl.getBoundingClientRect ? svgEl.getBoundingClientRect() : null;
+  if (rect && rect.width > 0 && rect.height > 0) return { width: rect.width, height: rect.height };
+  return { width: Number(svgEl.getAttribute('width')) || 800, height: Number(svgEl.getAttribute('height')) || 400 };
+}
+
+// Standalone SVG markup for an on-screen SVG: explicit pixel width/height (so "100%" widths rasterise
+// at the drawing size) and a viewBox matching the coordinates the figure was drawn in.
+function serializeSvgForExport(svgEl) {
+  const { width, height } = svgPixelSize(svgEl);
+  const clone = svgEl.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  if (!clone.getAttribute('viewBox')) clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  clone.setAttribute('width', String(width));
+  clone.setAttribute('height', String(height));
+  return new XMLSerializer().serializeToString(clone);
+}
+
+// CRC-32 (PNG chunk checksums)
+let crc32Table = null;
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Insert a pHYs chunk after IHDR so Word/PowerPoint place the PNG at its intended physical size.
+function setPngDpi(pngBytes, dpi) {
+  const ppm = Math.round(dpi / 0.0254); // pixels per metre
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, ppm);
+  view.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  const ihdrEnd = 8 + 25; // signature + IHDR chunk
+  const out = new Uint8Array(pngBytes.length + chunk.length);
+  out.set(pngBytes.subarray(0, ihdrEnd), 0);
+  out.set(chunk, ihdrEnd);
+  out.set(pngBytes.subarray(ihdrEnd), ihdrEnd + chunk.length);
+  return out;
+}
+
+// Rasterise an SVG element to a PNG at `dpi` (96 = on-screen size) with a white background.
+function downloadSvgAsPng(svgEl, filename, dpi = 300) {
+  const { width, height } = svgPixelSize(svgEl);
+  const scale = dpi / CSS_PX_PER_INCH;
+  const url = URL.createObjectURL(new Blob([serializeSvgForExport(svgEl)], { type: 'image/svg+xml;charset=utf-8' }));
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error('PNG encoding failed'));
+          return;
+        }
+        blob.arrayBuffer().then((buf) => {
+          downloadText(new Blob([setPngDpi(new Uint8Array(buf), dpi)], { type: 'image/png' }), filename);
+          resolve();
+        }).catch(reject);
+      }, 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render the SVG as an image'));
+    };
+    img.src = url;
+  });
+}
+
+// Vector PDF of an SVG element, one page sized to the figure. Uses jsPDF + svg2pdf.js, loaded from a CDN by splitting.html.
+function downloadSvgAsPdf(svgEl, filename) {
+  const jsPDF = window.jspdf && window.jspdf.jsPDF;
+  if (!jsPDF || !(jsPDF.API.svg || window.svg2pdf)) {
+    return Promise.reject(new Error('PDF export libraries (jsPDF, svg2pdf.js) are not loaded'));
+  }
+  const { width, height } = svgPixelSize(svgEl);
+  const pt = 72 / CSS_PX_PER_INCH;
+  const doc = new jsPDF({ orientation: width >= height ? 'landscape' : 'portrait', unit: 'pt', format: [width * pt, height * pt] });
+  const opts = { x: 0, y: 0, width: width * pt, height: height * pt };
+  const render = doc.svg ? doc.svg(svgEl, opts) : window.svg2pdf.svg2pdf(svgEl, doc, opts);
+  return render.then(() => doc.save(filename));
+}
+
+// -------------------- Random split --------------------
+// Uniform [0, 1) draw keyed on the claim id and the seed text, so a claim keeps its dataset across redraws
+// and reorderings. The FNV hash alone is poorly mixed in its high bits, so it seeds one mulberry32 step.
+function hashedUniform(claimId, seedText) {
+  return mulberry32(hashStringToSeed(`${seedText}|${claimId}`))();
+}
+
+// Percentages for every period from the first N - 1 entered ones (each capped at what is left); the last takes the rest.
+function randomShares(pcts, numPeriods) {
+  const shares = [];
+  let left = 100;
+  for (let i = 0; i < numPeriods - 1; i++) {
+    const v = Math.min(left, Math.max(0, Number(pcts[i]) || 0));
+    shares.push(v);
+    left -= v;
+  }
+  shares.push(left);
+  return shares;
+}
+
+function datasetForRandom(claimId, seedText, shares, ids) {
+  const u = hashedUniform(claimId, seedText) * 100;
+  let acc = 0;
+  for (let i = 0; i < ids.length - 1; i++) {
+    acc += shares[i];
+    if (u < acc) return ids[i];
+  }
+  return ids[ids.length - 1];
+}
+
+// -------------------- Calendar-quarter rows --------------------
+function quarterStartUTC(d) {
+  return new Date(Date.UTC(d.getUTCFullYear(), Math.floor(d.getUTCMonth() / 3) * 3, 1));
+}
+
+// Development-quarter rows of a claim, from its notification quarter to the quarter holding the earlier of settlement
+// and the observation end. Each row is evaluated at its quarter's last day and takes the dataset that date falls in.
+function calendarQuarterRows(claim, observationEnd, datasetAt) {
+  const last = claim.settlement < observationEnd ? claim.settlement : observationEnd;
+  const out = [];
+  for (let q = quarterStartUTC(claim.notify), dev = 0; q <= last; q = addMonthsUTC(q, 3), dev++) {
+    const next = addMonthsUTC(q, 3);
+    const evalDate = addDays(next, -1);
+    out.push({ devQuarter: dev, start: q, end: next, evalDate, dataset: datasetAt(evalDate) });
+  }
+  return out;
+}
+
+// -------------------- Reopened claims --------------------
+// How a reopen after a cutoff affects censoring, per split mode (shown when the data contains reopened claims)
+const REOPEN_CENSORING = {
+  notify: 'A claim closed at its cutoff that reopens after it is censored at the cutoff: its reopened development is unseen future data.',
+  settlement: 'Claims go to the period of their final closure, so a claim closed before a cutoff but reopened after it moves to a later period; nothing is censored by a reopen, but the assignment uses the future reopen.',
+  notifyDup: 'A claim closed at its cutoff that reopens after it is censored there and duplicated into the next period, where the reopen is observed.',
+  accident: 'As notify mode, by accident date: a claim closed at its cutoff that reopens after it is censored at the cutoff.',
+  random: 'A claim closed at the observation end that reopens after it is censored at the observation end.',
+  stratified: 'As notify mode: a claim closed at its cutoff that reopens after it is censored at the cutoff.',
+  calendarRow: 'Quarters while closed stay rows of their own calendar dataset; the rows after a reopen fall into the datasets of their quarters.',
+};
+
+// Primary rows of claims that look closed at their observed end but reopen later (censored by the reopen)
+function closedAtCutoffRows(rows) {
+  return rows.filter((r) => !r.isDuplicate && r.isCensored && r.observedEnd && claimStatusAt(r.claim, r.observedEnd) === 'closed');
+}
+
+// -------------------- Embargo --------------------
+const EMBARGO_ACTIONS = [
+  { id: 'purge', label: 'Purge' },
+  { id: 'flag', label: 'Flag' },
+];
+
+// [from, to) gap of `days` after every cutoff but the last (the observation end).
+function embargoWindows(cuts, days) {
+  return days > 0 ? cuts.slice(0, -1).map((c) => ({ from: c, to: addDays(c, days) })) : [];
+}
+
+// Marks every row of a claim notified or settled inside a gap: 'purge' moves it to 'post' (keeping the dataset
+// it would have had in purgedFrom), 'flag' leaves it in place. Row order is kept, so linkFrom indexes stay valid.
+function applyEmbargo(rows, cuts, days, action) {
+  const gaps = embargoWindows(cuts, days);
+  if (!gaps.length) return rows;
+  const inGap = (d) => gaps.some((g) => d >= g.from && d < g.to);
+  return rows.map((r) => {
+    if (!inGap(r.claim.notify) && !inGap(r.claim.settlement)) return r;
+    if (action === 'flag') return { ...r, embargo: 'flagged' };
+    return {
+      ...r,
+      dataset: 'post',
+      purgedFrom: r.dataset,
+      embargo: 'purged',
+      quarterRows: r.quarterRows ? r.quarterRows.map((q) => ({ ...q, dataset: 'post' })) : r.quarterRows,
+    };
+  });
+}
+
+// -------------------- Leakage audit --------------------
+// What each row of buildRows output exposes: [from, through] windows in one dataset. Duplicates show their whole
+// history (the leaked part included); row-level lines expose each quarter to its own dataset.
+function rowWindows(r, observationEnd) {
+  const c = r.claim;
+  if (r.quarterRows) {
+    return r.quarterRows.map((q) => ({ dataset: q.dataset, from: q.start, to: addDays(q.end, -1) }));
+  }
+  let through = r.isDuplicate ? c.settlement : r.isCensored && r.observedEnd ? r.observedEnd : c.settlement;
+  if (through > observationEnd) through = observationEnd;
+  return [{ dataset: r.dataset, from: c.notify, to: through }];
+}
+
+// Counts the payments, dollars and development-quarter rows that are visible in more than one dataset, and flags
+// claims whose target (development observed after the features) runs past the cutoff of a dataset they sit in.
+function leakageAudit(rows, cuts, ids) {
+  const cutoffOf = Object.fromEntries(ids.map((id, i) => [id, cuts[i]]));
+  const observationEnd = cuts[cuts.length - 1];
+  const windowsByClaim = new Map();
+  for (const r of rows) {
+    const id = r.claim.staticCovariates.claimId;
+    if (!windowsByClaim.has(id)) windowsByClaim.set(id, { claim: r.claim, windows: [] });
+    const entry = windowsByClaim.get(id);
+    for (const w of rowWindows(r, observationEnd)) if (cutoffOf[w.dataset] && w.to >= w.from) entry.windows.push(w);
+  }
+  const audit = { payments: 0, overlapPayments: 0, dollars: 0, overlapDollars: 0, quarterRows: 0, overlapQuarterRows: 0, flagged: [] };
+  const datasetsCovering = (windows, from, to) => new Set(windows.filter((w) => w.from <= to && w.to >= from).map((w) => w.dataset));
+  for (const [claimId, { claim, windows }] of windowsByClaim) {
+    if (!windows.length) continue;
+    for (const p of claim.payments || []) {
+      const seen = datasetsCovering(windows, p.date, p.date);
+      if (!seen.size) continue;
+      audit.payments += 1;
+      audit.dollars += p.amount;
+      if (seen.size > 1) {
+        audit.overlapPayments += 1;
+        audit.overlapDollars += p.amount;
+      }
+    }
+    const lastSeen = windows.reduce((m, w) => (w.to > m ? w.to : m), windows[0].to);
+    for (let q = quarterStartUTC(claim.notify); q <= lastSeen; q = addMonthsUTC(q, 3)) {
+      const seen = datasetsCovering(windows, q, addDays(addMonthsUTC(q, 3), -1));
+      if (!seen.size) continue;
+      audit.quarterRows += 1;
+      if (seen.size > 1) audit.overlapQuarterRows += 1;
+    }
+    const crossing = windows.find((w) => lastSeen > cutoffOf[w.dataset]);
+    if (crossing) audit.flagged.push({ claimId, dataset: crossing.dataset, cutoff: cutoffOf[crossing.dataset], observedThrough: lastSeen });
+  }
+  return audit;
+}
+
+// -------------------- Split statistics --------------------
+// Per dataset: distinct claims, development-quarter training rows, share of censored rows, dollars paid (net of
+// recoveries) and recovered inside the dataset's observed windows and mean observed duration; plus the claims left Unused ('post', purged ones included)
+// and the claims the embargo purged or flagged.
+function splitStatistics(rows, observationEnd, ids) {
+  const datasets = {};
+  for (const d of ids) datasets[d] = { claims: new Set(), rows: 0, censored: 0, trainingRows: 0, paid: 0, recovered: 0, durationDays: 0 };
+  const unused = new Set();
+  const embargoed = new Set();
+  for (const r of rows) {
+    const c = r.claim;
+    if (r.embargo) embargoed.add(c.staticCovariates.claimId);
+    if (r.dataset === 'post') {
+      unused.add(c.staticCovariates.claimId);
+      continue;
+    }
+    const stats = datasets[r.dataset];
+    stats.claims.add(c.staticCovariates.claimId);
+    stats.rows += 1;
+    if (r.isCensored) stats.censored += 1;
+    for (const w of rowWindows(r, observationEnd)) {
+      const target = datasets[w.dataset];
+      if (!target || w.to < w.from) continue;
+      for (let q = quarterStartUTC(w.from); q <= w.to; q = addMonthsUTC(q, 3)) target.trainingRows += 1;
+      for (const p of c.payments || []) {
+        if (p.date < w.from || p.date > w.to) continue;
+        target.paid += p.amount;
+        if (isRecovery(p)) target.recovered -= p.amount;
+      }
+    }
+    const observedTo = r.isCensored && r.observedEnd ? r.observedEnd : c.settlement;
+    stats.durationDays += Math.max(0, daysBetween(c.notify, observedTo < observationEnd ? observedTo : observationEnd));
+  }
+  const out = { unused: unused.size, embargoed: embargoed.size, datasets: {} };
+  for (const d of ids) {
+    const s = datasets[d];
+    out.datasets[d] = {
+      claims: s.claims.size,
+      trainingRows: s.trainingRows,
+      censoredPct: s.rows ? (s.censored / s.rows) * 100 : null,
+      paid: s.paid,
+      recovered: s.recovered,
+      meanDurationDays: s.rows ? s.durationDays / s.rows : null,
+    };
+  }
+  return out;
+}
+
+// -------------------- Stratified split --------------------
+const STRATIFY_COVARIATES = [
+  { id: 'claimType', label: 'Claim type' },
+  { id: 'region', label: 'Region' },
+  { id: 'postcode', label: 'Postcode' },
+];
+
+function covariateValue(claim, key) {
+  const v = claim.staticCovariates ? claim.staticCovariates[key] : null;
+  return v == null || v === '' ? '(missing)' : String(v);
+}
+
+// claimId -> dataset for every claim whose temporal (notify) dataset is not 'post'. Each stratum, kept in notify order,
+// is cut at the portfolio's cumulative period shares, so claims only move across a cutoff when their
+// stratum is over- or under-represented on that side of it.
+function stratifiedAssignments(claims, key, temporalDataset, ids) {
+  const observed = claims.filter((c) => temporalDataset(c) !== 'post');
+  const n = observed.length;
+  const assigned = new Map();
+  if (!n) return assigned;
+  const cumulative = [];
+  let acc = 0;
+  for (const id of ids) {
+    acc += observed.filter((c) => temporalDataset(c) === id).length / n;
+    cumulative.push(acc);
+  }
+  const strata = new Map();
+  for (const c of observed) {
+    const v = covariateValue(c, key);
+    if (!strata.has(v)) strata.set(v, []);
+    strata.get(v).push(c);
+  }
+  for (const group of strata.values()) {
+    group.sort((a, b) => a.notify.getTime() - b.notify.getTime());
+    const bounds = cumulative.map((cum) => Math.round(group.length * cum));
+    group.forEach((c, i) => {
+      const k = bounds.findIndex((b) => i < b);
+      assigned.set(c.staticCovariates.claimId, ids[k < 0 ? ids.length - 1 : k]);
+    });
+  }
+  return assigned;
+}
+
+// Per-covariate-value share of each dataset (primary rows only) and its deviation from the mix over all periods.
+function covariateBalance(rows, key, ids) {
+  const primary = rows.filter((r) => !r.isDuplicate && ids.includes(r.dataset));
+  const zeros = () => Object.fromEntries(ids.map((id) => [id, 0]));
+  const totals = { all: primary.length, ...zeros() };
+  const byValue = new Map();
+  for (const r of primary) {
+    const v = covariateValue(r.claim, key);
+    if (!byValue.has(v)) byValue.set(v, { value: v, all: 0, ...zeros() });
+    const entry = byValue.get(v);
+    entry.all += 1;
+    entry[r.dataset] += 1;
+    totals[r.dataset] += 1;
+  }
+  const share = (count, total) => (total ? count / total : null);
+  const values = [...byValue.values()]
+    .sort((a, b) => b.all - a.all || a.value.localeCompare(b.value))
+    .map((e) => {
+      const overall = share(e.all, totals.all);
+      const out = { value: e.value, count: e.all, overall };
+      for (const d of ids) {
+        const p = share(e[d], totals[d]);
+        out[d] = { share: p, deviation: p == null ? null : p - overall };
+      }
+      return out;
+    });
+  const maxDeviation = {};
+  for (const d of ids) {
+    maxDeviation[d] = values.reduce((m, v) => (v[d].deviation == null ? m : Math.max(m, Math.abs(v[d].deviation))), 0);
+  }
+  return { totals, values, maxDeviation };
+}
+
+// -------------------- Rolling-origin cross-validation --------------------
+// Fold K (the last) uses the page's cutoffs; each earlier fold moves all of them back by stepMonths, so every fold
+// trains on everything before its own train cutoff and validates/tests on the windows that follow it.
+const CV_MIN_FOLDS = 2;
+const CV_MAX_FOLDS = 8;
+function rollingOriginFolds(cuts, numFolds, stepMonths, startDate) {
+  const folds = [];
+  for (let k = 1; k <= numFolds; k++) {
+    const back = (numFolds - k) * stepMonths;
+    const foldCuts = cuts.map((d) => clampDate(shiftMonthsUTC(d, -back), startDate, d));
+    folds.push({ fold: k, cuts: foldCuts, noTraining: foldCuts[0].getTime() <= startDate.getTime() });
+  }
+  return folds;
+}
+
+// Claims (distinct ids) and rows per dataset and overall; overall rows exceed claims where "Both" duplicates a claim.
+function foldCounts(rows, ids) {
+  const counts = {};
+  for (const key of [...ids, 'post', 'all']) counts[key] = { claims: new Set(), rows: 0 };
+  for (const r of rows) {
+    const id = r.claim.staticCovariates.claimId;
+    for (const bucket of [counts[r.dataset], counts.all]) {
+      if (!bucket) continue;
+      bucket.claims.add(id);
+      bucket.rows += 1;
+    }
+  }
+  const out = {};
+  for (const key of Object.keys(counts)) out[key] = { claims: counts[key].claims.size, rows: counts[key].rows };
+  return out;
+}
+
+// One small-multiple panel: the fold's rows drawn like the main diagram, without partial payments.
+// cutLines defaults to all of the fold's cutoffs (the random split draws only its observation end).
+function FoldPanel({ fold, rows, x, y, width, height, rowH, startDate, endDate, ticks, formatTick, colors, selectedClaimId, onSelect, cutLines = fold.cuts, embargoDays = 0 }) {
+  const pad = { left: 12, right: 12, top: 30, bottom: 26 };
+  const xMin = startDate.getTime();
+  const xMax = endDate.getTime();
+  const xs = (d) => pad.left + ((d.getTime() - xMin) / (xMax - xMin)) * (width - pad.left - pad.right);
+  const ys = (i) => pad.top + rowH / 2 + i * rowH;
+  const axisY = height - pad.bottom + 4;
+  return (
+    <g transform={`translate(${x},${y})`}>
+      <rect x={0} y={0} width={width} height={height} fill='white' stroke='#d1d5db' rx={6} />
+      <text x={pad.left} y={16} fontSize={12} fontWeight={600} fill='#111827'>Fold {fold.fold}</text>
+      <text x={width - pad.right} y={16} fontSize={10} textAnchor='end' fill='#6b7280'>
+        {fold.cuts.map((d) => toISODate(d)).join(' · ')}
+      </text>
+      {embargoWindows(fold.cuts, embargoDays).map((g, i) => {
+        const x1 = xs(clampDate(g.from, startDate, endDate));
+        return <rect key={i} x={x1} y={pad.top - 6} width={Math.max(0, xs(clampDate(g.to, startDate, endDate)) - x1)} height={axisY - pad.top + 6} fill='#e5e7eb' opacity={0.8} />;
+      })}
+      {cutLines.map((d, i) => (
+        <line key={i} x1={xs(d)} y1={pad.top - 6} x2={xs(d)} y2={axisY} stroke='#6b7280' strokeWidth={1} strokeDasharray='4 4' opacity={0.7} />
+      ))}
+      <line x1={pad.left} y1={axisY} x2={width - pad.right} y2={axisY} stroke='#111827' strokeWidth={1} />
+      {ticks.map((t, i) => (
+        <text key={i} x={xs(t)} y={axisY + 14} textAnchor='middle' fontSize={8} fill='#111827'>{formatTick(t)}</text>
+      ))}
+      {rows.map((r, i) => {
+        const c = r.claim;
+        const yy = ys(i);
+        const color = colors[r.dataset] || '#000';
+        const xN = xs(c.notify);
+        const xS = xs(clampDate(c.settlement, startDate, endDate));
+        const xEnd = r.isCensored && r.observedEnd ? xs(clampDate(r.observedEnd, startDate, endDate)) : xS;
+        const xA = xs(clampDate(c.accident, startDate, endDate));
+        const xLeak = r.isDuplicate && r.leakUntil ? Math.min(xs(r.leakUntil), xS) : xN;
+        const claimId = c.staticCovariates.claimId;
+        const xGaps = closedGaps(c).map((g) => [xs(clampDate(g.from, startDate, endDate)), xs(clampDate(g.to, startDate, endDate))]);
+        return (
+          <g key={`${i}-${r.isDuplicate ? 'dup' : 'main'}`} onClick={() => onSelect(claimId === selectedClaimId ? null : claimId)} style={{ cursor: 'pointer' }}>
+            <rect x={xA - 4} y={yy - rowH / 2} width={Math.max(0, xS - xA) + 8} height={rowH} fill={claimId === selectedClaimId ? '#fde68a' : 'transparent'} opacity={0.6} />
+            {xLeak > xN && <line x1={xN} y1={yy} x2={xLeak} y2={yy} stroke={color} strokeWidth={1.5} strokeDasharray='3 3' opacity={0.35} />}
+            <line x1={xA} y1={yy} x2={Math.min(xN, xEnd)} y2={yy} stroke={color} strokeWidth={1} strokeDasharray='2 2' opacity={0.7} />
+            <circle cx={xA} cy={yy} r={1.5} fill={color} />
+            {r.quarterRows
+              ? r.quarterRows.map((q, j) => {
+                  const x1 = xs(q.start < c.notify ? c.notify : q.start);
+                  return <GappedLine key={j} x1={x1} x2={Math.max(x1, Math.min(xs(q.end), xEnd))} y={yy} xGaps={xGaps} stroke={colors[q.dataset]} strokeWidth={1.5} />;
+                })
+              : <GappedLine x1={xLeak} x2={Math.max(xLeak, xEnd)} y={yy} xGaps={xGaps} stroke={color} strokeWidth={1.5} />}
+            {r.isCensored && !r.hasDuplicate && xS > xEnd && (
+              <line x1={xEnd} y1={yy} x2={xS} y2={yy} stroke={color} strokeWidth={1.5} strokeDasharray='4 4' opacity={0.35} />
+            )}
+            {r.isCensored && <rect x={xEnd - 2.5} y={yy - 2.5} width={5} height={5} fill='white' stroke={color} strokeWidth={1} />}
+            <circle cx={xN} cy={yy} r={2} fill='white' stroke={color} strokeWidth={1} />
+          </g>
+        );
+      })}
+    </g>
+  );
+}
+
+function ImportErrors({ errors, limit = 100 }) {
+  if (!errors || !errors.length) return null;
+  return (
+    <div className='max-h-48 overflow-auto rounded-lg ring-1 ring-red-200 bg-red-50'>
+      <table className='w-full text-xs'>
+        <tbody>
+          {errors.slice(0, limit).map((e, i) => (
+            <tr key={i} className='border-t border-red-100 align-top'>
+              <td className='px-2 py-1 font-mono whitespace-nowrap'>{e.line != null ? `line ${e.line}` : ''}</td>
+              <td className='px-2 py-1 font-mono'>{e.claimId || ''}</td>
+              <td className='px-2 py-1 text-red-800'>{e.message}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {errors.length > limit && <div className='px-2 py-1 text-red-800'>… and {errors.length - limit} more</div>}
+    </div>
+  );
 }
 
 function XMark({ x, y, size = 6, strokeWidth = 2, color = 'currentColor', opacity = 1 }) {
@@ -214,45 +1152,154 @@ function XMark({ x, y, size = 6, strokeWidth = 2, color = 'currentColor', opacit
   );
 }
 
+// Case-estimate revision: a small arrow above the line pointing up for an increase, below it pointing down for a decrease
+function EstimateMark({ x, y, up, color = 'currentColor', opacity = 1 }) {
+  const dir = up ? -1 : 1;
+  return (
+    <g opacity={opacity}>
+      <line x1={x} y1={y + dir * 3} x2={x} y2={y + dir * 10} stroke={color} strokeWidth={1.5} />
+      <path d={`M ${x - 3} ${y + dir * 7} L ${x} ${y + dir * 10} L ${x + 3} ${y + dir * 7}`} fill='none' stroke={color} strokeWidth={1.5} />
+    </g>
+  );
+}
+
+// Recovery (salvage, subrogation, refund): a circled minus, so it reads as money coming back rather than a payment
+function RecoveryMark({ x, y, size = 5, strokeWidth = 1.5, color = 'currentColor', opacity = 1 }) {
+  return (
+    <g opacity={opacity}>
+      <circle cx={x} cy={y} r={size} fill='white' stroke={color} strokeWidth={strokeWidth} />
+      <line x1={x - size + 2} y1={y} x2={x + size - 2} y2={y} strokeWidth={strokeWidth} stroke={color} />
+    </g>
+  );
+}
+
 function SquareMark({ x, y, size = 8, strokeWidth = 2, color = 'currentColor' }) {
   const half = size / 2;
   return <rect x={x - half} y={y - half} width={size} height={size} fill='white' stroke={color} strokeWidth={strokeWidth} />;
 }
 
 // -------------------- Component --------------------
+// Horizontal line from x1 to x2 left open across a claim's closed periods (xGaps: [[xClosed, xReopened]]), which
+// get a thin dotted line instead
+function GappedLine({ x1, x2, y, xGaps = [], ...lineProps }) {
+  const spans = [];
+  const gaps = [];
+  let from = x1;
+  for (const [g1, g2] of xGaps) {
+    if (g2 <= from || g1 >= x2) continue;
+    if (g1 > from) spans.push([from, g1]);
+    gaps.push([Math.max(from, g1), Math.min(x2, g2)]);
+    from = Math.max(from, g2);
+  }
+  if (from < x2 || !spans.length) spans.push([from, Math.max(from, x2)]);
+  return (
+    <>
+      {spans.map(([a, b], i) => <line key={i} x1={a} y1={y} x2={b} y2={y} {...lineProps} />)}
+      {gaps.map(([a, b], i) => (
+        <line key={`gap-${i}`} x1={a} y1={y} x2={b} y2={y} stroke={lineProps.stroke} strokeWidth={1} strokeDasharray='1 3' opacity={0.6} />
+      ))}
+    </>
+  );
+}
+
+// Distribution picker for one simulator input (delay or severity): family, then its mean / CV or range
+function SimulatorDistributionInput({ label, unit, spec, onChange }) {
+  const dist = SIM_DISTRIBUTIONS.find((d) => d.id === spec.dist) || SIM_DISTRIBUTIONS[0];
+  return (
+    <div className='flex flex-col text-xs gap-1'>
+      <div className='flex items-center justify-between gap-2'>
+        <span>{label}</span>
+        <select className='p-1 rounded-lg ring-1 ring-gray-300' value={spec.dist} onChange={(e) => onChange({ ...spec, dist: e.target.value })}>
+          {SIM_DISTRIBUTIONS.map((d) => <option key={d.id} value={d.id}>{d.label}</option>)}
+        </select>
+      </div>
+      <div className='grid grid-cols-2 gap-2'>
+        {dist.params.map((key) => (
+          <label key={key} className='flex flex-col opacity-80'>
+            {key === 'cv' ? 'CV (sd / mean)' : `${key[0].toUpperCase()}${key.slice(1)} (${unit})`}
+            <input
+              type='number'
+              className='mt-1 p-2 rounded-xl ring-1 ring-gray-300'
+              value={spec[key]}
+              min={0}
+              step={key === 'cv' ? 0.1 : 1}
+              onChange={(e) => onChange({ ...spec, [key]: Number(e.target.value) })}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function ClaimsDiagram() {
   // Controls / state
   const { useState, useMemo, useRef, useEffect } = React;
-  const [numClaims, setNumClaims] = useState(20);
-  const [startDateStr, setStartDateStr] = useState('2020-01-01');
-  const [endDateStr, setEndDateStr] = useState('2025-01-01');
-  const [minDurDays, setMinDurDays] = useState(180);
-  const [maxDurDays, setMaxDurDays] = useState(1095);
-  const [maxPartials, setMaxPartials] = useState(20);
-  const [seedText, setSeedText] = useState('insurer-diagram');
-  const [axisTicks, setAxisTicks] = useState(10);
-  const [label, setLabel] = useState('Date');
-  const [useCustom, setUseCustom] = useState(false);
+  // Initial control state comes from the URL when the page was opened from a shared link
+  const [urlParams] = useState(() => readUrlParams());
+  const [numClaims, setNumClaims] = useState(() => Math.max(1, urlInt(urlParams, 'n', 20)));
+  const [startDateStr, setStartDateStr] = useState(() => urlParams.get('start') || '2020-01-01');
+  const [endDateStr, setEndDateStr] = useState(() => urlParams.get('end') || '2025-01-01');
+  const [simParams, setSimParams] = useState(() => simulatorParamsFromUrl(urlParams));
+  const [seedText, setSeedText] = useState(() => urlParams.get('seed') ?? 'insurer-diagram');
+  const [axisTicks, setAxisTicks] = useState(() => urlInt(urlParams, 'ticks', 10));
+  const [label, setLabel] = useState(() => urlParams.get('label') ?? 'Date');
+  const [dataSource, setDataSource] = useState('simulated'); // 'simulated' | 'json' | 'csv'
   const [customJson, setCustomJson] = useState(
     JSON.stringify(
       [
-        { notify: '2020-02-15', settlement: '2020-10-01', partials: ['2020-04-01', '2020-07-10'] },
-        { notify: '2022-03-10', settlement: '2023-01-20', partials: ['2022-06-01', '2022-12-15'] },
-        { notify: '2024-01-05', settlement: '2025-03-15', partials: ['2024-04-09', '2024-09-30'] },
+        { notify: '2020-02-15', settlement: '2020-10-01', partials: ['2020-04-01', '2020-07-10'], estimates: [{ date: '2020-02-15', amount: 12000 }, { date: '2020-06-01', amount: 14000 }] },
+        { notify: '2022-03-10', settlement: '2023-01-20', partials: ['2022-06-01', '2022-12-15'], reopens: [{ closed: '2022-08-01', reopened: '2022-11-01' }] },
+        { notify: '2024-01-05', settlement: '2025-03-15', partials: ['2024-04-09', '2024-09-30'], recoveries: ['2024-12-02'] },
       ],
       null,
       2
     )
   );
-  const [rowGap, setRowGap] = useState(20);
+  const [csvText, setCsvText] = useState(
+    [
+      'claim_id,accident_date,notify_date,settlement_date,payment_date,amount',
+      'C001,2020-01-20,2020-02-15,2020-10-01,2020-04-01,2500',
+      'C001,2020-01-20,2020-02-15,2020-10-01,2020-10-01,7500',
+      'C002,2022-02-01,2022-03-10,2023-01-20,2022-06-01,4000',
+      'C002,2022-02-01,2022-03-10,2023-01-20,2023-01-20,12000',
+      'C002,2022-02-01,2022-03-10,2023-01-20,2022-11-15,-1500',
+    ].join('\n')
+  );
+  const [csvMapping, setCsvMapping] = useState({});
+  const [rowGap, setRowGap] = useState(() => urlInt(urlParams, 'gap', 20));
   const [margins, setMargins] = useState({ left: 70, right: 24, top: 28, bottom: 52 });
-  const [dedupeMonthly, setDedupeMonthly] = useState(true);
-  const [trainCutStr, setTrainCutStr] = useState('2021-06-30');
-  const [valCutStr, setValCutStr] = useState('2023-06-30');
-  const [testCutStr, setTestCutStr] = useState('2025-01-01');
+  const [dedupeMonthly, setDedupeMonthly] = useState(() => urlParams.get('dedupe') !== '0');
+  const [periods, setPeriods] = useState(() => periodsFromUrl(urlParams));
+  const [selectedClaimId, setSelectedClaimId] = useState(() => urlParams.get('claim'));
+  const [embargoDays, setEmbargoDays] = useState(() => Math.max(0, urlInt(urlParams, 'embargo', 0)));
+  const [embargoAction, setEmbargoAction] = useState(() => (urlParams.get('embargoMode') === 'flag' ? 'flag' : 'purge'));
+  const [cutoffSnap, setCutoffSnap] = useState(() => {
+    const m = urlParams.get('snap');
+    return CUTOFF_SNAP_OPTIONS.some((o) => o.id === m) ? m : 'month';
+  });
+  const [stratifyBy, setStratifyBy] = useState(() => {
+    const k = urlParams.get('strata');
+    return STRATIFY_COVARIATES.some((o) => o.id === k) ? k : 'claimType';
+  });
+  const [showBalance, setShowBalance] = useState(() => urlParams.has('strata'));
+  const [showAudit, setShowAudit] = useState(() => urlParams.get('audit') === '1');
+  const [showStats, setShowStats] = useState(() => urlParams.get('stats') === '1');
+  const [showEstimates, setShowEstimates] = useState(() => urlParams.get('est') === '1');
+  const [randomPcts, setRandomPcts] = useState(() => {
+    const list = urlParams.get('rPct');
+    if (list) return list.split(',').map((v) => Math.min(100, Math.max(0, parseInt(v, 10) || 0)));
+    return [urlInt(urlParams, 'rTrain', 60), urlInt(urlParams, 'rVal', 20)]; // links from before named periods
+  });
+  const [cvEnabled, setCvEnabled] = useState(() => urlParams.get('cv') === '1');
+  const [cvFolds, setCvFolds] = useState(() => Math.min(CV_MAX_FOLDS, Math.max(CV_MIN_FOLDS, urlInt(urlParams, 'folds', 4))));
+  const [cvStepMonths, setCvStepMonths] = useState(() => Math.max(1, urlInt(urlParams, 'step', 6)));
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
-  const COLORS = { train: '#2563eb', val: '#f59e0b', test: '#10b981', post: '#9ca3af' };
+  const periodIds = useMemo(() => periods.map((p) => p.id), [periods]);
+  const COLORS = { ...Object.fromEntries(periods.map((p) => [p.id, p.color])), post: POST_COLOR };
+  const periodLabel = (id) => (id === 'post' ? 'Unused' : (periods.find((p) => p.id === id) || { label: id }).label);
+  const randomPctShares = randomShares(randomPcts, periods.length);
   const FADE_OPACITY = 0.35;
   const LEAK_OPACITY = 0.35;
   const LEAK_DASH = '3 3';
@@ -264,8 +1311,15 @@ function ClaimsDiagram() {
     { id: 'notify', label: 'Notification date' },
     { id: 'settlement', label: 'Settlement date' },
     { id: 'notifyDup', label: 'Both' },
+    { id: 'accident', label: 'Accident date' },
+    { id: 'stratified', label: 'Stratified by covariate' },
+    { id: 'calendarRow', label: 'Row-level (calendar quarter)' },
+    { id: 'random', label: 'Random (hashed claim)' },
   ];
-  const [splitMode, setSplitMode] = useState('settlement');
+  const [splitMode, setSplitMode] = useState(() => {
+    const m = urlParams.get('split');
+    return SPLIT_OPTIONS.some((o) => o.id === m) ? m : 'settlement';
+  });
 
   // Parse start/end
   const [startDate, endDate] = useMemo(() => {
@@ -274,113 +1328,192 @@ function ClaimsDiagram() {
     return [isNaN(s.getTime()) ? new Date('2020-01-01') : s, isNaN(e.getTime()) ? new Date('2025-01-01') : e];
   }, [startDateStr, endDateStr]);
 
-  // Clamp & sort cutoffs
-  const [trainCut, valCut, testCut] = useMemo(() => {
-    const tCut = clampDate(new Date(trainCutStr), startDate, endDate);
-    const vCut = clampDate(new Date(valCutStr), startDate, endDate);
-    const testCut = clampDate(new Date(testCutStr), startDate, endDate);
-    const sorted = [tCut, vCut, testCut].sort((a, b) => a.getTime() - b.getTime());
-    return sorted;
-  }, [trainCutStr, valCutStr, testCutStr, startDate, endDate]);
-
-  // Dataset helpers
-  function datasetForNotify(tDate) {
-    if (tDate < trainCut) return 'train';
-    if (tDate < valCut) return 'val';
-    if (tDate < testCut) return 'test';
-    return 'post';
-  }
-  function datasetForSettlement(sDate) {
-    if (sDate < trainCut) return 'train';
-    if (sDate < valCut) return 'val';
-    if (sDate < testCut) return 'test';
-    return 'post';
+  // Clamp & sort cutoffs (the i-th period always ends at the i-th earliest cutoff; unparseable dates fall back to End date)
+  const periodCuts = useMemo(() => {
+    const cuts = periods.map((p) => {
+      const d = new Date(p.cut);
+      return isNaN(d.getTime()) ? endDate : clampDate(d, startDate, endDate);
+    });
+    return cuts.sort((a, b) => a.getTime() - b.getTime());
+  }, [periods, startDate, endDate]);
+  const observationEnd = periodCuts[periodCuts.length - 1];
+  function setPeriodCut(i, iso) {
+    setPeriods((ps) => ps.map((p, j) => (j === i ? { ...p, cut: iso } : p)));
+  }
+  function updatePeriod(i, changes) {
+    setPeriods((ps) => ps.map((p, j) => (j === i ? { ...p, ...changes } : p)));
+  }
+  function addPeriod() {
+    setPeriods((ps) => [...ps, { id: nextPeriodId(ps), label: `Period ${ps.length + 1}`, color: PERIOD_PALETTE[ps.length % PERIOD_PALETTE.length], cut: toISODate(endDate) }]);
+  }
+  function removePeriod(i) {
+    setPeriods((ps) => (ps.length > 1 ? ps.filter((_, j) => j !== i) : ps));
+  }
+
+  // Dataset helpers (cuts defaults to the current period cutoffs; CV folds pass their own)
+  function datasetForNotify(tDate, cuts = periodCuts) {
+    return datasetForDate(tDate, cuts, periodIds);
+  }
+  function datasetForSettlement(sDate, cuts = periodCuts) {
+    return datasetForDate(sDate, cuts, periodIds);
+  }
+  function datasetForAccident(aDate, cuts = periodCuts) {
+    return datasetForDate(aDate, cuts, periodIds);
   }
 
   // Claims
-  const autoClaims = useMemo(
+  const autoPortfolio = useMemo(
     () =>
-      generateClaims({
+      simulatePortfolio({
         n: numClaims,
         startDate,
         endDate,
-        minDurDays,
-        maxDurDays,
-        maxPartials,
+        params: simParams,
         seed,
         dedupeMonthly,
       }),
-    [numClaims, startDate, endDate, minDurDays, maxDurDays, maxPartials, seed, dedupeMonthly]
+    [numClaims, startDate, endDate, simParams, seed, dedupeMonthly]
   );
+  const autoClaims = autoPortfolio.claims;
 
   const parsedCustom = useMemo(() => {
-    if (!useCustom) return null;
+    if (dataSource !== 'json') return null;
+    const errors = [];
+    let parsed;
     try {
-      const parsed = JSON.parse(customJson);
-      const mapped = parsed.map((c, i) => {
-        const notify = parseMaybeDate(c.notify, startDate);
-        const settlement = parseMaybeDate(c.settlement, startDate);
-        const partials = (c.partials || []).map(p => parseMaybeDate(p, startDate)).filter(Boolean);
-        if (!notify || !settlement) return null;
-        const accident = addDays(notify, -30); // Default 30 days before notification
-        return {
-          accident,
-          notify,
-          settlement,
-          partials: dedupeMonthly ? dedupeByCalendarMonth(partials) : partials,
-          payments: [...partials.map(date => ({ date, amount: 5000 })), { date: settlement, amount: 10000 }],
-          staticCovariates: {
-            claimId: `CUSTOM${i + 1}`,
-            postcode: '2000',
-            claimType: 'Motor',
-            region: 'Metro',
-            policyYear: notify.getUTCFullYear(),
-            totalAmount: 15000,
-          },
-        };
-      }).filter(Boolean);
-      mapped.sort((a, b) => a.notify.getTime() - b.notify.getTime());
-      return mapped;
+      parsed = JSON.parse(customJson);
     } catch (e) {
-      console.warn('Failed to parse custom JSON:', e);
-      return null;
+      return { claims: [], errors: [{ line: null, claimId: null, message: `Invalid JSON: ${e.message}` }] };
+    }
+    if (!Array.isArray(parsed)) {
+      return { claims: [], errors: [{ line: null, claimId: null, message: 'Expected a JSON array of claims' }] };
     }
-  }, [useCustom, customJson, startDateStr, startDate, endDate, dedupeMonthly]);
+    const mapped = parsed.map((c, i) => {
+      const claimId = `CUSTOM${i + 1}`;
+      if (!c || typeof c !== 'object' || Array.isArray(c)) {
+        errors.push({ line: null, claimId, message: `Entry ${i + 1}: expected a claim object` });
+        return null;
+      }
+      const notify = parseMaybeDate(c.notify, startDate);
+      const settlement = parseMaybeDate(c.settlement, startDate);
+      // Payment and recovery dates; each one that does not parse is reported and left out
+      const parseDates = (values, field) => (Array.isArray(values) ? values : []).flatMap((raw) => {
+        const date = parseMaybeDate(raw, startDate);
+        if (date) return [date];
+        errors.push({ line: null, claimId, message: `Entry ${i + 1}: unparseable ${field} date ${JSON.stringify(raw)} (ignored)` });
+        return [];
+      });
+      const partials = parseDates(c.partials, 'payment');
+      const recoveries = parseDates(c.recoveries, 'recovery');
+      // Optional case estimates: estimates: [{ date, amount }], the estimate of the cost still to come from that date
+      const rawEstimates = Array.isArray(c.estimates) ? c.estimates : [];
+      if (rawEstimates.some((e) => !e || typeof e !== 'object')) {
+        errors.push({ line: null, claimId, message: `Entry ${i + 1}: estimates must be { date, amount } objects (others ignored)` });
+      }
+      const estimates = rawEstimates
+        .filter((e) => e && typeof e === 'object')
+        .map((e) => ({ date: parseMaybeDate(e.date, startDate), amount: Number(e.amount) }))
+        .filter((e) => e.date && isFinite(e.amount));
+      if (!notify || !settlement) {
+        errors.push({ line: null, claimId, message: `Entry ${i + 1}: missing or unparseable ${!notify ? 'notify' : 'settlement'} date` });
+        return null;
+      }
+      const accident = addDays(notify, -30); // Default 30 days before notification
+      // Optional interim closures: reopens: [{ closed, reopened }]
+      let statusEvents;
+      if (Array.isArray(c.reopens) && c.reopens.length) {
+        const interim = c.reopens.flatMap((o) => [
+          { date: o ? parseMaybeDate(o.closed, startDate) : null, status: 'closed' },
+          { date: o ? parseMaybeDate(o.reopened, startDate) : null, status: 'reopened' },
+        ]);
+        const built = interim.every((e) => e.date) ? buildStatusEvents(notify, settlement, interim) : { error: 'unparseable reopen date' };
+        if (built.error) errors.push({ line: null, claimId, message: `Entry ${i + 1}: ${built.error} (reopens ignored)` });
+        else statusEvents = built.events;
+      }
+      return {
+        accident,
+        notify,
+        settlement,
+        ...(statusEvents ? { statusEvents } : {}),
+        ...(estimates.length ? { caseEstimates: buildCaseEstimates({ notify, settlement, statusEvents }, estimates) } : {}),
+        partials: dedupeMonthly ? dedupeByCalendarMonth(partials) : partials,
+        recoveries,
+        payments: [...partials.map(date => ({ date, amount: 5000 })), ...recoveries.map(date => ({ date, amount: -2000 })), { date: settlement, amount: 10000 }]
+          .sort((a, b) => a.date.getTime() - b.date.getTime()),
+        staticCovariates: {
+          claimId,
+          postcode: '2000',
+          claimType: 'Motor',
+          region: 'Metro',
+          policyYear: notify.getUTCFullYear(),
+          totalAmount: 15000 - 2000 * recoveries.length,
+        },
+      };
+    }).filter(Boolean);
+    mapped.sort((a, b) => a.notify.getTime() - b.notify.getTime());
+    return { claims: mapped, errors };
+  }, [dataSource, customJson, startDateStr, startDate, endDate, dedupeMonthly]);
+
+  // CSV import: parse, (re)guess the column mapping when the header changes, then build claims
+  const csvParsed = useMemo(() => (dataSource === 'csv' ? parseCsv(csvText) : null), [dataSource, csvText]);
+  const csvHeaderKey = csvParsed ? csvParsed.header.join('\u0001') : '';
+  useEffect(() => {
+    if (!csvParsed) return;
+    const stale = CSV_FIELDS.some((f) => csvMapping[f.id] && !csvParsed.header.includes(csvMapping[f.id]));
+    const empty = CSV_FIELDS.every((f) => !csvMapping[f.id]);
+    if (stale || empty) setCsvMapping(guessCsvMapping(csvParsed.header));
+  }, [csvHeaderKey]);
+  const parsedCsv = useMemo(() => {
+    if (!csvParsed) return null;
+    return claimsFromCsv(csvParsed, csvMapping, { startDate, dedupeMonthly });
+  }, [csvParsed, csvMapping, startDate, dedupeMonthly]);
 
-  const claims = useCustom && parsedCustom ? parsedCustom : autoClaims;
+  function loadCsvFile(file) {
+    if (!file) return;
+    file.text().then((text) => {
+      setCsvText(text);
+      setCsvMapping(guessCsvMapping(parseCsv(text).header));
+    });
+  }
 
-  // ---- One-time initialization of cutoffs based on simulated data ----
-  const [didInitCuts, setDidInitCuts] = useState(false);
+  const importResult = dataSource === 'csv' ? parsedCsv : dataSource === 'json' ? parsedCustom : null;
+  const claims = importResult ? importResult.claims : autoClaims;
+  // Accidents not reported by the end date: known only for simulated data, imports contain reported claims alone
+  const unreportedAccidents = importResult ? [] : autoPortfolio.unreported;
+  // Calendar-quarter shocks behind the simulated claims (a half-typed quarter is dropped)
+  const calendarShocks = useMemo(() => (importResult ? [] : normaliseSimulatorParams(simParams).shocks), [importResult, simParams]);
+
+  // ---- One-time initialization of cutoffs based on simulated data (skipped when the URL sets them) ----
+  const [didInitCuts, setDidInitCuts] = useState(() => urlParams.has('periods') || urlParams.has('train') || urlParams.has('val'));
   useEffect(() => {
     if (didInitCuts || !claims.length) return;
-    // Set cutoffs to roughly divide claims into thirds
+    // Set every cutoff but the last (the observation end) to divide claims into roughly equal periods
     const notifyDates = claims.map(c => c.notify).sort((a, b) => a.getTime() - b.getTime());
-    const third = Math.floor(notifyDates.length / 3);
-    const twoThirds = Math.floor((2 * notifyDates.length) / 3);
-    if (third < notifyDates.length && twoThirds < notifyDates.length) {
-      const suggestedTrainCut = toISODate(notifyDates[third]);
-      const suggestedValCut = toISODate(notifyDates[twoThirds]);
-      // Only update if current cuts are still default-ish
-      if (trainCutStr === '2021-06-30' && valCutStr === '2023-06-30') {
-        setTrainCutStr(suggestedTrainCut);
-        setValCutStr(suggestedValCut);
-      }
+    // Only update if current cuts are still default-ish
+    const isDefault = periods.length === DEFAULT_PERIODS.length && periods.every((p, i) => p.cut === DEFAULT_PERIODS[i].cut);
+    if (isDefault) {
+      setPeriods(periods.map((p, i) => (i < periods.length - 1
+        ? { ...p, cut: toISODate(notifyDates[Math.floor(((i + 1) * notifyDates.length) / periods.length)]) }
+        : p)));
     }
     setDidInitCuts(true);
   }, [claims, startDate, didInitCuts]);
 
-  // Row builder (reused by UI)
-  function buildRows(localClaims, mode) {
+  // Row builder (reused by UI and by each cross-validation fold)
+  function buildRows(localClaims, mode, cuts = periodCuts) {
+    const lastCut = cuts[cuts.length - 1]; // observation end
+    const cutoffFor = (dataset) => {
+      const k = periodIds.indexOf(dataset);
+      return k < 0 ? lastCut : cuts[k];
+    };
     const rows = [];
+    const strata = mode === 'stratified' ? stratifiedAssignments(localClaims, stratifyBy, (c) => datasetForNotify(c.notify, cuts), periodIds) : null;
     for (let i = 0; i < localClaims.length; i++) {
       const c = localClaims[i];
       if (mode === 'notify') {
         // Single row per claim, dataset = notify dataset, censored if settlement > notify dataset cutoff
-        const dataset = datasetForNotify(c.notify);
-        let cutoffDate = testCut;
-        if (dataset === 'train') cutoffDate = trainCut;
-        else if (dataset === 'val') cutoffDate = valCut;
-        else if (dataset === 'test') cutoffDate = testCut;
+        const dataset = datasetForNotify(c.notify, cuts);
+        const cutoffDate = cutoffFor(dataset);
         const isCensored = c.settlement > cutoffDate;
         rows.push({
           claim: c,
@@ -394,7 +1527,7 @@ function ClaimsDiagram() {
         });
       } else if (mode === 'settlement') {
         // Single row per claim, dataset = settlement dataset, never censored
-        const dataset = datasetForSettlement(c.settlement);
+        const dataset = datasetForSettlement(c.settlement, cuts);
         rows.push({
           claim: c,
           dataset,
@@ -407,17 +1540,14 @@ function ClaimsDiagram() {
         });
       } else if (mode === 'notifyDup') {
         // Primary row based on notify
-        const notifyDataset = datasetForNotify(c.notify);
-        let cutoffDate = testCut;
-        if (notifyDataset === 'train') cutoffDate = trainCut;
-        else if (notifyDataset === 'val') cutoffDate = valCut;
-        else if (notifyDataset === 'test') cutoffDate = testCut;
+        const notifyDataset = datasetForNotify(c.notify, cuts);
+        const cutoffDate = cutoffFor(notifyDataset);
         const isCensored = c.settlement > cutoffDate;
+        const k = periodIds.indexOf(notifyDataset);
         let hasDuplicate = false;
-        if (isCensored) {
+        if (isCensored && k >= 0 && k + 1 < cuts.length) {
           // Check if settlement falls into the next dataset
-          if (notifyDataset === 'train' && c.settlement >= trainCut && c.settlement < valCut) hasDuplicate = true;
-          if (notifyDataset === 'val' && c.settlement >= valCut && c.settlement < testCut) hasDuplicate = true;
+          if (c.settlement >= cuts[k] && c.settlement < cuts[k + 1]) hasDuplicate = true;
         }
         const primaryIdx = rows.length;
         rows.push({
@@ -432,30 +1562,277 @@ function ClaimsDiagram() {
         });
         // Add duplicate if needed
         if (hasDuplicate) {
-          let dupDataset = 'test';
-          let dupLeakUntil = valCut;
-          if (notifyDataset === 'train') {
-            dupDataset = 'val';
-            dupLeakUntil = trainCut;
-          }
           rows.push({
             claim: c,
-            dataset: dupDataset,
+            dataset: periodIds[k + 1],
             isCensored: false,
             observedEnd: null,
             isDuplicate: true,
             hasDuplicate: false,
             linkFrom: primaryIdx,
-            leakUntil: dupLeakUntil,
+            leakUntil: cuts[k],
           });
         }
+      } else if (mode === 'accident') {
+        // Single row per claim, dataset = accident dataset (accident-period cohorts). Censored at the dataset
+        // cutoff if the claim settles after it; a claim notified after the cutoff is censored while still unreported.
+        const dataset = datasetForAccident(c.accident, cuts);
+        const cutoffDate = cutoffFor(dataset);
+        const isCensored = c.settlement > cutoffDate;
+        rows.push({
+          claim: c,
+          dataset,
+          isCensored,
+          observedEnd: cutoffDate,
+          isDuplicate: false,
+          hasDuplicate: false,
+          linkFrom: null,
+          leakUntil: null,
+        });
+      } else if (mode === 'stratified') {
+        // Dataset from the stratified assignment. A claim is observed to the later of its own and its notify
+        // dataset's cutoff, so one moved into an earlier dataset is still seen from notification on.
+        const notifyDataset = datasetForNotify(c.notify, cuts);
+        const dataset = strata.get(c.staticCovariates.claimId) || 'post';
+        const order = [...periodIds, 'post'];
+        const cutoffDate = cutoffFor(order[Math.max(order.indexOf(dataset), order.indexOf(notifyDataset))]);
+        const isCensored = c.settlement > cutoffDate;
+        rows.push({
+          claim: c,
+          dataset,
+          isCensored,
+          observedEnd: cutoffDate,
+          isDuplicate: false,
+          hasDuplicate: false,
+          linkFrom: null,
+          leakUntil: null,
+          movedFrom: dataset !== notifyDataset ? notifyDataset : null,
+        });
+      } else if (mode === 'calendarRow') {
+        // One line per claim, split into development-quarter rows that each take the dataset of their quarter end.
+        // The line's own dataset is that of its first row; it is censored at the observation end like the other modes.
+        const quarterRows = calendarQuarterRows(c, lastCut, (d) => datasetForNotify(d, cuts));
+        const isCensored = c.settlement > lastCut;
+        rows.push({
+          claim: c,
+          dataset: quarterRows.length ? quarterRows[0].dataset : 'post',
+          isCensored,
+          observedEnd: isCensored ? lastCut : null,
+          isDuplicate: false,
+          hasDuplicate: false,
+          linkFrom: null,
+          leakUntil: null,
+          quarterRows,
+        });
+      } else if (mode === 'random') {
+        // Claim-level hashed split; only the observation end censors, and claims notified after it are unused
+        const dataset = c.notify >= lastCut
+          ? 'post'
+          : datasetForRandom(c.staticCovariates.claimId, seedText, randomPctShares, periodIds);
+        const isCensored = dataset !== 'post' && c.settlement > lastCut;
+        rows.push({
+          claim: c,
+          dataset,
+          isCensored,
+          observedEnd: isCensored ? lastCut : null,
+          isDuplicate: false,
+          hasDuplicate: false,
+          linkFrom: null,
+          leakUntil: null,
+        });
       }
     }
-    return rows;
+    return applyEmbargo(rows, cuts, embargoDays, embargoAction);
   }
 
   // Build rows for current UI
-  const rows = useMemo(() => buildRows(claims, splitMode), [claims, splitMode, trainCut, valCut, testCut, endDate]);
+  const rows = useMemo(() => buildRows(claims, splitMode), [claims, splitMode, periodCuts, periodIds, endDate, seedText, randomPcts, stratifyBy, embargoDays, embargoAction]);
+
+  // Covariate mix per dataset (always available; the stratified mode is built to keep it flat)
+  const balance = useMemo(() => covariateBalance(rows, stratifyBy, periodIds), [rows, stratifyBy, periodIds]);
+  const movedCount = useMemo(() => rows.filter((r) => r.movedFrom).length, [rows]);
+  const embargoCount = useMemo(() => new Set(rows.filter((r) => r.embargo).map((r) => r.claim.staticCovariates.claimId)).size, [rows]);
+  // Reopened claims, and how many are censored by a reopen after their cutoff in the current mode
+  const reopenSummary = useMemo(() => {
+    const reopened = claims.filter((c) => reopenDates(c).length > 0).length;
+    return reopened ? { reopened, closedAtCutoff: closedAtCutoffRows(rows).length } : null;
+  }, [claims, rows]);
+  const hasRecoveries = useMemo(() => claims.some((c) => (c.payments || []).some(isRecovery)), [claims]);
+
+  // Leakage audit of every split mode on the same claims and cutoffs, so the modes can be compared side by side
+  const audits = useMemo(() => {
+    if (!showAudit) return null;
+    return SPLIT_OPTIONS.map((o) => {
+      const modeRows = o.id === splitMode ? rows : buildRows(claims, o.id);
+      return { ...o, rows: modeRows.length, ...leakageAudit(modeRows, periodCuts, periodIds) };
+    });
+  }, [showAudit, rows, claims, splitMode, periodCuts, periodIds, endDate, seedText, randomPcts, stratifyBy, embargoDays, embargoAction]);
+  const currentAudit = audits ? audits.find((a) => a.id === splitMode) : null;
+
+  // Split statistics for the three date-based modes (plus the current mode if it is another one)
+  const STATS_MODES = ['notify', 'settlement', 'notifyDup'];
+  const splitStats = useMemo(() => {
+    if (!showStats) return null;
+    const ids = STATS_MODES.includes(splitMode) ? STATS_MODES : [...STATS_MODES, splitMode];
+    return ids.map((id) => {
+      const modeRows = id === splitMode ? rows : buildRows(claims, id);
+      return { id, label: SPLIT_OPTIONS.find((o) => o.id === id).label, ...splitStatistics(modeRows, observationEnd, periodIds) };
+    });
+  }, [showStats, rows, claims, splitMode, periodCuts, periodIds, endDate, seedText, randomPcts, stratifyBy, embargoDays, embargoAction]);
+
+  // Row-level mode: claims whose development-quarter rows land in more than one dataset
+  const rowSpan = useMemo(() => {
+    if (splitMode !== 'calendarRow') return null;
+    let spanning = 0;
+    let movedRows = 0;
+    let totalRows = 0;
+    for (const r of rows) {
+      const inWindow = r.quarterRows.filter((q) => q.dataset !== 'post');
+      totalRows += inWindow.length;
+      if (new Set(inWindow.map((q) => q.dataset)).size > 1) spanning += 1;
+      movedRows += inWindow.filter((q) => q.dataset !== r.dataset).length;
+    }
+    return { claims: rows.length, spanning, movedRows, totalRows };
+  }, [rows, splitMode]);
+
+  // Random split only: how far the first period's data reaches past the start of the last period's calendar period
+  const randomCalendarLeak = useMemo(() => {
+    if (splitMode !== 'random' || periodIds.length < 2) return null;
+    const firstId = periodIds[0];
+    const lastId = periodIds[periodIds.length - 1];
+    const firstTest = rows.reduce((m, r) => (r.dataset === lastId && (!m || r.claim.notify < m) ? r.claim.notify : m), null);
+    if (!firstTest) return null;
+    let trainClaims = 0;
+    let lastTrainObserved = null;
+    for (const r of rows) {
+      if (r.dataset !== firstId) continue;
+      const observedTo = r.isCensored ? r.observedEnd : r.claim.settlement;
+      if (observedTo > firstTest) trainClaims += 1;
+      if (!lastTrainObserved || observedTo > lastTrainObserved) lastTrainObserved = observedTo;
+    }
+    return { firstTest, trainClaims, lastTrainObserved, firstLabel: periodLabel(firstId), lastLabel: periodLabel(lastId) };
+  }, [rows, splitMode, periods]);
+
+  // Rolling-origin folds, each split with the same rules as the main diagram
+  const cvFoldRows = useMemo(() => {
+    if (!cvEnabled) return [];
+    return rollingOriginFolds(periodCuts, cvFolds, cvStepMonths, startDate).map((f) => {
+      const foldRows = buildRows(claims, splitMode, f.cuts);
+      return { ...f, rows: foldRows, counts: foldCounts(foldRows, periodIds) };
+    });
+  }, [cvEnabled, cvFolds, cvStepMonths, claims, splitMode, periodCuts, periodIds, startDate, endDate, seedText, randomPcts, stratifyBy, embargoDays, embargoAction]);
+
+  // Mirror the control state into the URL so the exact diagram can be shared or cited
+  useEffect(() => {
+    writeUrlParams({
+      n: numClaims,
+      start: startDateStr,
+      end: endDateStr,
+      sim: simulatorParamsToUrl(simParams),
+      seed: seedText,
+      dedupe: dedupeMonthly ? 1 : 0,
+      split: splitMode,
+      strata: splitMode === 'stratified' || showBalance ? stratifyBy : null,
+      audit: showAudit ? 1 : null,
+      stats: showStats ? 1 : null,
+      est: showEstimates ? 1 : null,
+      rPct: splitMode === 'random' ? randomPcts.slice(0, periods.length - 1).join(',') : null,
+      periods: periodsToUrl(periods),
+      ticks: axisTicks,
+      gap: rowGap,
+      label,
+      claim: selectedClaimId,
+      snap: cutoffSnap,
+      embargo: embargoDays || null,
+      embargoMode: embargoDays ? embargoAction : null,
+      cv: cvEnabled ? 1 : null,
+      folds: cvEnabled ? cvFolds : null,
+      step: cvEnabled ? cvStepMonths : null,
+    });
+  }, [numClaims, startDateStr, endDateStr, simParams, seedText, dedupeMonthly, splitMode, periods, axisTicks, rowGap, label, selectedClaimId, cvEnabled, cvFolds, cvStepMonths, randomPcts, stratifyBy, showBalance, showAudit, showStats, showEstimates, cutoffSnap, embargoDays, embargoAction]);
+
+  const [linkCopied, setLinkCopied] = useState(false);
+  function copyShareLink() {
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    });
+  }
+
+  // Save / load the complete control state, custom claims and selection as a versioned scenario file
+  const [scenarioStatus, setScenarioStatus] = useState(null); // { ok, message }
+  function saveScenario() {
+    const scenario = buildScenario('splitting', {
+      controls: {
+        numClaims,
+        startDate: startDateStr,
+        endDate: endDateStr,
+        simulator: simParams,
+        seedText,
+        dedupeMonthly,
+        splitMode,
+        stratifyBy,
+        randomPcts,
+        periods,
+        cutoffSnap,
+        embargoDays,
+        embargoAction,
+        cvEnabled,
+        cvFolds,
+        cvStepMonths,
+        axisTicks,
+        label,
+        rowGap,
+        margins,
+      },
+      data: { source: dataSource, customJson, csvText, csvMapping },
+      selectedClaimId,
+    });
+    downloadText(JSON.stringify(scenario, null, 2), `splitting_scenario_${toISODate(new Date())}.json`, 'application/json');
+  }
+  function loadScenario(file) {
+    if (!file) return;
+    file.text().then((text) => {
+      const { scenario, error } = readScenario(text, 'splitting', SCENARIO_DEFAULTS);
+      if (error) {
+        setScenarioStatus({ ok: false, message: `${file.name}: ${error}` });
+        return;
+      }
+      const c = scenario.controls;
+      const def = SCENARIO_DEFAULTS.controls;
+      setNumClaims(Math.max(1, Math.round(Number(c.numClaims)) || def.numClaims));
+      setStartDateStr(isoDateOr(c.startDate, def.startDate));
+      setEndDateStr(isoDateOr(c.endDate, def.endDate));
+      setSimParams(normaliseSimulatorParams(c.simulator));
+      setSeedText(c.seedText == null ? def.seedText : String(c.seedText));
+      setDedupeMonthly(!!c.dedupeMonthly);
+      setSplitMode(SPLIT_OPTIONS.some((o) => o.id === c.splitMode) ? c.splitMode : SCENARIO_DEFAULTS.controls.splitMode);
+      setStratifyBy(STRATIFY_COVARIATES.some((o) => o.id === c.stratifyBy) ? c.stratifyBy : SCENARIO_DEFAULTS.controls.stratifyBy);
+      setRandomPcts(Array.isArray(c.randomPcts) ? c.randomPcts.map((v) => Math.min(100, Math.max(0, Number(v) || 0))) : SCENARIO_DEFAULTS.controls.randomPcts);
+      setPeriods(normalisePeriods(c.periods) || DEFAULT_PERIODS);
+      setEmbargoDays(Math.max(0, Number(c.embargoDays) || 0));
+      setEmbargoAction(EMBARGO_ACTIONS.some((o) => o.id === c.embargoAction) ? c.embargoAction : SCENARIO_DEFAULTS.controls.embargoAction);
+      setCutoffSnap(CUTOFF_SNAP_OPTIONS.some((o) => o.id === c.cutoffSnap) ? c.cutoffSnap : SCENARIO_DEFAULTS.controls.cutoffSnap);
+      setCvEnabled(!!c.cvEnabled);
+      setCvFolds(Math.min(CV_MAX_FOLDS, Math.max(CV_MIN_FOLDS, Number(c.cvFolds) || SCENARIO_DEFAULTS.controls.cvFolds)));
+      setCvStepMonths(Math.max(1, Number(c.cvStepMonths) || SCENARIO_DEFAULTS.controls.cvStepMonths));
+      setAxisTicks(Math.round(numberOr(c.axisTicks, def.axisTicks, 1)));
+      setLabel(c.label == null ? def.label : String(c.label));
+      setRowGap(numberOr(c.rowGap, def.rowGap, 10));
+      const m = c.margins && typeof c.margins === 'object' ? c.margins : {};
+      setMargins(Object.fromEntries(Object.entries(def.margins).map(([k, v]) => [k, numberOr(m[k], v)])));
+      setDataSource(DATA_SOURCES.some((o) => o.id === scenario.data.source) ? scenario.data.source : SCENARIO_DEFAULTS.data.source);
+      if (typeof scenario.data.customJson === 'string') setCustomJson(scenario.data.customJson);
+      if (typeof scenario.data.csvText === 'string') setCsvText(scenario.data.csvText);
+      if (scenario.data.csvMapping && typeof scenario.data.csvMapping === 'object') setCsvMapping(scenario.data.csvMapping);
+      setSelectedClaimId(scenario.selectedClaimId == null ? null : String(scenario.selectedClaimId));
+      setDidInitCuts(true); // keep the saved cutoffs
+      setScenarioStatus({ ok: true, message: `Loaded ${file.name} (saved ${scenario.savedAt || 'unknown'})` });
+    }).catch((e) => setScenarioStatus({ ok: false, message: `${file.name}: ${e.message}` }));
+  }
+
+  const selectedClaim = selectedClaimId ? claims.find((c) => c.staticCovariates.claimId === selectedClaimId) || null : null;
 
   // SVG layout
   const width = 1100;
@@ -472,6 +1849,40 @@ function ClaimsDiagram() {
     return margins.top + 10 + i * rowGap;
   }
 
+  // Dragging a cutoff line: the pointer position is mapped back to a date, snapped, and held between the
+  // neighbouring cutoffs so the sorted order of the cutoff memo never flips mid-drag
+  const [draggingCut, setDraggingCut] = useState(null); // index into periods
+  function startCutDrag(idx, e) {
+    e.stopPropagation();
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+    // The period cutoffs may be unsorted; store the sorted ones so each line owns its own period while dragging
+    setPeriods((ps) => ps.map((p, i) => ({ ...p, cut: toISODate(periodCuts[i]) })));
+    setDidInitCuts(true);
+    setDraggingCut(idx);
+  }
+  function moveCutDrag(e) {
+    if (draggingCut == null || !svgRef.current) return;
+    const rect = svgRef.current.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * width;
+    const frac = (x - margins.left) / (width - margins.left - margins.right);
+    const lo = draggingCut > 0 ? periodCuts[draggingCut - 1] : startDate;
+    const hi = draggingCut < periodCuts.length - 1 ? periodCuts[draggingCut + 1] : endDate;
+    const date = clampDate(snapCutoff(new Date(xMin + frac * (xMax - xMin)), cutoffSnap), lo, hi);
+    setPeriodCut(draggingCut, toISODate(date));
+  }
+  function endCutDrag() {
+    setDraggingCut(null);
+  }
+
+  // Small-multiples layout for cross-validation: two fold panels per row, all the height of the longest fold
+  const cvCols = 2;
+  const cvGap = 16;
+  const cvPanelW = (width - cvGap * (cvCols + 1)) / cvCols;
+  const cvRowH = Math.max(4, Math.round(rowGap / 2));
+  const cvPanelH = 56 + cvRowH * Math.max(1, ...cvFoldRows.map((f) => f.rows.length));
+  const cvHeight = cvGap + Math.ceil(cvFoldRows.length / cvCols) * (cvPanelH + cvGap);
+  const cvTicks = useMemo(() => generateSmartTicks(startDate, endDate, Math.max(2, Math.round(axisTicks / 2))), [startDate, endDate, axisTicks]);
+
   const svgRef = useRef(null);
   function downloadSVG() {
     const svg = svgRef.current;
@@ -487,12 +1898,53 @@ function ClaimsDiagram() {
     URL.revokeObjectURL(url);
   }
 
+  const [exportDpi, setExportDpi] = useState(300);
+  const [exportError, setExportError] = useState(null);
+  function downloadPNG() {
+    if (!svgRef.current) return;
+    setExportError(null);
+    downloadSvgAsPng(svgRef.current, 'claims_splitting_diagram.png', exportDpi).catch((e) => setExportError(e.message));
+  }
+  function downloadPDF() {
+    if (!svgRef.current) return;
+    setExportError(null);
+    downloadSvgAsPdf(svgRef.current, 'claims_splitting_diagram.pdf').catch((e) => setExportError(e.message));
+  }
+
+  // Per-claim split assignments exactly as drawn (current split mode and cutoffs; every fold in cross-validation mode)
+  function downloadAssignments(format) {
+    const isoCuts = (cuts) => Object.fromEntries(periodIds.map((id, i) => [id, toISODate(cuts[i])]));
+    const records = cvEnabled
+      ? cvFoldRows.flatMap((f) => splitAssignmentRecords(f.rows, splitMode, f.fold))
+      : splitAssignmentRecords(rows, splitMode);
+    const base = `split_assignments_${splitMode}${cvEnabled ? `_cv${cvFolds}` : ''}`;
+    if (format === 'csv') {
+      downloadText(assignmentsToCsv(records), `${base}.csv`, 'text/csv;charset=utf-8');
+      return;
+    }
+    const payload = {
+      splitMode,
+      periods: periods.map((p) => ({ id: p.id, label: p.label })),
+      cutoffs: isoCuts(periodCuts),
+      ...(cvEnabled ? { folds: cvFoldRows.map((f) => ({ fold: f.fold, cutoffs: isoCuts(f.cuts) })), cvStepMonths } : {}),
+      observationEnd: toISODate(endDate),
+      rows: records,
+    };
+    downloadText(JSON.stringify(payload, null, 2), `${base}.json`, 'application/json');
+  }
+
   function formatTick(d) {
     const year = d.getUTCFullYear();
     const month = d.getUTCMonth();
     return month === 0 ? String(year) : `${year}-${String(month + 1).padStart(2, '0')}`;
   }
 
+  // Each cutoff carries its IBNR count: claims incurred on or before it but reported after it
+  const cutoffLines = (splitMode === 'random'
+    ? [{ idx: periodCuts.length - 1, label: 'Observation end', x: observationEnd }]
+    : periods.map((p, i) => ({ idx: i, label: `${p.label} cutoff`, x: periodCuts[i] }))
+  ).map((c) => ({ ...c, ibnr: ibnrCountAt(claims, c.x) + ibnrCountAt(unreportedAccidents, c.x) }));
+
   const ticks = useMemo(() => {
     return generateSmartTicks(startDate, endDate, axisTicks);
   }, [startDate, endDate, axisTicks]);
@@ -520,213 +1972,507 @@ function ClaimsDiagram() {
             <input type='radio' name='splitModeTop' value='notifyDup' checked={splitMode === 'notifyDup'} onChange={(e) => setSplitMode(e.target.value)} />
             <span>Both</span>
           </label>
+          <label className='inline-flex items-center gap-2'>
+            <input type='radio' name='splitModeTop' value='accident' checked={splitMode === 'accident'} onChange={(e) => setSplitMode(e.target.value)} />
+            <span>Accident date</span>
+          </label>
+          <label className='inline-flex items-center gap-2'>
+            <input type='radio' name='splitModeTop' value='stratified' checked={splitMode === 'stratified'} onChange={(e) => setSplitMode(e.target.value)} />
+            <span>Stratified</span>
+          </label>
+          <label className='inline-flex items-center gap-2'>
+            <input type='radio' name='splitModeTop' value='calendarRow' checked={splitMode === 'calendarRow'} onChange={(e) => setSplitMode(e.target.value)} />
+            <span>Row-level</span>
+          </label>
+          <label className='inline-flex items-center gap-2'>
+            <input type='radio' name='splitModeTop' value='random' checked={splitMode === 'random'} onChange={(e) => setSplitMode(e.target.value)} />
+            <span>Random</span>
+          </label>
+          <label className='inline-flex items-center gap-2 pl-3 border-l border-gray-300'>
+            <input type='checkbox' checked={cvEnabled} onChange={(e) => setCvEnabled(e.target.checked)} />
+            <span>Rolling-origin CV</span>
+          </label>
+          <label className='inline-flex items-center gap-2 pl-3 border-l border-gray-300' title='Mark the dates each claim’s case estimate (incurred) was revised'>
+            <input type='checkbox' checked={showEstimates} onChange={(e) => setShowEstimates(e.target.checked)} />
+            <span>Case-estimate revisions</span>
+          </label>
         </div>
+        {importResult && importResult.errors.length > 0 && (
+          <div className='mb-3 px-3 py-2 text-sm rounded-lg bg-red-50 text-red-800 ring-1 ring-red-200'>
+            {importResult.errors.length} import problem{importResult.errors.length === 1 ? '' : 's'}: affected rows were not plotted. See the list under Controls → Data source.
+          </div>
+        )}
         <div className='text-sm opacity-80 mb-4'>
           Each horizontal line represents one claim as it develops over time from notification to settlement. Circles mark notification; X marks indicate payments; the final X is the settlement.
-          Colored by dataset: <span style={{ color: COLORS.train }}>Train</span>, <span style={{ color: COLORS.val }}>Validation</span>, <span style={{ color: COLORS.test }}>Test</span>.{' '}<span className='opacity-70'>Claims that settle on or after the Test cutoff appear in grey as Unused.</span>{' '}Censored segments end with a square at the dataset cutoff; the continuation is dashed and faded.
+          Colored by dataset:{' '}
+          {periods.map((p, i) => (
+            <React.Fragment key={p.id}>
+              {i > 0 && ', '}
+              <span style={{ color: p.color }}>{p.label}</span>
+            </React.Fragment>
+          ))}.{' '}<span className='opacity-70'>Claims that fall after the {periods[periods.length - 1].label} cutoff appear in grey as Unused.</span>{' '}Censored segments end with a square at the dataset cutoff; the continuation is dashed and faded.
         </div>
 
+        {exportError && (
+          <div className='mb-3 px-3 py-2 text-sm rounded-lg bg-red-50 text-red-800 ring-1 ring-red-200'>Export failed: {exportError}</div>
+        )}
+        {rowSpan && (
+          <div className='mb-3 px-3 py-2 text-sm rounded-lg bg-gray-50 ring-1 ring-gray-200 max-w-3xl'>
+            Row-level split: {rowSpan.spanning} of {rowSpan.claims} claim{rowSpan.claims === 1 ? ' has' : 's have'} development-quarter rows in more than one dataset;
+            {' '}{rowSpan.movedRows} of {rowSpan.totalRows} observed rows sit in a later dataset than their claim's first row.
+            Ticks mark quarter boundaries; each segment is coloured by the dataset of its quarter end.
+          </div>
+        )}
+        {embargoDays > 0 && (
+          <div className='mb-3 px-3 py-2 text-sm rounded-lg bg-gray-50 ring-1 ring-gray-200 max-w-3xl'>
+            Embargo of {embargoDays} day{embargoDays === 1 ? '' : 's'} after each cutoff but the last:{' '}
+            {embargoCount} of {claims.length} claim{claims.length === 1 ? '' : 's'} notified or settled inside a gap{' '}
+            {embargoAction === 'purge' ? 'purged (drawn as Unused)' : 'flagged (amber diamond)'}.
+          </div>
+        )}
+        {reopenSummary && (
+          <div className='mb-3 px-3 py-2 text-sm rounded-lg bg-gray-50 ring-1 ring-gray-200 max-w-3xl'>
+            {reopenSummary.reopened} of {claims.length} claim{claims.length === 1 ? '' : 's'} reopen after closing (dotted gaps, triangles at the reopens);{' '}
+            {reopenSummary.closedAtCutoff} look{reopenSummary.closedAtCutoff === 1 ? 's' : ''} closed at {splitMode === 'random' ? 'the observation end' : 'their cutoff'} but reopen{reopenSummary.closedAtCutoff === 1 ? 's' : ''} after it.{' '}
+            {REOPEN_CENSORING[splitMode]}
+          </div>
+        )}
+        {randomCalendarLeak && (
+          <div className='mb-3 px-3 py-2 text-sm rounded-lg bg-amber-50 text-amber-900 ring-1 ring-amber-200 max-w-3xl'>
+            Random split: the first {randomCalendarLeak.lastLabel} claim is notified on {toISODate(randomCalendarLeak.firstTest)}, but {randomCalendarLeak.firstLabel} data is observed
+            until {toISODate(randomCalendarLeak.lastTrainObserved)}. {randomCalendarLeak.trainClaims} {randomCalendarLeak.firstLabel} claim{randomCalendarLeak.trainClaims === 1 ? ' is' : 's are'} still
+            being observed after that date, so the model learns from calendar periods it is later tested on.
+          </div>
+        )}
+        {selectedClaim && (
+          <div className='mb-3 text-sm flex items-center gap-3'>
+            <span>
+              Selected claim <span className='font-mono'>{selectedClaim.staticCovariates.claimId}</span>: notified {toISODate(selectedClaim.notify)},
+              settled {toISODate(selectedClaim.settlement)}
+              {closedGaps(selectedClaim).map((g, j) => <span key={j}>; closed {toISODate(g.from)}, reopened {toISODate(g.to)}</span>)}
+              {(() => {
+                const { gross, recovered, net } = grossNetAmounts(selectedClaim.payments);
+                return recovered > 0 ? <span>; paid {Math.round(gross).toLocaleString()} gross, {Math.round(recovered).toLocaleString()} recovered, {Math.round(net).toLocaleString()} net</span> : null;
+              })()}
+              {showEstimates && <span>; {caseEstimateRevisions(selectedClaim).length} case-estimate revision{caseEstimateRevisions(selectedClaim).length === 1 ? '' : 's'}</span>}
+              {(() => {
+                const row = rows.find((r) => r.quarterRows && r.claim === selectedClaim);
+                if (!row) return null;
+                const counts = periodIds.map((d) => [d, row.quarterRows.filter((q) => q.dataset === d).length]).filter(([, n]) => n > 0);
+                return <>; rows {counts.map(([d, n]) => <span key={d} style={{ color: COLORS[d] }}> {periodLabel(d)} {n}</span>)}</>;
+              })()}
+            </span>
+            <button onClick={() => setSelectedClaimId(null)} className='text-xs px-2 py-1 rounded-lg ring-1 ring-gray-300 hover:bg-gray-50'>
+              Clear
+            </button>
+          </div>
+        )}
+
         <div className='w-4/5 overflow-auto rounded-2xl ring-1 ring-gray-300'>
-          <svg ref={svgRef} xmlns='http://www.w3.org/2000/svg' viewBox={`0 0 ${width} ${height}`} width='100%' role='img'>
-            <rect x={0} y={0} width={width} height={height} fill='white' />
-
-            <defs>
-              <marker id='dup-arrow' viewBox='0 0 10 10' refX='6' refY='5' markerWidth='6' markerHeight='6' orient='auto-start-reverse'>
-                <path d='M 0 0 L 10 5 L 0 10 z' fill='#6b7280' />
-              </marker>
-            </defs>
-
-            {/* Axis */}
-            <g>
-              <line x1={margins.left} y1={margins.top + 10 + contentHeight + 10} x2={width - margins.right} y2={margins.top + 10 + contentHeight + 10} stroke='#111827' strokeWidth={1} />
-              {ticks.map((t, i) => {
-                const x = xScale(t);
-                return (
-                  <g key={i}>
-                    <line x1={x} y1={margins.top + 10 + contentHeight + 10} x2={x} y2={margins.top + 10 + contentHeight + 15} stroke='#111827' strokeWidth={1} />
-                    <text x={x} y={margins.top + 10 + contentHeight + 30} textAnchor='middle' fontSize={10} fill='#111827'>
-                      {formatTick(t)}
-                    </text>
-                  </g>
-                );
-              })}
-              <text x={(margins.left + width - margins.right) / 2} y={height - 10} textAnchor='middle' fontSize={12} fill='#111827'>
-                {label}
-              </text>
-            </g>
-
-            {/* Cutoff lines */}
-            <g>
-              {[{ label: 'Train cutoff', x: trainCut }, { label: 'Validation cutoff', x: valCut }, { label: 'Test cutoff', x: testCut }].map((c, idx) => {
-                const x = xScale(c.x);
-                return (
-                  <g key={idx}>
-                    <line x1={x} y1={margins.top} x2={x} y2={margins.top + 10 + contentHeight} stroke='#6b7280' strokeWidth={1} strokeDasharray='4 4' opacity={0.7} />
-                    <text x={x} y={margins.top - 5} textAnchor='middle' fontSize={10} fill='#6b7280'>
-                      {c.label}
-                    </text>
-                  </g>
-                );
-              })}
-            </g>
-
-            {/* Claims */}
-            <g>
-              {rows.map((r, idx) => {
-                const c = r.claim;
-                const y = yScale(idx);
-                const color = COLORS[r.dataset] || '#000';
-                const xNotify = xScale(c.notify);
-                
-                // Determine settlement position and observed end
-                const settlementClamped = clampDate(c.settlement, startDate, endDate);
-                const observedEndClamped = r.observedEnd ? clampDate(r.observedEnd, startDate, endDate) : settlementClamped;
-                const xSettlement = xScale(settlementClamped);
-                
-                return (
-                  <g key={`${idx}-${r.isDuplicate ? 'dup' : 'main'}`}>
-                    {/* Main line segment */}
-                    {(() => {
-                      let mainLineEnd = xSettlement;
-                      let mainLineOpacity = 1;
-                      let mainLineDash = null;
-                      
-                      // For duplicates with data leakage
-                      if (r.isDuplicate && r.leakUntil) {
-                        const leakEndX = xScale(r.leakUntil);
-                        // Show leaked portion as dashed/faded
-                        if (xNotify < leakEndX) {
-                          return (
-                            <>
-                              <line
-                                x1={xNotify}
-                                y1={y}
-                                x2={Math.min(leakEndX, xSettlement)}
-                                y2={y}
-                                stroke={color}
-                                strokeWidth={2}
-                                strokeDasharray={LEAK_DASH}
-                                opacity={LEAK_OPACITY}
-                              />
-                              {leakEndX < xSettlement && (
-                                <line
-                                  x1={leakEndX}
-                                  y1={y}
-                                  x2={xSettlement}
-                                  y2={y}
+          {cvEnabled ? (
+            <svg ref={svgRef} xmlns='http://www.w3.org/2000/svg' viewBox={`0 0 ${width} ${cvHeight}`} width='100%' role='img'>
+              <rect x={0} y={0} width={width} height={cvHeight} fill='white' />
+              {cvFoldRows.map((f, k) => (
+                <FoldPanel
+                  key={f.fold}
+                  fold={f}
+                  rows={f.rows}
+                  cutLines={splitMode === 'random' ? [f.cuts[f.cuts.length - 1]] : f.cuts}
+                  embargoDays={embargoDays}
+                  x={cvGap + (k % cvCols) * (cvPanelW + cvGap)}
+                  y={cvGap + Math.floor(k / cvCols) * (cvPanelH + cvGap)}
+                  width={cvPanelW}
+                  height={cvPanelH}
+                  rowH={cvRowH}
+                  startDate={startDate}
+                  endDate={endDate}
+                  ticks={cvTicks}
+                  formatTick={formatTick}
+                  colors={COLORS}
+                  selectedClaimId={selectedClaimId}
+                  onSelect={setSelectedClaimId}
+                />
+              ))}
+            </svg>
+          ) : (
+            <svg
+              ref={svgRef}
+              xmlns='http://www.w3.org/2000/svg'
+              viewBox={`0 0 ${width} ${height}`}
+              width='100%'
+              role='img'
+              onPointerMove={moveCutDrag}
+              onPointerUp={endCutDrag}
+              onPointerCancel={endCutDrag}
+              style={draggingCut != null ? { cursor: 'ew-resize', userSelect: 'none' } : undefined}
+            >
+              <rect x={0} y={0} width={width} height={height} fill='white' />
+
+              <defs>
+                <marker id='dup-arrow' viewBox='0 0 10 10' refX='6' refY='5' markerWidth='6' markerHeight='6' orient='auto-start-reverse'>
+                  <path d='M 0 0 L 10 5 L 0 10 z' fill='#6b7280' />
+                </marker>
+                <pattern id='embargo-hatch' patternUnits='userSpaceOnUse' width='6' height='6' patternTransform='rotate(45)'>
+                  <line x1='0' y1='0' x2='0' y2='6' stroke='#9ca3af' strokeWidth='2' />
+                </pattern>
+              </defs>
+
+              {/* Axis */}
+              <g>
+                <line x1={margins.left} y1={margins.top + 10 + contentHeight + 10} x2={width - margins.right} y2={margins.top + 10 + contentHeight + 10} stroke='#111827' strokeWidth={1} />
+                {ticks.map((t, i) => {
+                  const x = xScale(t);
+                  return (
+                    <g key={i}>
+                      <line x1={x} y1={margins.top + 10 + contentHeight + 10} x2={x} y2={margins.top + 10 + contentHeight + 15} stroke='#111827' strokeWidth={1} />
+                      <text x={x} y={margins.top + 10 + contentHeight + 30} textAnchor='middle' fontSize={10} fill='#111827'>
+                        {formatTick(t)}
+                      </text>
+                    </g>
+                  );
+                })}
+                <text x={(margins.left + width - margins.right) / 2} y={height - 10} textAnchor='middle' fontSize={12} fill='#111827'>
+                  {label}
+                </text>
+              </g>
+
+              {/* Cutoff lines */}
+              <g>
+                {cutoffLines.map((c) => {
+                  const x = xScale(c.x);
+                  const active = draggingCut === c.idx;
+                  return (
+                    <g key={c.idx}>
+                      <line x1={x} y1={margins.top} x2={x} y2={margins.top + 10 + contentHeight} stroke={active ? '#111827' : '#6b7280'} strokeWidth={active ? 1.5 : 1} strokeDasharray='4 4' opacity={0.7} />
+                      <text x={x} y={margins.top - 5} textAnchor='middle' fontSize={10} fill={active ? '#111827' : '#6b7280'}>
+                        {active ? `${c.label}: ${toISODate(c.x)}` : c.label}
+                      </text>
+                      <text x={x + 3} y={margins.top + 10 + contentHeight + 7} fontSize={9} fill='#6b7280'>
+                        IBNR {c.ibnr}
+                        <title>{`${c.ibnr} claim${c.ibnr === 1 ? '' : 's'} incurred by ${toISODate(c.x)} but reported after it`}</title>
+                      </text>
+                    </g>
+                  );
+                })}
+              </g>
+
+              {/* Embargo gaps after each cutoff but the last */}
+              <g>
+                {embargoWindows(periodCuts, embargoDays).map((g, i) => {
+                  const x1 = xScale(clampDate(g.from, startDate, endDate));
+                  const x2 = xScale(clampDate(g.to, startDate, endDate));
+                  return (
+                    <rect key={i} x={x1} y={margins.top} width={Math.max(0, x2 - x1)} height={10 + contentHeight} fill='url(#embargo-hatch)' opacity={0.6}>
+                      <title>{`Embargo ${toISODate(g.from)} to ${toISODate(addDays(g.to, -1))}`}</title>
+                    </rect>
+                  );
+                })}
+              </g>
+
+              {/* Calendar-quarter shocks */}
+              <g>
+                {calendarShocks.map((sh, i) => {
+                  const w = shockWindow(sh);
+                  if (w.to <= startDate || w.from >= endDate) return null;
+                  const type = SHOCK_TYPES.find((t) => t.id === sh.type);
+                  const x1 = xScale(clampDate(w.from, startDate, endDate));
+                  const x2 = xScale(clampDate(w.to, startDate, endDate));
+                  return (
+                    <rect key={i} x={x1} y={margins.top} width={Math.max(0, x2 - x1)} height={10 + contentHeight} fill={type.color} opacity={0.12}>
+                      <title>{`${type.label}, ${sh.quarter}${sh.type === 'courtAward' ? ` (+${Math.round(sh.size * 100)}%)` : sh.type === 'backlog' ? ` (${sh.size} days)` : ''}`}</title>
+                    </rect>
+                  );
+                })}
+              </g>
+
+              {/* Claims */}
+              <g>
+                {rows.map((r, idx) => {
+                  const c = r.claim;
+                  const y = yScale(idx);
+                  const color = COLORS[r.dataset] || '#000';
+                  const xNotify = xScale(c.notify);
+                  const xAccident = xScale(clampDate(c.accident, startDate, endDate));
+                  
+                  // Determine settlement position and observed end
+                  const settlementClamped = clampDate(c.settlement, startDate, endDate);
+                  const observedEndClamped = r.observedEnd ? clampDate(r.observedEnd, startDate, endDate) : settlementClamped;
+                  const xSettlement = xScale(settlementClamped);
+                  
+                  const claimId = c.staticCovariates.claimId;
+                  const isSelected = claimId === selectedClaimId;
+                  // Closed periods before a reopen, in pixels
+                  const gaps = closedGaps(c).filter((g) => g.from < endDate);
+                  const xGaps = gaps.map((g) => [xScale(clampDate(g.from, startDate, endDate)), xScale(clampDate(g.to, startDate, endDate))]);
+                  // Row-level mode colours payments by the development-quarter row they fall in
+                  const markColor = (t) => {
+                    if (!r.quarterRows) return color;
+                    const q = r.quarterRows.find((qr) => t >= qr.start && t < qr.end);
+                    return q ? COLORS[q.dataset] : COLORS.post;
+                  };
+
+                  return (
+                    <g
+                      key={`${idx}-${r.isDuplicate ? 'dup' : 'main'}`}
+                      onClick={() => setSelectedClaimId(isSelected ? null : claimId)}
+                      style={{ cursor: 'pointer' }}
+                    >
+                      {/* Selection highlight, plus a transparent hit area so the thin line is easy to click */}
+                      <rect
+                        x={xAccident - 8}
+                        y={y - rowGap / 2}
+                        width={Math.max(0, xSettlement - xAccident) + 16}
+                        height={rowGap}
+                        fill={isSelected ? '#fde68a' : 'transparent'}
+                        opacity={isSelected ? 0.6 : 1}
+                        rx={4}
+                      />
+
+                      {/* Main line segment */}
+                      {(() => {
+                        let mainLineEnd = xSettlement;
+                        let mainLineOpacity = 1;
+                        let mainLineDash = null;
+                        
+                        // Row-level mode: one segment per development-quarter row, ticks at the quarter boundaries
+                        if (r.quarterRows) {
+                          const lineEnd = Math.min(settlementClamped.getTime(), observedEndClamped.getTime());
+                          return r.quarterRows.map((q, j) => {
+                            const x1 = xScale(q.start < c.notify ? c.notify : q.start);
+                            const x2 = xScale(new Date(Math.min(q.end.getTime(), lineEnd)));
+                            const qColor = COLORS[q.dataset];
+                            return (
+                              <g key={j}>
+                                <GappedLine x1={x1} x2={Math.max(x1, x2)} y={y} xGaps={xGaps} stroke={qColor} strokeWidth={2} />
+                                {j > 0 && <line x1={x1} y1={y - 4} x2={x1} y2={y + 4} stroke={qColor} strokeWidth={1} />}
+                              </g>
+                            );
+                          });
+                        }
+
+                        // For duplicates with data leakage
+                        if (r.isDuplicate && r.leakUntil) {
+                          const leakEndX = xScale(r.leakUntil);
+                          // Show leaked portion as dashed/faded
+                          if (xNotify < leakEndX) {
+                            return (
+                              <>
+                                <GappedLine
+                                  x1={xNotify}
+                                  x2={Math.min(leakEndX, xSettlement)}
+                                  y={y}
+                                  xGaps={xGaps}
                                   stroke={color}
                                   strokeWidth={2}
+                                  strokeDasharray={LEAK_DASH}
+                                  opacity={LEAK_OPACITY}
                                 />
-                              )}
-                            </>
-                          );
+                                {leakEndX < xSettlement && (
+                                  <GappedLine
+                                    x1={leakEndX}
+                                    x2={xSettlement}
+                                    y={y}
+                                    xGaps={xGaps}
+                                    stroke={color}
+                                    strokeWidth={2}
+                                  />
+                                )}
+                              </>
+                            );
+                          }
                         }
-                      }
-                      
-                      // For censored primary claims
-                      if (!r.isDuplicate && r.isCensored) {
-                        const xObservedEnd = xScale(observedEndClamped);
-                        mainLineEnd = xObservedEnd;
-                      }
-                      
-                      return (
+                        
+                        // For censored primary claims (an accident-mode claim can be censored before it is notified)
+                        if (!r.isDuplicate && r.isCensored) {
+                          const xObservedEnd = xScale(observedEndClamped);
+                          mainLineEnd = Math.max(xNotify, xObservedEnd);
+                        }
+                        
+                        return (
+                          <GappedLine
+                            x1={xNotify}
+                            x2={mainLineEnd}
+                            y={y}
+                            xGaps={xGaps}
+                            stroke={color}
+                            strokeWidth={2}
+                            strokeDasharray={mainLineDash}
+                            opacity={mainLineOpacity}
+                          />
+                        );
+                      })()}
+
+                      {/* Reporting delay: accident (filled dot) to notification, dotted; in accident mode cut at the observed end if not yet reported */}
+                      <line
+                        x1={xAccident}
+                        y1={y}
+                        x2={splitMode === 'accident' && r.isCensored ? Math.min(xNotify, xScale(observedEndClamped)) : xNotify}
+                        y2={y}
+                        stroke={color}
+                        strokeWidth={1.5}
+                        strokeDasharray='2 3'
+                        opacity={0.7}
+                      />
+                      <circle cx={xAccident} cy={y} r={2.5} fill={color} />
+
+                      {/* Notification circle; a stratified claim moved off its notify dataset gets an outer ring in that dataset's colour */}
+                      <circle cx={xNotify} cy={y} r={4} fill='white' stroke={color} strokeWidth={2} />
+                      {r.movedFrom && <circle cx={xNotify} cy={y} r={7} fill='none' stroke={COLORS[r.movedFrom]} strokeWidth={1.5} />}
+                      {/* Embargo flag: amber diamond left of the notification */}
+                      {r.embargo === 'flagged' && (
+                        <path d={`M ${xNotify - 14} ${y} l 4 -4 l 4 4 l -4 4 z`} fill='#f59e0b' stroke='#b45309' strokeWidth={1} />
+                      )}
+
+                      {/* Settlement mark */}
+                      <XMark x={xSettlement} y={y} size={6} strokeWidth={2} color={markColor(c.settlement)} />
+
+                      {/* Interim closures (bar) and reopens (triangle), faded where the row no longer observes them */}
+                      {gaps.map((g, j) => {
+                        const unseen = (!r.isDuplicate && r.isCensored && g.to > observedEndClamped) || g.to > observationEnd;
+                        const xClosed = xScale(clampDate(g.from, startDate, endDate));
+                        const xReopen = xScale(clampDate(g.to, startDate, endDate));
+                        return (
+                          <g key={`reopen-${j}`} opacity={unseen ? FADE_OPACITY : 1}>
+                            <line x1={xClosed} y1={y - 5} x2={xClosed} y2={y + 5} stroke={markColor(g.from)} strokeWidth={2} />
+                            <path d={`M ${xReopen} ${y - 7} l 4 6 l -8 0 z`} fill={markColor(g.to)} />
+                          </g>
+                        );
+                      })}
+
+                      {/* link from original notification to duplicate (only in notifyDup) */}
+                      {splitMode === 'notifyDup' && r.isDuplicate && typeof r.linkFrom === 'number' && (
                         <line
                           x1={xNotify}
-                          y1={y}
-                          x2={mainLineEnd}
-                          y2={y}
-                          stroke={color}
-                          strokeWidth={2}
-                          strokeDasharray={mainLineDash}
-                          opacity={mainLineOpacity}
+                          y1={yScale(r.linkFrom) + 5}
+                          x2={xNotify}
+                          y2={y - 5}
+                          stroke='#6b7280'
+                          strokeDasharray='2 2'
+                          markerEnd='url(#dup-arrow)'
+                          opacity={0.7}
                         />
-                      );
-                    })()}
+                      )}
 
-                    {/* Notification circle */}
-                    <circle cx={xNotify} cy={y} r={4} fill='white' stroke={color} strokeWidth={2} />
+                      {/* Primary censored continuation (no dashed tail if duplicate exists) */}
+                      {!r.isDuplicate && r.isCensored && (
+                        <>
+                          {!r.hasDuplicate && settlementClamped.getTime() > observedEndClamped.getTime() && (
+                            <GappedLine
+                              x1={xScale(observedEndClamped)}
+                              x2={xScale(settlementClamped)}
+                              y={y}
+                              xGaps={xGaps}
+                              stroke={splitMode === 'notify' || splitMode === 'accident' || splitMode === 'random' ? COLORS.post : color}
+                              strokeWidth={2}
+                              strokeDasharray='6 6'
+                              opacity={FADE_OPACITY}
+                            />
+                          )}
+                          <SquareMark x={xScale(observedEndClamped)} y={y} size={10} strokeWidth={2} color={color} />
+                        </>
+                      )}
 
-                    {/* Settlement mark */}
-                    <XMark x={xSettlement} y={y} size={6} strokeWidth={2} color={color} />
+                      {/* partial payments, recoveries and (optionally) case-estimate revisions */}
+                      {[
+                        ...c.partials.map((t) => ({ t, kind: 'partial' })),
+                        ...(c.recoveries || []).map((t) => ({ t, kind: 'recovery' })),
+                        ...(showEstimates ? caseEstimateRevisions(c).map((e) => ({ t: e.date, kind: 'estimate', up: e.amount > e.previous })) : []),
+                      ].map(({ t, kind, up }, j) => {
+                        if (t > observationEnd) return null; // never show events after observation end
 
-                    {/* link from original notification to duplicate (only in notifyDup) */}
-                    {splitMode === 'notifyDup' && r.isDuplicate && typeof r.linkFrom === 'number' && (
-                      <line
-                        x1={xNotify}
-                        y1={yScale(r.linkFrom) + 5}
-                        x2={xNotify}
-                        y2={y - 5}
-                        stroke='#6b7280'
-                        strokeDasharray='2 2'
-                        markerEnd='url(#dup-arrow)'
-                        opacity={0.7}
-                      />
-                    )}
+                        // Determine visibility window per row
+                        let visibleUntil = settlementClamped;
+                        if (!r.isDuplicate && r.isCensored && r.hasDuplicate) {
+                          // Primary censored with duplicate: show only up to observed cutoff
+                          visibleUntil = observedEndClamped;
+                        }
+                        if (t > visibleUntil) return null;
 
-                    {/* Primary censored continuation (no dashed tail if duplicate exists) */}
-                    {!r.isDuplicate && r.isCensored && (
-                      <>
-                        {!r.hasDuplicate && settlementClamped.getTime() > observedEndClamped.getTime() && (
-                          <line
-                            x1={xScale(observedEndClamped)}
-                            y1={y}
-                            x2={xScale(settlementClamped)}
-                            y2={y}
-                            stroke={splitMode === 'notify' ? COLORS.post : color}
-                            strokeWidth={2}
-                            strokeDasharray='6 6'
-                            opacity={FADE_OPACITY}
-                          />
-                        )}
-                        <SquareMark x={xScale(observedEndClamped)} y={y} size={10} strokeWidth={2} color={color} />
-                      </>
-                    )}
+                        // Opacity rules
+                        let op = 1;
+                        if (!r.isDuplicate && r.isCensored && !r.hasDuplicate && t > observedEndClamped) op = FADE_OPACITY; // faded beyond cutoff when no duplicate
+                        if (r.isDuplicate) {
+                          const leakUntil = r.leakUntil || periodCuts[0];
+                          if (t < leakUntil) op = LEAK_OPACITY; // leaked portion of duplicate
+                        }
 
-                    {/* partial payments */}
-                    {c.partials.map((t, j) => {
-                      if (t > testCut) return null; // never show events after observation end
-
-                      // Determine visibility window per row
-                      let visibleUntil = settlementClamped;
-                      if (!r.isDuplicate && r.isCensored && r.hasDuplicate) {
-                        // Primary censored with duplicate: show only up to observed cutoff
-                        visibleUntil = observedEndClamped;
-                      }
-                      if (t > visibleUntil) return null;
-
-                      // Opacity rules
-                      let op = 1;
-                      if (!r.isDuplicate && r.isCensored && !r.hasDuplicate && t > observedEndClamped) op = FADE_OPACITY; // faded beyond cutoff when no duplicate
-                      if (r.isDuplicate) {
-                        const leakUntil = r.leakUntil || trainCut;
-                        if (t < leakUntil) op = LEAK_OPACITY; // leaked portion of duplicate
-                      }
-
-                      const x = xScale(t);
-                      return <XMark key={j} x={x} y={y} size={4} strokeWidth={1.5} color={color} opacity={op} />;
-                    })}
-                  </g>
-                );
-              })}
-            </g>
-          </svg>
+                        const x = xScale(t);
+                        if (kind === 'estimate') return <EstimateMark key={j} x={x} y={y} up={up} color={markColor(t)} opacity={op} />;
+                        if (kind === 'recovery') return <RecoveryMark key={j} x={x} y={y} color={markColor(t)} opacity={op} />;
+                        return <XMark key={j} x={x} y={y} size={4} strokeWidth={1.5} color={markColor(t)} opacity={op} />;
+                      })}
+                    </g>
+                  );
+                })}
+              </g>
+
+              {/* Drag handles for the cutoff lines, above the claims so they win the pointer */}
+              <g>
+                {cutoffLines.map((c) => {
+                  const x = xScale(c.x);
+                  return (
+                    <line
+                      key={c.idx}
+                      x1={x}
+                      y1={margins.top - 16}
+                      x2={x}
+                      y2={margins.top + 10 + contentHeight}
+                      stroke='transparent'
+                      strokeWidth={10}
+                      style={{ cursor: 'ew-resize' }}
+                      onPointerDown={(e) => startCutDrag(c.idx, e)}
+                    >
+                      <title>{`Drag to move the ${c.label.toLowerCase()}`}</title>
+                    </line>
+                  );
+                })}
+              </g>
+            </svg>
+          )}
         </div>
+        {cvEnabled && (
+          <div className='mt-3 w-4/5 overflow-auto rounded-2xl ring-1 ring-gray-300'>
+            <table className='w-full text-sm'>
+              <thead className='bg-gray-50'>
+                <tr>
+                  <th className='px-3 py-2 text-left font-medium'>Fold</th>
+                  <th className='px-3 py-2 text-left font-medium'>Cutoffs (train · val · test)</th>
+                  {[...periods.map((p) => [p.id, p.label]), ['post', 'Unused'], ['all', 'Total']].map(([key, name]) => (
+                    <th key={key} className='px-3 py-2 text-right font-medium' style={{ color: COLORS[key] }}>{name} claims / rows</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {cvFoldRows.map((f) => (
+                  <tr key={f.fold} className='border-t border-gray-200'>
+                    <td className='px-3 py-1'>{f.fold}</td>
+                    <td className='px-3 py-1 font-mono text-xs'>
+                      {f.cuts.map((d) => toISODate(d)).join(' · ')}
+                      {f.noTraining && <span className='ml-2 font-sans text-red-700'>no training window</span>}
+                    </td>
+                    {[...periodIds, 'post', 'all'].map((key) => (
+                      <td key={key} className='px-3 py-1 text-right tabular-nums'>{f.counts[key].claims} / {f.counts[key].rows}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className='px-3 py-2 text-xs text-gray-600 border-t border-gray-200'>
+              Fold {cvFolds} uses the cutoffs set under Controls; each earlier fold moves them all back by {cvStepMonths} month{cvStepMonths === 1 ? '' : 's'}.
+              Total rows exceed total claims where the "Both" split duplicates a claim into the next dataset.
+            </div>
+          </div>
+        )}
         <div className='mt-3 relative w-4/5'>
           {/* Legend overlay */}
           <div className='pointer-events-none absolute inset-0 flex justify-center items-center'>
             <div className='flex items-center gap-4 text-sm'>
-              <span className='flex items-center gap-2'>
-                <span className='inline-block w-4 h-0.5' style={{ background: COLORS.train }} />
-                Train
-              </span>
-              <span className='flex items-center gap-2'>
-                <span className='inline-block w-4 h-0.5' style={{ background: COLORS.val }} />
-                Validation
-              </span>
-              <span className='flex items-center gap-2'>
-                <span className='inline-block w-4 h-0.5' style={{ background: COLORS.test }} />
-                Test
-              </span>
+              {periods.map((p) => (
+                <span key={p.id} className='flex items-center gap-2'>
+                  <span className='inline-block w-4 h-0.5' style={{ background: p.color }} />
+                  {p.label}
+                </span>
+              ))}
               <span className='flex items-center gap-2 opacity-70'>
                 <span className='inline-block w-4 h-0.5' style={{ background: COLORS.post }} />
                 Unused
@@ -743,11 +2489,93 @@ function ClaimsDiagram() {
               <button onClick={downloadSVG} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Download SVG'>
                 Download SVG
               </button>
+              <div className='flex items-center rounded-xl ring-1 ring-gray-300 overflow-hidden'>
+                <button onClick={downloadPNG} className='px-3 py-2 hover:bg-gray-50' title='Download PNG at the chosen resolution'>
+                  Download PNG
+                </button>
+                <select className='py-2 pr-1 text-sm bg-transparent border-l border-gray-300' value={exportDpi} onChange={(e) => setExportDpi(Number(e.target.value))} title='PNG resolution'>
+                  {[96, 150, 300, 600].map((d) => <option key={d} value={d}>{d} dpi</option>)}
+                </select>
+              </div>
+              <button onClick={downloadPDF} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Download vector PDF'>
+                Download PDF
+              </button>
+              <button onClick={() => downloadAssignments('csv')} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Download per-claim split assignments as CSV'>
+                Export split CSV
+              </button>
+              <button onClick={() => downloadAssignments('json')} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Download per-claim split assignments as JSON'>
+                Export split JSON
+              </button>
               <button onClick={() => setSeedText(String(Date.now()))} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Randomise dataset'>Randomise dataset</button>
+              <button onClick={() => setShowStats(!showStats)} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Per-dataset claims, rows, censoring, dollars and duration for each split mode'>
+                {showStats ? 'Hide statistics' : 'Split statistics'}
+              </button>
+              <button onClick={() => setShowAudit(!showAudit)} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Payments, dollars and rows shared between datasets, per split mode'>
+                {showAudit ? 'Hide leakage audit' : 'Leakage audit'}
+              </button>
+              {splitMode !== 'stratified' && (
+                <button onClick={() => setShowBalance(!showBalance)} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Per-dataset mix of a covariate'>
+                  {showBalance ? 'Hide balance' : 'Covariate balance'}
+                </button>
+              )}
+              <button
+                onClick={copyShareLink}
+                className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50'
+                title={dataSource === 'simulated' ? 'Copy a link that reopens this exact diagram' : 'Copy a link to these settings (imported data is not part of the link)'}
+              >
+                {linkCopied ? 'Link copied' : 'Copy link'}
+              </button>
             </div>
             <div />
             <div className='flex justify-end items-center gap-4 text-sm'>
-              {splitMode === 'notify' && (
+              {SHOCK_TYPES.filter((t) => calendarShocks.some((sh) => sh.type === t.id)).map((t) => (
+                <span key={t.id} className='flex items-center gap-2 opacity-80'>
+                  <svg width='12' height='12' className='inline-block' aria-hidden>
+                    <rect x='0' y='0' width='12' height='12' fill={t.color} opacity='0.25' />
+                  </svg>
+                  {t.label}
+                </span>
+              ))}
+              {reopenSummary && (
+                <span className='flex items-center gap-2 opacity-80'>
+                  <svg width='28' height='12' className='inline-block' aria-hidden>
+                    <line x1='0' y1='6' x2='6' y2='6' stroke='#6b7280' strokeWidth='2' />
+                    <line x1='6' y1='1' x2='6' y2='11' stroke='#6b7280' strokeWidth='2' />
+                    <line x1='6' y1='6' x2='20' y2='6' stroke='#6b7280' strokeWidth='1' strokeDasharray='1 3' />
+                    <path d='M 20 0 l 4 6 l -8 0 z' fill='#6b7280' />
+                    <line x1='20' y1='6' x2='28' y2='6' stroke='#6b7280' strokeWidth='2' />
+                  </svg>
+                  Closed, reopened
+                </span>
+              )}
+              {showEstimates && (
+                <span className='flex items-center gap-2 opacity-80'>
+                  <svg width='16' height='22' className='inline-block' aria-hidden>
+                    <line x1='0' y1='11' x2='16' y2='11' stroke='#6b7280' strokeWidth='1' />
+                    <EstimateMark x={5} y={11} up color='#6b7280' />
+                    <EstimateMark x={11} y={11} up={false} color='#6b7280' />
+                  </svg>
+                  Estimate raised / cut
+                </span>
+              )}
+              {hasRecoveries && (
+                <span className='flex items-center gap-2 opacity-80'>
+                  <svg width='12' height='12' className='inline-block' aria-hidden>
+                    <circle cx='6' cy='6' r='5' fill='white' stroke='#6b7280' strokeWidth='1.5' />
+                    <line x1='3' y1='6' x2='9' y2='6' stroke='#6b7280' strokeWidth='1.5' />
+                  </svg>
+                  Recovery
+                </span>
+              )}
+              <span className='flex items-center gap-2 opacity-80' title='Accident date (dot) to notification; the count at each cutoff is the claims incurred but not yet reported (IBNR) there'>
+                <svg width='28' height='10' className='inline-block' aria-hidden>
+                  <line x1='3' y1='5' x2='20' y2='5' stroke='#6b7280' strokeWidth='1.5' strokeDasharray='2 3' />
+                  <circle cx='3' cy='5' r='2.5' fill='#6b7280' />
+                  <circle cx='23' cy='5' r='3.5' fill='white' stroke='#6b7280' strokeWidth='1.5' />
+                </svg>
+                Reporting delay
+              </span>
+              {(splitMode === 'notify' || splitMode === 'accident' || splitMode === 'random') && (
                 <span className='flex items-center gap-2 opacity-80'>
                   <svg width='24' height='8' className='inline-block' aria-hidden>
                     <line x1='0' y1='4' x2='24' y2='4' stroke='#6b7280' strokeWidth='2' strokeDasharray='6 6' />
@@ -763,10 +2591,179 @@ function ClaimsDiagram() {
                   Data Leakage
                 </span>
               )}
+              {splitMode === 'stratified' && (
+                <span className='flex items-center gap-2 opacity-80'>
+                  <svg width='16' height='16' className='inline-block' aria-hidden>
+                    <circle cx='8' cy='8' r='3' fill='white' stroke='#6b7280' strokeWidth='2' />
+                    <circle cx='8' cy='8' r='6.5' fill='none' stroke='#6b7280' strokeWidth='1.5' />
+                  </svg>
+                  Moved across a cutoff
+                </span>
+              )}
             </div>
           </div>
         </div>
 
+        {(showBalance || splitMode === 'stratified') && (
+          <div className='mt-4 w-4/5 rounded-2xl ring-1 ring-gray-300 overflow-auto'>
+            <div className='px-3 py-2 flex flex-wrap items-center gap-3 text-sm bg-gray-50 border-b border-gray-200'>
+              <span className='font-medium'>Covariate balance</span>
+              <select className='p-1 rounded-lg ring-1 ring-gray-300 bg-white' value={stratifyBy} onChange={(e) => setStratifyBy(e.target.value)}>
+                {STRATIFY_COVARIATES.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+              </select>
+              <span className='text-xs text-gray-600'>
+                Share of each dataset's claims per value; deviation in percentage points from the overall mix across all periods.
+                {splitMode === 'stratified' && ` ${movedCount} claim${movedCount === 1 ? '' : 's'} moved off ${movedCount === 1 ? 'its' : 'their'} notify-date dataset.`}
+              </span>
+            </div>
+            <table className='w-full text-sm'>
+              <thead>
+                <tr className='text-xs text-gray-600'>
+                  <th className='px-3 py-1 text-left font-medium'>Value</th>
+                  <th className='px-3 py-1 text-right font-medium'>Claims</th>
+                  <th className='px-3 py-1 text-right font-medium'>Overall</th>
+                  {periodIds.map((d) => (
+                    <th key={d} className='px-3 py-1 text-right font-medium' style={{ color: COLORS[d] }} colSpan={2}>
+                      {periodLabel(d)} ({balance.totals[d]})
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {balance.values.map((v) => (
+                  <tr key={v.value} className='border-t border-gray-200'>
+                    <td className='px-3 py-1'>{v.value}</td>
+                    <td className='px-3 py-1 text-right tabular-nums'>{v.count}</td>
+                    <td className='px-3 py-1 text-right tabular-nums'>{(v.overall * 100).toFixed(1)}%</td>
+                    {periodIds.map((d) => {
+                      const dev = v[d].deviation;
+                      return (
+                        <React.Fragment key={d}>
+                          <td className='pl-3 py-1 text-right tabular-nums'>{v[d].share == null ? '–' : `${(v[d].share * 100).toFixed(1)}%`}</td>
+                          <td className={`pr-3 pl-1 py-1 text-right tabular-nums text-xs ${dev != null && Math.abs(dev) >= 0.05 ? 'text-red-700' : 'text-gray-500'}`}>
+                            {dev == null ? '' : `${dev >= 0 ? '+' : '−'}${Math.abs(dev * 100).toFixed(1)}`}
+                          </td>
+                        </React.Fragment>
+                      );
+                    })}
+                  </tr>
+                ))}
+                <tr className='border-t border-gray-300 text-xs text-gray-600'>
+                  <td className='px-3 py-1' colSpan={3}>Largest absolute deviation</td>
+                  {periodIds.map((d) => (
+                    <td key={d} className='px-3 py-1 text-right tabular-nums' colSpan={2}>{(balance.maxDeviation[d] * 100).toFixed(1)} pp</td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {splitStats && (
+          <div className='mt-4 w-4/5 rounded-2xl ring-1 ring-gray-300 overflow-auto'>
+            <div className='px-3 py-2 text-sm bg-gray-50 border-b border-gray-200'>
+              <span className='font-medium'>Split statistics</span>
+              <span className='ml-3 text-xs text-gray-600'>
+                Same claims and cutoffs for every mode, observed up to the last cutoff. Training rows are development quarters observed in the dataset;
+                Unused claims fall outside every dataset.
+              </span>
+            </div>
+            <table className='w-full text-sm'>
+              <thead>
+                <tr className='text-xs text-gray-600'>
+                  <th className='px-3 py-1 text-left font-medium'>Split mode</th>
+                  <th className='px-3 py-1 text-left font-medium'>Dataset</th>
+                  <th className='px-3 py-1 text-right font-medium'>Claims</th>
+                  <th className='px-3 py-1 text-right font-medium'>Training rows</th>
+                  <th className='px-3 py-1 text-right font-medium'>Censored</th>
+                  <th className='px-3 py-1 text-right font-medium'>Net paid</th>
+                  <th className='px-3 py-1 text-right font-medium'>Recovered</th>
+                  <th className='px-3 py-1 text-right font-medium'>Mean duration (days)</th>
+                  <th className='px-3 py-1 text-right font-medium'>Unused claims</th>
+                  {embargoDays > 0 && <th className='px-3 py-1 text-right font-medium'>Embargo {embargoAction === 'purge' ? 'purged' : 'flagged'}</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {splitStats.map((m) =>
+                  periodIds.map((d, i) => {
+                    const st = m.datasets[d];
+                    return (
+                      <tr key={`${m.id}-${d}`} className={`${i === 0 ? 'border-t border-gray-300' : ''} ${m.id === splitMode ? 'bg-blue-50' : ''}`}>
+                        {i === 0 && <td className='px-3 py-1 align-top' rowSpan={periodIds.length}>{m.label}</td>}
+                        <td className='px-3 py-1' style={{ color: COLORS[d] }}>{periodLabel(d)}</td>
+                        <td className='px-3 py-1 text-right tabular-nums'>{st.claims}</td>
+                        <td className='px-3 py-1 text-right tabular-nums'>{st.trainingRows}</td>
+                        <td className='px-3 py-1 text-right tabular-nums'>{st.censoredPct == null ? '–' : `${st.censoredPct.toFixed(1)}%`}</td>
+                        <td className='px-3 py-1 text-right tabular-nums'>{Math.round(st.paid).toLocaleString()}</td>
+                        <td className='px-3 py-1 text-right tabular-nums'>{Math.round(st.recovered).toLocaleString()}</td>
+                        <td className='px-3 py-1 text-right tabular-nums'>{st.meanDurationDays == null ? '–' : Math.round(st.meanDurationDays)}</td>
+                        {i === 0 && <td className='px-3 py-1 text-right tabular-nums align-top' rowSpan={periodIds.length}>{m.unused}</td>}
+                        {i === 0 && embargoDays > 0 && <td className='px-3 py-1 text-right tabular-nums align-top' rowSpan={periodIds.length}>{m.embargoed}</td>}
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {audits && (
+          <div className='mt-4 w-4/5 rounded-2xl ring-1 ring-gray-300 overflow-auto'>
+            <div className='px-3 py-2 text-sm bg-gray-50 border-b border-gray-200'>
+              <span className='font-medium'>Leakage audit</span>
+              <span className='ml-3 text-xs text-gray-600'>
+                Observed up to the last cutoff with the current periods. Overlap counts payments, dollars and development-quarter rows
+                visible in more than one dataset; target crossing counts claims observed beyond the cutoff of a dataset they sit in.
+              </span>
+            </div>
+            <table className='w-full text-sm'>
+              <thead>
+                <tr className='text-xs text-gray-600'>
+                  <th className='px-3 py-1 text-left font-medium'>Split mode</th>
+                  <th className='px-3 py-1 text-right font-medium'>Rows</th>
+                  <th className='px-3 py-1 text-right font-medium'>Overlapping payments</th>
+                  <th className='px-3 py-1 text-right font-medium'>Overlapping $</th>
+                  <th className='px-3 py-1 text-right font-medium'>Overlapping dev-quarter rows</th>
+                  <th className='px-3 py-1 text-right font-medium'>Claims with target past a cutoff</th>
+                </tr>
+              </thead>
+              <tbody>
+                {audits.map((a) => {
+                  const pct = (n, d) => (d ? ` (${((n / d) * 100).toFixed(1)}%)` : '');
+                  return (
+                    <tr key={a.id} className={`border-t border-gray-200 ${a.id === splitMode ? 'bg-blue-50' : ''}`}>
+                      <td className='px-3 py-1'>{a.label}</td>
+                      <td className='px-3 py-1 text-right tabular-nums'>{a.rows}</td>
+                      <td className='px-3 py-1 text-right tabular-nums'>{a.overlapPayments} / {a.payments}{pct(a.overlapPayments, a.payments)}</td>
+                      <td className='px-3 py-1 text-right tabular-nums'>{Math.round(a.overlapDollars).toLocaleString()}{pct(a.overlapDollars, a.dollars)}</td>
+                      <td className='px-3 py-1 text-right tabular-nums'>{a.overlapQuarterRows} / {a.quarterRows}{pct(a.overlapQuarterRows, a.quarterRows)}</td>
+                      <td className={`px-3 py-1 text-right tabular-nums ${a.flagged.length ? 'text-red-700' : ''}`}>{a.flagged.length}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {currentAudit && currentAudit.flagged.length > 0 && (
+              <div className='px-3 py-2 border-t border-gray-200 text-xs'>
+                <div className='mb-1 text-gray-600'>Flagged in the current mode (click to select):</div>
+                <div className='flex flex-wrap gap-1'>
+                  {currentAudit.flagged.map((f) => (
+                    <button
+                      key={f.claimId}
+                      onClick={() => setSelectedClaimId(f.claimId)}
+                      className={`px-2 py-0.5 rounded-lg ring-1 ring-gray-300 hover:bg-gray-50 font-mono ${f.claimId === selectedClaimId ? 'bg-amber-100' : ''}`}
+                      title={`${f.dataset} row, cutoff ${toISODate(f.cutoff)}, observed through ${toISODate(f.observedThrough)}`}
+                    >
+                      {f.claimId}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
       </div>
 
       {/* Sidebar backdrop */}
@@ -786,6 +2783,23 @@ function ClaimsDiagram() {
             </button>
           </div>
           <div className='grid grid-cols-1 gap-3'>
+          {/* Scenario files */}
+          <div className='flex flex-col text-sm gap-2 pb-3 border-b'>
+            <span className='font-medium'>Scenario</span>
+            <div className='flex items-center gap-2'>
+              <button onClick={saveScenario} className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50' title='Save every control, custom claims and the selected claim to a JSON file'>
+                Save scenario
+              </button>
+              <label className='px-3 py-2 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50 cursor-pointer'>
+                Load scenario
+                <input type='file' accept='.json,application/json' className='hidden' onChange={(e) => { loadScenario(e.target.files && e.target.files[0]); e.target.value = ''; }} />
+              </label>
+            </div>
+            {scenarioStatus && (
+              <div className={`text-xs ${scenarioStatus.ok ? 'text-gray-600' : 'text-red-700'}`}>{scenarioStatus.message}</div>
+            )}
+          </div>
+
           {/* Split strategy (moved to top) */}
           <label className='flex flex-col text-sm'>
             Start date
@@ -802,19 +2816,93 @@ function ClaimsDiagram() {
             <div className='text-xs mt-1'>Current: {numClaims}</div>
           </label>
 
-          <label className='flex flex-col text-sm'>
-            Min duration (days)
-            <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={minDurDays} min={1} onChange={(e) => setMinDurDays(Math.max(1, Number(e.target.value)))} />
-          </label>
-          <label className='flex flex-col text-sm'>
-            Max duration (days)
-            <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={maxDurDays} min={minDurDays} onChange={(e) => setMaxDurDays(Math.max(minDurDays, Number(e.target.value)))} />
-          </label>
+          {/* Claim simulator parameters (utils/claimSimulator.js) */}
+          <div className='flex flex-col text-sm gap-2'>
+            <span>Claim simulator</span>
+            <label className='flex flex-col text-xs'>
+              Arrivals
+              <select className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={simParams.arrivals} onChange={(e) => setSimParams({ ...simParams, arrivals: e.target.value })}>
+                {SIM_ARRIVAL_MODELS.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+              </select>
+            </label>
+            <SimulatorDistributionInput label='Notification delay' unit='days' spec={simParams.notifyDelay} onChange={(v) => setSimParams({ ...simParams, notifyDelay: v })} />
+            <SimulatorDistributionInput label='Settlement delay' unit='days' spec={simParams.settleDelay} onChange={(v) => setSimParams({ ...simParams, settleDelay: v })} />
+            <SimulatorDistributionInput label='Severity' unit='$' spec={simParams.severity} onChange={(v) => setSimParams({ ...simParams, severity: v })} />
+            <div className='grid grid-cols-3 gap-2 text-xs'>
+              <label className='flex flex-col'>
+                Mean partials
+                <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={simParams.payments.meanCount} min={0} max={50} step={0.5} onChange={(e) => setSimParams({ ...simParams, payments: { ...simParams.payments, meanCount: Math.max(0, Number(e.target.value)) } })} />
+              </label>
+              <label className='flex flex-col'>
+                Max partials
+                <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={simParams.payments.maxCount} min={0} onChange={(e) => setSimParams({ ...simParams, payments: { ...simParams.payments, maxCount: Math.max(0, Number(e.target.value)) } })} />
+              </label>
+              <label className='flex flex-col'>
+                Pattern
+                <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={simParams.payments.pattern} min={0.05} step={0.1} onChange={(e) => setSimParams({ ...simParams, payments: { ...simParams.payments, pattern: Number(e.target.value) } })} />
+              </label>
+            </div>
+            <div className='grid grid-cols-2 gap-2 text-xs'>
+              <label className='flex flex-col'>
+                Reopen probability
+                <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={simParams.reopen.probability} min={0} max={1} step={0.05} onChange={(e) => setSimParams({ ...simParams, reopen: { ...simParams.reopen, probability: Math.min(1, Math.max(0, Number(e.target.value))) } })} />
+              </label>
+              <label className='flex flex-col'>
+                Reopen cost share
+                <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={simParams.reopen.costShare} min={0} step={0.05} onChange={(e) => setSimParams({ ...simParams, reopen: { ...simParams.reopen, costShare: Math.max(0, Number(e.target.value)) } })} />
+              </label>
+              <label className='flex flex-col'>
+                Mean days to reopen
+                <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={simParams.reopen.delayMean} min={1} onChange={(e) => setSimParams({ ...simParams, reopen: { ...simParams.reopen, delayMean: Math.max(1, Number(e.target.value)) } })} />
+              </label>
+              <label className='flex flex-col'>
+                Mean days reopened
+                <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={simParams.reopen.durationMean} min={1} onChange={(e) => setSimParams({ ...simParams, reopen: { ...simParams.reopen, durationMean: Math.max(1, Number(e.target.value)) } })} />
+              </label>
+            </div>
+            <div className='grid grid-cols-2 gap-2 text-xs'>
+              <label className='flex flex-col'>
+                Recovery probability
+                <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={simParams.recoveries.probability} min={0} max={1} step={0.05} onChange={(e) => setSimParams({ ...simParams, recoveries: { ...simParams.recoveries, probability: Math.min(1, Math.max(0, Number(e.target.value))) } })} />
+              </label>
+              <label className='flex flex-col'>
+                Share recovered
+                <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={simParams.recoveries.share} min={0} max={1} step={0.05} onChange={(e) => setSimParams({ ...simParams, recoveries: { ...simParams.recoveries, share: Math.min(1, Math.max(0, Number(e.target.value))) } })} />
+              </label>
+            </div>
+            <div className='flex flex-col text-xs gap-2'>
+              <span>Calendar-quarter shocks (type, quarter YYYYQn, size)</span>
+              {simParams.shocks.map((sh, i) => {
+                const type = SHOCK_TYPES.find((t) => t.id === sh.type) || SHOCK_TYPES[0];
+                const setShock = (changes) => setSimParams({ ...simParams, shocks: simParams.shocks.map((x, j) => (j === i ? { ...x, ...changes } : x)) });
+                return (
+                  <div key={i} className='flex items-center gap-2'>
+                    <select className='w-28 p-2 rounded-xl ring-1 ring-gray-300' value={sh.type} onChange={(e) => setShock({ type: e.target.value, size: SHOCK_TYPES.find((t) => t.id === e.target.value).defaultSize })}>
+                      {SHOCK_TYPES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+                    </select>
+                    <input type='text' className='w-20 p-2 rounded-xl ring-1 ring-gray-300' value={sh.quarter} onChange={(e) => setShock({ quarter: e.target.value.trim().toUpperCase() })} title='Quarter' />
+                    {type.sizeLabel && (
+                      <input type='number' className='flex-1 min-w-0 p-2 rounded-xl ring-1 ring-gray-300' value={sh.size} min={0} step={sh.type === 'backlog' ? 15 : 0.05} onChange={(e) => setShock({ size: Math.max(0, Number(e.target.value)) })} title={type.sizeLabel} />
+                    )}
+                    <button onClick={() => setSimParams({ ...simParams, shocks: simParams.shocks.filter((_, j) => j !== i) })} className='ml-auto px-2 py-1 rounded-lg hover:bg-gray-100' title='Remove shock'>×</button>
+                  </div>
+                );
+              })}
+              <button
+                onClick={() => setSimParams({ ...simParams, shocks: [...simParams.shocks, { type: 'courtAward', quarter: `${endDate.getUTCFullYear() - 1}Q3`, size: 0.25 }] })}
+                className='self-start px-3 py-1 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50'
+              >
+                Add shock
+              </button>
+              <span className='opacity-70'>Court-award step: every payment from the quarter on is this share higher. Freeze: the quarter's payments and closures move to the next quarter. Backlog: claims open in the quarter fall this many days behind.</span>
+            </div>
+            <span className='text-xs opacity-70'>
+              Number of claims is the expected number of accidents. Pattern p: a share u<sup>p</sup> of the cost is paid by fraction u of a claim's life (p &lt; 1 pays early).
+              {dataSource === 'simulated' && ` ${autoClaims.length} claims reported by the end date, ${unreportedAccidents.length} incurred but not yet reported.`}
+            </span>
+            <button onClick={() => setSimParams(DEFAULT_SIMULATOR_PARAMS)} className='self-start px-3 py-1 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50'>Reset simulator</button>
+          </div>
 
-          <label className='flex flex-col text-sm'>
-            Max partial payments
-            <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={maxPartials} min={0} onChange={(e) => setMaxPartials(Math.max(0, Number(e.target.value)))} />
-          </label>
           <label className='flex flex-col text-sm'>
             Axis ticks
             <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={axisTicks} min={1} onChange={(e) => setAxisTicks(Math.max(1, Number(e.target.value)))} />
@@ -834,20 +2922,84 @@ function ClaimsDiagram() {
             </div>
           </div>
 
-          {/* Dataset cutoff dates */}
+          {/* Dataset periods: name, colour and cutoff (date) of each, in time order */}
           <div className='space-y-3'>
+            <div className='flex flex-col text-sm gap-2'>
+              <span>Dataset periods (name, colour, cutoff)</span>
+              {periods.map((p, i) => (
+                <div key={p.id} className='flex items-center gap-2'>
+                  <input type='color' className='w-8 h-8 p-0 border-0 bg-transparent' value={p.color} onChange={(e) => updatePeriod(i, { color: e.target.value })} title='Colour' />
+                  <input type='text' className='w-24 p-2 rounded-xl ring-1 ring-gray-300' value={p.label} onChange={(e) => updatePeriod(i, { label: e.target.value })} title='Name' />
+                  <input type='date' className='flex-1 min-w-0 p-2 rounded-xl ring-1 ring-gray-300' value={toISODate(periodCuts[i])} onChange={(e) => setPeriodCut(i, e.target.value)} title='Cutoff (exclusive)' />
+                  <button onClick={() => removePeriod(i)} disabled={periods.length <= 1} className='px-2 py-1 rounded-lg hover:bg-gray-100 disabled:opacity-30' title='Remove period'>×</button>
+                </div>
+              ))}
+              <div className='flex items-center gap-2'>
+                <button onClick={addPeriod} className='px-3 py-1 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50'>Add period</button>
+                <button onClick={() => setPeriods(DEFAULT_PERIODS)} className='px-3 py-1 rounded-xl ring-1 ring-gray-300 hover:bg-gray-50'>Reset</button>
+              </div>
+              <span className='text-xs opacity-70'>Cutoffs are sorted, so the list reads in time order; the last cutoff is the observation end.</span>
+            </div>
             <label className='flex flex-col text-sm'>
-              Train cutoff (date)
-              <input type='date' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={toISODate(trainCut)} onChange={(e) => setTrainCutStr(e.target.value)} />
+              Snap dragged cutoffs to
+              <select className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={cutoffSnap} onChange={(e) => setCutoffSnap(e.target.value)}>
+                {CUTOFF_SNAP_OPTIONS.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+              </select>
+              <span className='text-xs opacity-70 mt-1'>Drag the dashed cutoff lines in the diagram to move them.</span>
+            </label>
+            <div className='flex flex-col text-sm'>
+              Embargo after each cutoff (days)
+              <div className='mt-1 flex items-center gap-2'>
+                <input type='number' className='w-24 p-2 rounded-xl ring-1 ring-gray-300' value={embargoDays} min={0} onChange={(e) => setEmbargoDays(Math.max(0, Number(e.target.value) || 0))} />
+                {EMBARGO_ACTIONS.map((o) => (
+                  <label key={o.id} className='inline-flex items-center gap-1'>
+                    <input type='radio' name='embargoAction' value={o.id} checked={embargoAction === o.id} onChange={(e) => setEmbargoAction(e.target.value)} disabled={!embargoDays} />
+                    <span>{o.label}</span>
+                  </label>
+                ))}
+              </div>
+              <span className='text-xs opacity-70 mt-1'>Claims notified or settled inside a gap are purged to Unused or flagged; 0 turns the embargo off.</span>
+            </div>
+          </div>
+
+          {splitMode === 'random' && (
+            <div className='space-y-3 pt-3 border-t'>
+              <div className='text-sm font-medium'>Random split proportions</div>
+              {periods.slice(0, -1).map((p, i) => (
+                <label key={p.id} className='flex flex-col text-sm'>
+                  {p.label} (%)
+                  <input
+                    type='number'
+                    className='mt-1 p-2 rounded-xl ring-1 ring-gray-300'
+                    value={randomPctShares[i]}
+                    min={0}
+                    max={100}
+                    onChange={(e) => setRandomPcts(randomPctShares.slice(0, -1).map((v, j) => (j === i ? Math.min(100, Math.max(0, Number(e.target.value))) : v)))}
+                  />
+                </label>
+              ))}
+              <div className='text-xs opacity-70'>
+                {periods[periods.length - 1].label} gets the remaining {randomPctShares[randomPctShares.length - 1]}%. Claims are assigned by hashing their id with the seed;
+                only the last cutoff is used, as the observation end.
+              </div>
+            </div>
+          )}
+
+          {/* Rolling-origin cross-validation */}
+          <div className='space-y-3 pt-3 border-t'>
+            <label className='inline-flex items-center gap-2 text-sm'>
+              <input type='checkbox' checked={cvEnabled} onChange={(e) => setCvEnabled(e.target.checked)} />
+              <span>Rolling-origin cross-validation</span>
             </label>
             <label className='flex flex-col text-sm'>
-              Validation cutoff (date)
-              <input type='date' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={toISODate(valCut)} onChange={(e) => setValCutStr(e.target.value)} />
+              Folds (K)
+              <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={cvFolds} min={CV_MIN_FOLDS} max={CV_MAX_FOLDS} disabled={!cvEnabled} onChange={(e) => setCvFolds(Math.min(CV_MAX_FOLDS, Math.max(CV_MIN_FOLDS, Number(e.target.value))))} />
             </label>
             <label className='flex flex-col text-sm'>
-              Test cutoff (date)
-              <input type='date' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={toISODate(testCut)} onChange={(e) => setTestCutStr(e.target.value)} />
+              Step between folds (months)
+              <input type='number' className='mt-1 p-2 rounded-xl ring-1 ring-gray-300' value={cvStepMonths} min={1} disabled={!cvEnabled} onChange={(e) => setCvStepMonths(Math.max(1, Number(e.target.value)))} />
             </label>
+            <div className='text-xs opacity-70'>The last fold uses the cutoffs above; each earlier fold moves them back by the step.</div>
           </div>
           <label className='flex flex-col text-sm'>
             Seed (text)
@@ -856,18 +3008,61 @@ function ClaimsDiagram() {
         </div>
 
         <div className='mt-6'>
-          <div className='flex items-center gap-2 mb-2'>
-            <input id='useCustom' type='checkbox' checked={useCustom} onChange={(e) => setUseCustom(e.target.checked)} />
-            <label htmlFor='useCustom' className='text-sm font-medium'>
-              Use custom data (JSON)
-            </label>
-          </div>
-          <textarea className='w-full h-40 p-3 rounded-xl ring-1 ring-gray-300 font-mono text-xs' value={customJson} onChange={(e) => setCustomJson(e.target.value)} disabled={!useCustom} />
-          <div className='text-xs opacity-70 mt-2'>
-            Format: [ {'{ notify: ISOstring|number, settlement: ISOstring|number, partials: (ISOstring|number)[] }'}, ... ]
-            <br />
-            If numbers are provided, they are interpreted as <strong>days since Start date</strong>.
+          <div className='text-sm font-medium mb-2'>Data source</div>
+          <div className='flex flex-wrap gap-3 mb-3 text-sm'>
+            {DATA_SOURCES.map((opt) => (
+              <label key={opt.id} className='inline-flex items-center gap-2'>
+                <input type='radio' name='dataSource' value={opt.id} checked={dataSource === opt.id} onChange={(e) => setDataSource(e.target.value)} />
+                <span>{opt.label}</span>
+              </label>
+            ))}
           </div>
+
+          {dataSource === 'json' && (
+            <>
+              <textarea className='w-full h-40 p-3 rounded-xl ring-1 ring-gray-300 font-mono text-xs' value={customJson} onChange={(e) => setCustomJson(e.target.value)} />
+              <div className='text-xs opacity-70 mt-2'>
+                Format: [ {'{ notify: ISOstring|number, settlement: ISOstring|number, partials: (ISOstring|number)[], recoveries?: (ISOstring|number)[], reopens?: { closed, reopened }[], estimates?: { date, amount }[] }'}, ... ]
+                <br />
+                If numbers are provided, they are interpreted as <strong>days since Start date</strong>.
+              </div>
+            </>
+          )}
+
+          {dataSource === 'csv' && (
+            <>
+              <input type='file' accept='.csv,text/csv' className='text-xs mb-2' onChange={(e) => loadCsvFile(e.target.files && e.target.files[0])} />
+              <textarea className='w-full h-32 p-3 rounded-xl ring-1 ring-gray-300 font-mono text-xs' value={csvText} onChange={(e) => setCsvText(e.target.value)} />
+              <div className='text-xs font-medium mt-3 mb-1'>Column mapping</div>
+              <div className='grid grid-cols-2 gap-2 text-xs'>
+                {CSV_FIELDS.map((f) => (
+                  <label key={f.id} className='flex flex-col'>
+                    <span>{f.label}{f.required ? ' *' : ''}</span>
+                    <select className='mt-1 p-1 rounded-lg ring-1 ring-gray-300' value={csvMapping[f.id] || ''} onChange={(e) => setCsvMapping({ ...csvMapping, [f.id]: e.target.value })}>
+                      <option value=''>(none)</option>
+                      {(csvParsed ? csvParsed.header : []).map((h) => (
+                        <option key={h} value={h}>{h}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <div className='text-xs opacity-70 mt-2'>
+                Dates as YYYY-MM-DD or numbers of <strong>days since Start date</strong>. With a Claim ID column, each row is one payment and rows are grouped by claim.
+                Negative amounts, or accounting negatives like (1,250), are recoveries (salvage, subrogation, refunds).
+              </div>
+            </>
+          )}
+
+          {importResult && (
+            <div className='text-xs mt-3'>
+              <div className='mb-1'>
+                Imported {importResult.claims.length} claim{importResult.claims.length === 1 ? '' : 's'};{' '}
+                <span className={importResult.errors.length ? 'text-red-700' : ''}>{importResult.errors.length} problem{importResult.errors.length === 1 ? '' : 's'}</span>
+              </div>
+              <ImportErrors errors={importResult.errors} />
+            </div>
+          )}
         </div>
         </div>
       </div>
@@ -0,0 +1,237 @@
+// ClaimSimulatorSettings Component
+// Simulator panel: claim arrivals, notification / settlement delay and severity distributions, the payment pattern,
+// reopens, recoveries, case estimates and calendar-quarter shocks
+
+function DistributionFields({ label, unit, spec, onChange }) {
+  const { DISTRIBUTIONS } = window.claimSimulator;
+  const dist = DISTRIBUTIONS.find((d) => d.id === spec.dist) || DISTRIBUTIONS[0];
+  const field = (key, title, step) => (
+    <label key={key} className="flex flex-col">
+      <span className="text-gray-600">{title}</span>
+      <input
+        type="number"
+        className="mt-1 w-full border border-gray-300 rounded px-2 py-1"
+        value={spec[key]}
+        min={0}
+        step={step}
+        onChange={(e) => onChange({ ...spec, [key]: Number(e.target.value) })}
+      />
+    </label>
+  );
+
+  return (
+    <div className="p-2 rounded border border-gray-200 text-xs space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-medium">{label}</span>
+        <select
+          className="border border-gray-300 rounded px-1 py-0.5 bg-white"
+          value={spec.dist}
+          onChange={(e) => onChange({ ...spec, dist: e.target.value })}
+        >
+          {DISTRIBUTIONS.map((d) => <option key={d.id} value={d.id}>{d.label}</option>)}
+        </select>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        {dist.params.includes('mean') && field('mean', `Mean (${unit})`, 1)}
+        {dist.params.includes('cv') && field('cv', 'CV (sd / mean)', 0.1)}
+        {dist.params.includes('min') && field('min', `Min (${unit})`, 1)}
+        {dist.params.includes('max') && field('max', `Max (${unit})`, 1)}
+      </div>
+    </div>
+  );
+}
+
+function ClaimSimulatorSettings({
+  numClaims,
+  setNumClaims,
+  seedText,
+  setSeedText,
+  params,
+  setParams,
+  claimCount,
+  endDate
+}) {
+  const { ARRIVAL_MODELS, DEFAULT_SIMULATOR_PARAMS, SHOCK_TYPES } = window.claimSimulator;
+  const [show, setShow] = React.useState(false);
+  const set = (key, value) => setParams({ ...params, [key]: value });
+  const arrivalLabel = (ARRIVAL_MODELS.find((m) => m.id === params.arrivals) || ARRIVAL_MODELS[0]).label;
+  const setShock = (i, changes) => set('shocks', params.shocks.map((sh, j) => (j === i ? { ...sh, ...changes } : sh)));
+
+  return (
+    <div className="w-full max-w-6xl mx-auto mb-4 p-3 bg-white rounded-lg border">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-4 text-sm">
+          <span className="font-medium">Claim simulator:</span>
+          <span className="text-gray-700">
+            {arrivalLabel}, {numClaims} {params.arrivals === 'fixed' ? '' : 'expected '}accident{numClaims === 1 ? '' : 's'};
+            {' '}{claimCount} reported by the end date
+          </span>
+        </div>
+        <button
+          onClick={() => setShow(!show)}
+          className="text-xs px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded-full transition-colors"
+        >
+          {show ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {show && (
+        <div className="mt-3 space-y-3 text-sm">
+          <div className="text-gray-700">
+            Accidents arrive over the data window, each is notified after a notification delay and settles after a
+            settlement delay; its ultimate cost (the severity) is spread over partial payments and a final settlement
+            payment. Claims not notified by the end date are left out; claims still open are cut at the end date.
+          </div>
+          <div className="grid md:grid-cols-3 gap-3 text-xs">
+            <label className="flex flex-col">
+              <span className="font-medium mb-1">Claims ({params.arrivals === 'fixed' ? 'accidents' : 'expected accidents'})</span>
+              <input type="number" className="border border-gray-300 rounded px-2 py-1" value={numClaims} min={1} onChange={(e) => setNumClaims(Math.max(1, Number(e.target.value) || 1))} />
+            </label>
+            <label className="flex flex-col">
+              <span className="font-medium mb-1">Arrivals</span>
+              <select className="border border-gray-300 rounded px-2 py-1 bg-white" value={params.arrivals} onChange={(e) => set('arrivals', e.target.value)}>
+                {ARRIVAL_MODELS.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col">
+              <span className="font-medium mb-1">Seed</span>
+              <input type="text" className="border border-gray-300 rounded px-2 py-1" value={seedText} onChange={(e) => setSeedText(e.target.value)} />
+            </label>
+          </div>
+          <div className="grid md:grid-cols-3 gap-3">
+            <DistributionFields label="Notification delay" unit="days" spec={params.notifyDelay} onChange={(v) => set('notifyDelay', v)} />
+            <DistributionFields label="Settlement delay" unit="days" spec={params.settleDelay} onChange={(v) => set('settleDelay', v)} />
+            <DistributionFields label="Severity (ultimate cost)" unit="$" spec={params.severity} onChange={(v) => set('severity', v)} />
+          </div>
+          <div className="p-2 rounded border border-gray-200 text-xs space-y-2">
+            <div className="font-medium">Payment pattern</div>
+            <div className="grid grid-cols-3 gap-2">
+              <label className="flex flex-col">
+                <span className="text-gray-600">Mean partial payments</span>
+                <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={params.payments.meanCount} min={0} max={50} step={0.5} onChange={(e) => set('payments', { ...params.payments, meanCount: Number(e.target.value) })} />
+              </label>
+              <label className="flex flex-col">
+                <span className="text-gray-600">Max partial payments</span>
+                <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={params.payments.maxCount} min={0} onChange={(e) => set('payments', { ...params.payments, maxCount: Number(e.target.value) })} />
+              </label>
+              <label className="flex flex-col">
+                <span className="text-gray-600">Pattern exponent</span>
+                <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={params.payments.pattern} min={0.05} step={0.1} onChange={(e) => set('payments', { ...params.payments, pattern: Number(e.target.value) })} />
+              </label>
+            </div>
+            <div className="text-gray-600">
+              Partial payments are Poisson in number and uniform in time over the claim's life. By fraction u of the life,
+              a share u<sup>exponent</sup> of the ultimate has been paid: below 1 pays early, above 1 holds the cost back to settlement.
+            </div>
+          </div>
+          <div className="p-2 rounded border border-gray-200 text-xs space-y-2">
+            <div className="font-medium">Reopened claims</div>
+            <div className="grid grid-cols-4 gap-2">
+              <label className="flex flex-col">
+                <span className="text-gray-600">Reopen probability</span>
+                <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={params.reopen.probability} min={0} max={1} step={0.05} onChange={(e) => set('reopen', { ...params.reopen, probability: Number(e.target.value) })} />
+              </label>
+              <label className="flex flex-col">
+                <span className="text-gray-600">Mean days to reopen</span>
+                <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={params.reopen.delayMean} min={1} onChange={(e) => set('reopen', { ...params.reopen, delayMean: Number(e.target.value) })} />
+              </label>
+              <label className="flex flex-col">
+                <span className="text-gray-600">Mean days reopened</span>
+                <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={params.reopen.durationMean} min={1} onChange={(e) => set('reopen', { ...params.reopen, durationMean: Number(e.target.value) })} />
+              </label>
+              <label className="flex flex-col">
+                <span className="text-gray-600">Cost share</span>
+                <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={params.reopen.costShare} min={0} step={0.05} onChange={(e) => set('reopen', { ...params.reopen, costShare: Number(e.target.value) })} />
+              </label>
+            </div>
+            <div className="text-gray-600">
+              After each closure a claim reopens with this probability (up to three times), after an exponential delay; the
+              reopened period lasts an exponential time and pays the cost share of the original ultimate again.
+            </div>
+          </div>
+          <div className="p-2 rounded border border-gray-200 text-xs space-y-2">
+            <div className="font-medium">Recoveries</div>
+            <div className="grid grid-cols-4 gap-2">
+              <label className="flex flex-col">
+                <span className="text-gray-600">Recovery probability</span>
+                <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={params.recoveries.probability} min={0} max={1} step={0.05} onChange={(e) => set('recoveries', { ...params.recoveries, probability: Number(e.target.value) })} />
+              </label>
+              <label className="flex flex-col">
+                <span className="text-gray-600">Mean share recovered</span>
+                <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={params.recoveries.share} min={0} max={1} step={0.05} onChange={(e) => set('recoveries', { ...params.recoveries, share: Number(e.target.value) })} />
+              </label>
+            </div>
+            <div className="text-gray-600">
+              A claim gets one recovery (salvage, subrogation or a refund) with this probability: a negative payment of 0.5 to 1.5 times the
+              mean share of its ultimate, received in the second half of its life. Quarterly amounts are then shown gross and net.
+            </div>
+          </div>
+          <div className="p-2 rounded border border-gray-200 text-xs space-y-2">
+            <div className="font-medium">Case estimates (incurred)</div>
+            <div className="grid grid-cols-4 gap-2">
+              <label className="flex flex-col">
+                <span className="text-gray-600">Mean revisions</span>
+                <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={params.caseEstimates.revisionsMean} min={0} max={20} step={0.5} onChange={(e) => set('caseEstimates', { ...params.caseEstimates, revisionsMean: Number(e.target.value) })} />
+              </label>
+              <label className="flex flex-col">
+                <span className="text-gray-600">Error CV at notification</span>
+                <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={params.caseEstimates.cv} min={0} max={2} step={0.05} onChange={(e) => set('caseEstimates', { ...params.caseEstimates, cv: Number(e.target.value) })} />
+              </label>
+            </div>
+            <div className="text-gray-600">
+              Each claim gets a dated estimate of the cost still to come: set at notification and at each reopen, revised a Poisson number of
+              times, zero at every closure. The estimation error shrinks to 30% of its initial CV by settlement.
+            </div>
+          </div>
+          <div className="p-2 rounded border border-gray-200 text-xs space-y-2">
+            <div className="font-medium">Calendar-quarter shocks</div>
+            {params.shocks.map((sh, i) => {
+              const type = SHOCK_TYPES.find((t) => t.id === sh.type);
+              return (
+                <div key={i} className="grid grid-cols-4 gap-2 items-end">
+                  <label className="flex flex-col">
+                    <span className="text-gray-600">Shock</span>
+                    <select className="mt-1 border border-gray-300 rounded px-2 py-1 bg-white" value={sh.type} onChange={(e) => setShock(i, { type: e.target.value, size: SHOCK_TYPES.find((t) => t.id === e.target.value).defaultSize })}>
+                      {SHOCK_TYPES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+                    </select>
+                  </label>
+                  <label className="flex flex-col">
+                    <span className="text-gray-600">Quarter (YYYYQn)</span>
+                    <input type="text" className="mt-1 border border-gray-300 rounded px-2 py-1" value={sh.quarter} onChange={(e) => setShock(i, { quarter: e.target.value.trim().toUpperCase() })} />
+                  </label>
+                  {type.sizeLabel ? (
+                    <label className="flex flex-col">
+                      <span className="text-gray-600">{type.sizeLabel}</span>
+                      <input type="number" className="mt-1 border border-gray-300 rounded px-2 py-1" value={sh.size} min={0} step={sh.type === 'backlog' ? 15 : 0.05} onChange={(e) => setShock(i, { size: Math.max(0, Number(e.target.value)) })} />
+                    </label>
+                  ) : <span />}
+                  <button onClick={() => set('shocks', params.shocks.filter((_, j) => j !== i))} className="justify-self-start px-2 py-1 text-gray-600 hover:text-red-700">Remove</button>
+                </div>
+              );
+            })}
+            <button
+              onClick={() => set('shocks', [...params.shocks, { type: 'courtAward', quarter: `${endDate.getUTCFullYear() - 1}Q3`, size: 0.25 }])}
+              className="px-2 py-1 bg-gray-100 hover:bg-gray-200 rounded"
+            >
+              Add shock
+            </button>
+            <div className="text-gray-600">
+              A court-award step raises every payment from its quarter on (superimposed inflation, not in the price index);
+              a payment freeze moves the quarter's payments and closures to the first day of the next quarter; a backlog
+              delays every claim open in the quarter by the given number of days. Shocks are marked on the price index chart.
+            </div>
+          </div>
+          <button
+            onClick={() => setParams(DEFAULT_SIMULATOR_PARAMS)}
+            className="text-xs px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded-full transition-colors"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Make the component globally available
+window.ClaimSimulatorSettings = ClaimSimulatorSettings;
@@ -2,7 +2,7 @@
 // Main component for preprocessing visualization
 
 function ClaimsPreprocessingDiagram() {
-  const { useState, useMemo, useEffect } = React;
+  const { useState, useMemo, useEffect, useRef } = React;
 
   // Destructure utilities from global scope
   const {
@@ -15,38 +15,68 @@ function ClaimsPreprocessingDiagram() {
     aggregateClaimToQuarters,
     generatePriceIndexSeries,
     buildMidQuarterIndexMap,
+    buildPriceIndexFromCsv,
+    findMissingIndexQuarters,
+    parseCsv,
+    buildClaimsFromLedger,
+    startOfQuarterUTC,
+    readUrlParams,
+    writeUrlParams,
+    urlInt,
+    buildScenario,
+    readScenario,
+    downloadBlob,
   } = window.utils;
+  const { simulatorParamsFromUrl, simulatorParamsToUrl, normaliseSimulatorParams, DEFAULT_SIMULATOR_PARAMS } = window.claimSimulator;
 
-  // State management
-  const [numClaims] = useState(20);
-  const [startDateStr] = useState('2020-01-01');
-  const [endDateStr] = useState('2025-01-01');
-  const [minDurDays] = useState(180);
-  const [maxDurDays] = useState(1095);
-  const [maxPartials] = useState(20);
-  const [seedText] = useState('preprocessing-diagram');
+  // State management (initial values come from the URL when the page was opened from a shared link)
+  const [urlParams] = useState(() => readUrlParams());
+  const [numClaims, setNumClaims] = useState(() => Math.max(1, urlInt(urlParams, 'n', 20)));
+  const [startDateStr, setStartDateStr] = useState(() => urlParams.get('start') || '2020-01-01');
+  const [endDateStr, setEndDateStr] = useState(() => urlParams.get('end') || '2025-01-01');
+  const [simParams, setSimParams] = useState(() => simulatorParamsFromUrl(urlParams));
+  const [seedText, setSeedText] = useState(() => urlParams.get('seed') ?? 'preprocessing-diagram');
   const [dedupeMonthly] = useState(true);
-  const [trainCutStr, setTrainCutStr] = useState('2021-06-30');
-  const [valCutStr, setValCutStr] = useState('2023-06-30');
-  const [testCutStr, setTestCutStr] = useState('2025-01-01');
+  const [trainCutStr, setTrainCutStr] = useState(() => urlParams.get('train') || '2021-06-30');
+  const [valCutStr, setValCutStr] = useState(() => urlParams.get('val') || '2023-06-30');
+  const [testCutStr, setTestCutStr] = useState(() => urlParams.get('test') || '2025-01-01');
   const [selectedClaimIndex, setSelectedClaimIndex] = useState(null);
-  const [oneBasedDevQuarters, setOneBasedDevQuarters] = useState(true);
+  const urlClaimIdRef = useRef(urlParams.get('claim'));
+  const [oneBasedDevQuarters, setOneBasedDevQuarters] = useState(() => urlParams.get('dev') !== '0');
+  const [trainingSplitMode, setTrainingSplitMode] = useState(() => (urlParams.get('split') === 'settlement' ? 'settlement' : 'notify'));
   const [showPaymentDetails, setShowPaymentDetails] = useState(true);
   const [showQuarterlyAggregation, setShowQuarterlyAggregation] = useState(true);
+  const [dataSource, setDataSource] = useState('simulated'); // 'simulated' | 'ledger'
+  const [ledgerCsv, setLedgerCsv] = useState({ text: '', name: '' });
+  const [headerCsv, setHeaderCsv] = useState({ text: '', name: '' });
+  const [indexSource, setIndexSource] = useState('simulated'); // 'simulated' | 'csv'
+  const [indexCsv, setIndexCsv] = useState({ text: '', name: '' });
 
   const seed = useMemo(() => hashStringToSeed(seedText), [seedText]);
 
-  // Parse start/end dates
+  // Imported ledger -> claim objects (errors are listed in the LedgerImport panel)
+  const ledgerResult = useMemo(() => {
+    if (dataSource !== 'ledger') return null;
+    return buildClaimsFromLedger(parseCsv(ledgerCsv.text), parseCsv(headerCsv.text), { dedupeMonthly: false });
+  }, [dataSource, ledgerCsv, headerCsv]);
+
+  // Parse start/end dates. For imported data the window spans the data itself:
+  // from the first accident quarter to the latest settlement (the valuation date).
   const [startDate, endDate] = useMemo(() => {
+    if (ledgerResult && ledgerResult.claims.length) {
+      const minAccident = Math.min(...ledgerResult.claims.map((c) => c.accident.getTime()));
+      const maxSettlement = Math.max(...ledgerResult.claims.map((c) => c.settlement.getTime()));
+      return [startOfQuarterUTC(new Date(minAccident)), new Date(maxSettlement)];
+    }
     const s = new Date(startDateStr);
     const e = new Date(endDateStr);
     const sOk = !isNaN(s.getTime()) ? s : new Date('2020-01-01T00:00:00Z');
     const eOk = !isNaN(e.getTime()) ? e : new Date('2025-01-01T00:00:00Z');
     return sOk.getTime() < eOk.getTime() ? [sOk, eOk] : [eOk, sOk];
-  }, [startDateStr, endDateStr]);
+  }, [startDateStr, endDateStr, ledgerResult]);
 
-  // Clamp & sort cutoffs
-  const [trainCut, valCut, testCut] = useMemo(() => {
+  // Clamp & sort cutoffs ([trainCut, valCut, testCut])
+  const cutoffs = useMemo(() => {
     const clamp = (d) => clampDate(d, startDate, endDate);
     const candidates = [trainCutStr, valCutStr, testCutStr]
       .map((s) => new Date(s))
@@ -69,30 +99,45 @@ function ClaimsPreprocessingDiagram() {
         n: numClaims,
         startDate,
         endDate,
-        minDurDays,
-        maxDurDays,
-        maxPartials,
         seed,
         dedupeMonthly,
-        observationEndDate: endDate,
+        params: simParams,
       }),
-    [numClaims, startDate, endDate, minDurDays, maxDurDays, maxPartials, seed, dedupeMonthly]
+    [numClaims, startDate, endDate, simParams, seed, dedupeMonthly]
+  );
+
+  const claims = ledgerResult ? ledgerResult.claims : autoClaims;
+  // Calendar-quarter shocks behind the simulated payments (a half-typed quarter is dropped), marked on the price index
+  const calendarShocks = useMemo(
+    () => (ledgerResult ? [] : normaliseSimulatorParams(simParams).shocks),
+    [ledgerResult, simParams]
   );
 
-  const claims = autoClaims;
+  // Uploaded quarterly index (errors are listed in the PriceIndexImport panel)
+  const indexResult = useMemo(() => {
+    if (indexSource !== 'csv') return null;
+    return buildPriceIndexFromCsv(parseCsv(indexCsv.text));
+  }, [indexSource, indexCsv]);
 
-  // Generate Price Index
+  // Generate Price Index (or use the uploaded one)
   const { series: priceIndexSeries, map: priceIndexMap } = useMemo(() => {
+    if (indexResult) return indexResult;
     return generatePriceIndexSeries(startDate, endDate, seed);
-  }, [startDate, endDate, seed]);
+  }, [indexResult, startDate, endDate, seed]);
 
   // Build mid-quarter price index map
   const midQuarterIndexMap = useMemo(() => {
     return priceIndexMap ? buildMidQuarterIndexMap(priceIndexMap) : null;
   }, [priceIndexMap]);
 
-  // Initialize cutoffs based on simulated data
-  const [didInitCuts, setDidInitCuts] = useState(false);
+  // Quarters in the data window the index does not cover (including a quarter right after a gap, which has no mid-quarter value)
+  const missingIndexQuarters = useMemo(
+    () => findMissingIndexQuarters(priceIndexMap, startDate, endDate, midQuarterIndexMap),
+    [priceIndexMap, startDate, endDate, midQuarterIndexMap]
+  );
+
+  // Initialize cutoffs based on simulated data (skipped when the URL sets them)
+  const [didInitCuts, setDidInitCuts] = useState(() => urlParams.has('train') || urlParams.has('val'));
   useEffect(() => {
     if (didInitCuts) return;
     const list = (claims || []).map((c) => c.notify).sort((a, b) => a.getTime() - b.getTime());
@@ -129,9 +174,21 @@ function ClaimsPreprocessingDiagram() {
     }
   }, [claims, startDate, didInitCuts]);
 
-  // Set default claim to CLM-0001
+  // Reset the selection when the claim list changes underneath it
+  useEffect(() => {
+    setSelectedClaimIndex(null);
+  }, [claims]);
+
+  // Set default claim to the one named in the URL, else CLM-0001
   useEffect(() => {
     if (selectedClaimIndex === null && claims.length > 0) {
+      const urlClaimId = urlClaimIdRef.current;
+      urlClaimIdRef.current = null;
+      const urlIndex = urlClaimId ? claims.findIndex(c => c.staticCovariates.claimId === urlClaimId) : -1;
+      if (urlIndex !== -1) {
+        setSelectedClaimIndex(urlIndex);
+        return;
+      }
       const clm0001Index = claims.findIndex(c => c.staticCovariates.claimId === 'CLM-0001');
       if (clm0001Index !== -1) {
         setSelectedClaimIndex(clm0001Index);
@@ -147,14 +204,180 @@ function ClaimsPreprocessingDiagram() {
     ? aggregateClaimToQuarters(selectedClaim, oneBasedDevQuarters, endDate, priceIndexMap)
     : null;
 
+  // Mirror the control state into the URL so the exact view can be shared or cited
+  const selectedClaimId = selectedClaim ? selectedClaim.staticCovariates.claimId : null;
+  useEffect(() => {
+    writeUrlParams({
+      n: numClaims,
+      start: startDateStr,
+      end: endDateStr,
+      sim: simulatorParamsToUrl(simParams),
+      seed: seedText,
+      train: trainCutStr,
+      val: valCutStr,
+      test: testCutStr,
+      dev: oneBasedDevQuarters ? 1 : 0,
+      split: trainingSplitMode,
+      claim: selectedClaimId,
+    });
+  }, [numClaims, startDateStr, endDateStr, simParams, seedText, trainCutStr, valCutStr, testCutStr, oneBasedDevQuarters, trainingSplitMode, selectedClaimId]);
+
+  // Save / load the complete page state (controls, imported ledger, price index, selection) as a versioned scenario file
+  const scenarioDefaults = {
+    controls: {
+      numClaims: 20,
+      startDate: '2020-01-01',
+      endDate: '2025-01-01',
+      simulator: DEFAULT_SIMULATOR_PARAMS,
+      seedText: 'preprocessing-diagram',
+      trainCut: '2021-06-30',
+      valCut: '2023-06-30',
+      testCut: '2025-01-01',
+      oneBasedDevQuarters: true,
+      trainingSplitMode: 'notify',
+      showPaymentDetails: true,
+      showQuarterlyAggregation: true,
+    },
+    data: { source: 'simulated', ledgerCsv: { text: '', name: '' }, headerCsv: { text: '', name: '' } },
+    priceIndex: { source: 'simulated', csv: { text: '', name: '' } },
+    selectedClaimId: null,
+  };
+  const [scenarioStatus, setScenarioStatus] = useState(null); // { ok, message }
+  const saveScenario = () => {
+    const scenario = buildScenario('preprocessing', {
+      controls: {
+        numClaims,
+        startDate: startDateStr,
+        endDate: endDateStr,
+        simulator: simParams,
+        seedText,
+        trainCut: trainCutStr,
+        valCut: valCutStr,
+        testCut: testCutStr,
+        oneBasedDevQuarters,
+        trainingSplitMode,
+        showPaymentDetails,
+        showQuarterlyAggregation,
+      },
+      data: { source: dataSource, ledgerCsv, headerCsv },
+      priceIndex: { source: indexSource, csv: indexCsv },
+      selectedClaimId,
+    });
+    downloadBlob(JSON.stringify(scenario, null, 2), `preprocessing_scenario_${toISODate(new Date())}.json`, 'application/json');
+  };
+  const loadScenario = (file) => {
+    if (!file) return;
+    file.text().then((text) => {
+      const { scenario, error } = readScenario(text, 'preprocessing', scenarioDefaults);
+      if (error) {
+        setScenarioStatus({ ok: false, message: `${file.name}: ${error}` });
+        return;
+      }
+      const c = scenario.controls;
+      const def = scenarioDefaults.controls;
+      // A saved date, or the default when the file holds something unusable
+      const dateOr = (v, fallback) => (typeof v === 'string' && !isNaN(new Date(v).getTime()) ? v : fallback);
+      // An uploaded file's { text, name }
+      const fileOr = (v) => (v && typeof v.text === 'string' ? { text: v.text, name: String(v.name || '') } : { text: '', name: '' });
+      setNumClaims(Math.max(1, Math.round(Number(c.numClaims)) || def.numClaims));
+      setStartDateStr(dateOr(c.startDate, def.startDate));
+      setEndDateStr(dateOr(c.endDate, def.endDate));
+      setSimParams(normaliseSimulatorParams(c.simulator));
+      setSeedText(c.seedText == null ? def.seedText : String(c.seedText));
+      setTrainCutStr(dateOr(c.trainCut, def.trainCut));
+      setValCutStr(dateOr(c.valCut, def.valCut));
+      setTestCutStr(dateOr(c.testCut, def.testCut));
+      setOneBasedDevQuarters(!!c.oneBasedDevQuarters);
+      setTrainingSplitMode(c.trainingSplitMode === 'settlement' ? 'settlement' : 'notify');
+      setShowPaymentDetails(!!c.showPaymentDetails);
+      setShowQuarterlyAggregation(!!c.showQuarterlyAggregation);
+      setDataSource(scenario.data.source === 'ledger' ? 'ledger' : 'simulated');
+      setLedgerCsv(fileOr(scenario.data.ledgerCsv));
+      setHeaderCsv(fileOr(scenario.data.headerCsv));
+      setIndexSource(scenario.priceIndex.source === 'csv' ? 'csv' : 'simulated');
+      setIndexCsv(fileOr(scenario.priceIndex.csv));
+      setDidInitCuts(true); // keep the saved cutoffs
+      // The default-selection effect picks this claim once the (possibly new) claim list is in place
+      urlClaimIdRef.current = scenario.selectedClaimId == null ? null : String(scenario.selectedClaimId);
+      setSelectedClaimIndex(null);
+      setScenarioStatus({ ok: true, message: `Loaded ${file.name} (saved ${scenario.savedAt || 'unknown'})` });
+    }).catch((e) => setScenarioStatus({ ok: false, message: `${file.name}: ${e.message}` }));
+  };
+
+  const [linkCopied, setLinkCopied] = useState(false);
+  const copyShareLink = () => {
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    });
+  };
+
   return (
     <div className='w-full relative'>
       <div className='w-full p-4 flex flex-col items-center'>
         <div className='text-xl font-semibold mb-2'>Individual Reserving Data Preprocessing</div>
-        <div className='mb-4 text-sm text-gray-600 text-center max-w-2xl'>
+        <div className='mb-2 text-sm text-gray-600 text-center max-w-2xl'>
           This page demonstrates the preprocessing steps applied to individual insurance claims
           before they are used in machine learning models for reserving.
         </div>
+        <div className='mb-4 flex flex-wrap items-center justify-center gap-2'>
+          <button
+            onClick={copyShareLink}
+            className='text-xs px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded-full transition-colors'
+            title={dataSource === 'simulated' && indexSource === 'simulated' ? 'Copy a link that reopens this exact view' : 'Copy a link to these settings (uploaded files are not part of the link)'}
+          >
+            {linkCopied ? 'Link copied' : 'Copy link'}
+          </button>
+          <button
+            onClick={saveScenario}
+            className='text-xs px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded-full transition-colors'
+            title='Save the settings, imported files, price index and selected claim to a JSON file'
+          >
+            Save scenario
+          </button>
+          <label className='text-xs px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded-full transition-colors cursor-pointer'>
+            Load scenario
+            <input type='file' accept='.json,application/json' className='hidden' onChange={(e) => { loadScenario(e.target.files && e.target.files[0]); e.target.value = ''; }} />
+          </label>
+          {scenarioStatus && (
+            <span className={`text-xs ${scenarioStatus.ok ? 'text-gray-600' : 'text-red-700'}`}>{scenarioStatus.message}</span>
+          )}
+        </div>
+
+        <LedgerImport
+          dataSource={dataSource}
+          setDataSource={setDataSource}
+          ledgerFileName={ledgerCsv.name}
+          headerFileName={headerCsv.name}
+          onLedgerFile={(text, name) => setLedgerCsv({ text, name })}
+          onHeaderFile={(text, name) => setHeaderCsv({ text, name })}
+          result={ledgerResult}
+        />
+
+        {dataSource === 'simulated' && (
+          <ClaimSimulatorSettings
+            numClaims={numClaims}
+            setNumClaims={setNumClaims}
+            seedText={seedText}
+            setSeedText={setSeedText}
+            params={simParams}
+            setParams={setSimParams}
+            claimCount={autoClaims.length}
+            endDate={endDate}
+          />
+        )}
+
+        <PriceIndexImport
+          indexSource={indexSource}
+          setIndexSource={setIndexSource}
+          fileName={indexCsv.name}
+          onFile={(text, name) => setIndexCsv({ text, name })}
+          result={indexResult}
+          missingQuarters={missingIndexQuarters}
+          startDate={startDate}
+          endDate={endDate}
+        />
 
         {/* Claim Selection Interface - Sticky */}
         {selectedClaim && (
@@ -204,6 +427,11 @@ function ClaimsPreprocessingDiagram() {
             priceIndexMap={priceIndexMap}
             priceIndexSeries={priceIndexSeries}
             midQuarterIndexMap={midQuarterIndexMap}
+            calendarShocks={calendarShocks}
+            claims={claims}
+            cutoffs={cutoffs}
+            trainingSplitMode={trainingSplitMode}
+            setTrainingSplitMode={setTrainingSplitMode}
           />
         </div>
       </div>
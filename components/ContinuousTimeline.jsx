@@ -1,23 +1,29 @@
 // ContinuousTimeline Component
-// Displays the continuous timeline visualization with accident, notification, payments, and settlement
+// Displays the continuous timeline visualization with accident, notification, payments, recoveries, and settlement
 
 function ContinuousTimeline({ claimInfo, selectedClaim }) {
+  const { formatCurrency } = window.utils;
+  const { isRecovery } = window.claimSimulator;
   const [show, setShow] = React.useState(true);
+  const svgRef = React.useRef(null);
 
   return (
     <div className="bg-blue-50 p-4 rounded-lg">
       <div className="flex items-center justify-between mb-3">
         <div className="text-sm font-medium">Continuous Timeline</div>
-        <button
-          onClick={() => setShow(!show)}
-          className="text-xs px-3 py-1 bg-blue-200 hover:bg-blue-300 rounded-full transition-colors"
-        >
-          {show ? 'Hide' : 'Show'}
-        </button>
+        <div className="flex items-center gap-3">
+          {show && <FigureExportMenu svgRef={svgRef} filename={`continuous_timeline_${claimInfo.claimId}`} />}
+          <button
+            onClick={() => setShow(!show)}
+            className="text-xs px-3 py-1 bg-blue-200 hover:bg-blue-300 rounded-full transition-colors"
+          >
+            {show ? 'Hide' : 'Show'}
+          </button>
+        </div>
       </div>
       {show && (
         <div className="relative">
-          <svg width="100%" height="100" viewBox="0 0 800 100">
+          <svg ref={svgRef} width="100%" height="100" viewBox="0 0 800 100">
             {(() => {
               // Calculate timeline bounds
               const timelineStart = claimInfo.accidentDate;
@@ -100,16 +106,45 @@ function ContinuousTimeline({ claimInfo, selectedClaim }) {
                   <circle cx={timeScale(claimInfo.notifyDate)} cy={timelineY} r="5" fill="white" stroke="#3b82f6" strokeWidth="2" />
                   <text x={timeScale(claimInfo.notifyDate)} y={timelineY + 20} fontSize="10" textAnchor="middle" fill="#374151">Notify</text>
 
-                  {/* Payments */}
+                  {/* Payments; recoveries (salvage, subrogation, refunds) as a circled minus */}
                   {selectedClaim.payments.map((payment, i) => {
                     const x = timeScale(payment.date);
+                    if (isRecovery(payment)) {
+                      return (
+                        <g key={i}>
+                          <circle cx={x} cy={timelineY} r="5" fill="white" stroke="#0891b2" strokeWidth="2" />
+                          <line x1={x - 3} y1={timelineY} x2={x + 3} y2={timelineY} stroke="#0891b2" strokeWidth="2" />
+                          <text x={x} y={timelineY + 20} fontSize="9" textAnchor="middle" fill="#0e7490">
+                            <title>{payment.type ? `Recovery (${payment.type})` : 'Recovery'}</title>
+                            {formatCurrency(payment.amount)}
+                          </text>
+                        </g>
+                      );
+                    }
                     return (
                       <g key={i}>
                         <g transform={`translate(${x}, ${timelineY})`}>
                           <line x1="-3" y1="-3" x2="3" y2="3" stroke="#10b981" strokeWidth="2" />
                           <line x1="-3" y1="3" x2="3" y2="-3" stroke="#10b981" strokeWidth="2" />
                         </g>
-                        <text x={x} y={timelineY + 20} fontSize="9" textAnchor="middle" fill="#374151">${payment.amount.toFixed(2)}</text>
+                        <text x={x} y={timelineY + 20} fontSize="9" textAnchor="middle" fill="#374151">{formatCurrency(payment.amount)}</text>
+                      </g>
+                    );
+                  })}
+
+                  {/* Closed periods before a reopen (dashed over the timeline) and the reopen markers */}
+                  {(claimInfo.statusEvents || []).map((e, i, events) => {
+                    if (e.status !== 'reopened' || i === 0 || events[i - 1].status !== 'closed') return null;
+                    const xClosed = timeScale(events[i - 1].date);
+                    const xReopen = timeScale(e.date);
+                    return (
+                      <g key={`reopen-${i}`}>
+                        <line x1={xClosed} y1={timelineY} x2={xReopen} y2={timelineY} stroke="#dbeafe" strokeWidth="4" />
+                        <line x1={xClosed} y1={timelineY} x2={xReopen} y2={timelineY} stroke="#94a3b8" strokeWidth="1" strokeDasharray="2 3" />
+                        <line x1={xClosed} y1={timelineY - 6} x2={xClosed} y2={timelineY + 6} stroke="#dc2626" strokeWidth="2" />
+                        <text x={xClosed} y={timelineY + 34} fontSize="9" textAnchor="middle" fill="#374151">Closed</text>
+                        <path d={`M ${xReopen} ${timelineY - 7} l 5 8 l -10 0 z`} fill="#7c3aed" />
+                        <text x={xReopen} y={timelineY + 34} fontSize="9" textAnchor="middle" fill="#374151">Reopened</text>
                       </g>
                     );
                   })}
@@ -9,7 +9,7 @@ function CovariateHistorySummaries({
   midQuarterIndexMap,
   oneBasedDevQuarters
 }) {
-  const { getQuarterInfo, formatCurrency } = window.utils || {};
+  const { getQuarterInfo, formatCurrency, buildClaimQuarterSeries, seriesStatsUpTo } = window.utils || {};
   const [show, setShow] = React.useState(true);
 
   if (!claimData || !claimData.quarters || !Array.isArray(claimData.quarters) || !getQuarterInfo) {
@@ -66,105 +66,26 @@ function CovariateHistorySummaries({
   const legalRepLatest = latestNonMissing(legalRepHistory, cutoffIndex);
 
   // ---- Time-series covariates ----------------------------------------------
-  // Incremental paid per dev quarter (nominal)
-  const increments = devRange.map(dq => {
-    const q = byDev[dq];
-    const v = q ? (q.nominalAmount ?? q.totalAmount ?? 0) : 0;
-    return isFinite(v) ? v : 0;
-  });
-
-  // Cumulative paid to date (nominal)
-  const cumulative = (() => {
-    const out = [];
-    let s = 0;
-    for (let i = 0; i < increments.length; i++) {
-      s += increments[i];
-      out.push(s);
-    }
-    return out;
-  })();
-
-  // Incurred (estimator's assessment of remaining liability, inflation-adjusted to observation quarter)
-  const adjustedIncrements = (() => {
-    const obsQ = getQuarterInfo(endDate, claimInfo.accidentDate);
-    const targetPI = priceIndexMap ? priceIndexMap[obsQ.quarterKey] : null;
-    const midMap = midQuarterIndexMap || {};
-    return devRange.map((dq) => {
-      const q = byDev[dq];
-      const nominal = q ? (q.nominalAmount ?? q.totalAmount ?? 0) : 0;
-      const srcPI = q
-        ? (midMap[q.quarterKey] || (priceIndexMap ? priceIndexMap[q.quarterKey] : null))
-        : null;
-      const factor = (srcPI && targetPI) ? (targetPI / srcPI) : 1.0;
-      return nominal * factor;
-    });
-  })();
-
-  const cumulativeAdj = (() => {
-    const out = [];
-    let s = 0;
-    for (let i = 0; i < adjustedIncrements.length; i++) {
-      s += adjustedIncrements[i];
-      out.push(s);
-    }
-    return out;
-  })();
-
-  const ultimateAdj = cumulativeAdj[cumulativeAdj.length - 1] || 0;
-  
-  // Calculate true outstanding liability (unknowable in practice)
-  const trueOutstanding = cumulativeAdj.map(c => Math.max(0, ultimateAdj - c));
-  
-  // Generate incurred estimates with realistic estimation error
-  // Incurred should be correlated with but different from true outstanding
-  const remainingAdj = React.useMemo(() => {
-    // Use claim ID to seed the noise generation for consistency
-    const claimSeed = claimInfo.claimId ? claimInfo.claimId.charCodeAt(claimInfo.claimId.length - 1) : 42;
-    
-    return trueOutstanding.map((trueValue, idx) => {
-      if (trueValue === 0) return 0; // If truly settled, estimator knows it's settled
-      
-      // Generate estimation error that's correlated with development
-      // Early estimates tend to have more error, later estimates are more accurate
-      const progress = idx / Math.max(1, trueOutstanding.length - 1);
-      const baseErrorPct = 0.25 * (1 - progress * 0.7); // 25% error early, 7.5% error late
-      
-      // Deterministic "random" noise based on claim and development period
-      const noiseSeed = claimSeed * 1000 + idx;
-      const pseudoRandom = (Math.sin(noiseSeed) * 10000) % 1;
-      const errorMultiplier = 1 + baseErrorPct * (2 * pseudoRandom - 1);
-      
-      // Apply error and ensure non-negative
-      return Math.max(0, trueValue * errorMultiplier);
-    });
-  }, [claimInfo.claimId, ultimateAdj, JSON.stringify(cumulativeAdj)]);
-
-  // Summary stats up to cutoff
-  const statsUpTo = (arr, endIdx) => {
-    const n = Math.max(0, endIdx + 1);
-    if (n === 0) return { n: 0, sum: 0, mean: 0, max: 0, sd: 0, last: 0 };
-    let sum = 0, max = -Infinity;
-    for (let i = 0; i <= endIdx; i++) {
-      const v = arr[i] ?? 0;
-      sum += v;
-      if (v > max) max = v;
-    }
-    const mean = sum / n;
-    let varSum = 0;
-    for (let i = 0; i <= endIdx; i++) {
-      const v = arr[i] ?? 0;
-      varSum += (v - mean) * (v - mean);
-    }
-    const sd = n > 1 ? Math.sqrt(varSum / (n - 1)) : 0;
-    const last = arr[endIdx] ?? 0;
-    return { n, sum, mean, max: isFinite(max) ? max : 0, sd, last };
-  };
+  // Increments, cumulative paid, true outstanding and incurred estimates, all inflation-adjusted
+  // to the observation quarter. Shared with the portfolio training-row export.
+  const {
+    adjustedIncrements,
+    cumulativeAdj,
+    cumulativeRecoveredAdj, // recoveries received to date (cumulativeAdj is already net of them)
+    ultimateAdj,
+    trueOutstanding, // true outstanding liability (unknowable in practice)
+    incurred: remainingAdj, // case estimate at each quarter end, from the claim's dated caseEstimates history
+  } = buildClaimQuarterSeries(
+    { claimInfo, quarters: qSorted },
+    { endDate, priceIndexMap, midQuarterIndexMap }
+  );
 
   // Use inflation-adjusted values for all stats
-  const incStats = statsUpTo(adjustedIncrements, cutoffIndex);
-  const cumStats = statsUpTo(cumulativeAdj, cutoffIndex);
-  const remStats = statsUpTo(remainingAdj, cutoffIndex); // Incurred estimates (with error)
-  const trueOutstandingStats = statsUpTo(trueOutstanding, cutoffIndex); // True outstanding (target)
+  const incStats = seriesStatsUpTo(adjustedIncrements, cutoffIndex);
+  const cumStats = seriesStatsUpTo(cumulativeAdj, cutoffIndex);
+  const recoveredStats = seriesStatsUpTo(cumulativeRecoveredAdj, cutoffIndex);
+  const remStats = seriesStatsUpTo(remainingAdj, cutoffIndex); // Incurred (case estimates)
+  const trueOutstandingStats = seriesStatsUpTo(trueOutstanding, cutoffIndex); // True outstanding (target)
 
   // Check if outstanding liability is zero (claim is settled)
   const isZeroOutstanding = Math.round(trueOutstandingStats.last * 100) === 0;
@@ -415,6 +336,12 @@ function CovariateHistorySummaries({
                     <td className="px-3 py-2">Last observed ≤ cutoff</td>
                     <td className="px-3 py-2 text-right">{formatCurrency ? formatCurrency(cumStats.last) : cumStats.last.toFixed(2)}</td>
                   </tr>
+                  <tr className="border-t">
+                    <td className="px-3 py-2 font-mono">cum_recovered_last_qk</td>
+                    <td className="px-3 py-2">Time‑series</td>
+                    <td className="px-3 py-2">Recoveries to date (last observed ≤ cutoff)</td>
+                    <td className="px-3 py-2 text-right text-cyan-700">{formatCurrency ? formatCurrency(recoveredStats.last) : recoveredStats.last.toFixed(2)}</td>
+                  </tr>
                   <tr className="border-t">
                     <td className="px-3 py-2 font-mono">incurred_last_qk</td>
                     <td className="px-3 py-2">Time‑series</td>
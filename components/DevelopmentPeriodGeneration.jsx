@@ -7,22 +7,30 @@ function DevelopmentPeriodGeneration({
   endDate,
   oneBasedDevQuarters,
   priceIndexMap,
-  midQuarterIndexMap
+  midQuarterIndexMap,
+  claims,
+  cutoffs,
+  trainingSplitMode,
+  setTrainingSplitMode
 }) {
   // Use utilities from global scope
-  const { getQuarterInfo, formatCurrency } = window.utils;
+  const { getQuarterInfo, formatCurrency, buildClaimTrainingRows } = window.utils;
   const [show, setShow] = React.useState(true);
+  const svgRef = React.useRef(null);
 
   return (
     <div className="bg-purple-50 p-4 rounded-lg border border-purple-200">
       <div className="flex items-center justify-between mb-3">
         <div className="text-sm font-medium text-purple-900">Development Period & Training Row Generation</div>
-        <button
-          onClick={() => setShow(!show)}
-          className="text-xs px-3 py-1 bg-purple-200 hover:bg-purple-300 rounded-full transition-colors"
-        >
-          {show ? 'Hide' : 'Show'}
-        </button>
+        <div className="flex items-center gap-3">
+          {show && <FigureExportMenu svgRef={svgRef} filename={`training_rows_${claimInfo.claimId}`} />}
+          <button
+            onClick={() => setShow(!show)}
+            className="text-xs px-3 py-1 bg-purple-200 hover:bg-purple-300 rounded-full transition-colors"
+          >
+            {show ? 'Hide' : 'Show'}
+          </button>
+        </div>
       </div>
       {show && (
         <>
@@ -34,11 +42,14 @@ function DevelopmentPeriodGeneration({
             // Calculate key metrics
             const notifyQuarter = getQuarterInfo(claimInfo.notifyDate, claimInfo.accidentDate).developmentQuarter;
             const settlementQuarter = getQuarterInfo(claimInfo.settlementDate, claimInfo.accidentDate).developmentQuarter;
-            const observationQuarter = getQuarterInfo(endDate, claimInfo.accidentDate).developmentQuarter;
+            const devOffset = oneBasedDevQuarters ? 1 : 0;
 
-            // Calculate valid training rows (quarters where we can observe the claim up to observation cutoff)
-            const maxObservableQuarter = Math.min(settlementQuarter, observationQuarter);
-            const validNumRows = Math.max(0, maxObservableQuarter - notifyQuarter + 1);
+            // One row per observable development quarter (up to the observation cutoff), shared with the dataset export
+            const trainingRows = buildClaimTrainingRows(
+              { claimInfo, quarters },
+              { endDate, priceIndexMap, midQuarterIndexMap, oneBasedDevQuarters }
+            );
+            const validNumRows = trainingRows.length;
 
             const svgHeight = 40 + validNumRows * 25; // Header + rows
             const startY = 35;
@@ -52,26 +63,25 @@ function DevelopmentPeriodGeneration({
                   <div className="text-xs font-medium mb-2">
                     Claim {claimInfo.claimId} → {validNumRows} Training Rows:
                   </div>
-                  <svg width="100%" height={svgHeight} className="border rounded bg-white">
+                  <svg ref={svgRef} width="100%" height={svgHeight} className="border rounded bg-white">
                     {/* Original claim representation at top */}
                     <rect x="20" y="10" width="560" height="15" fill="#E5E7EB" stroke="#9CA3AF" strokeWidth="1" rx="2" />
                     <text x="25" y="21" fontSize="10" fill="#374151" fontWeight="bold">
                       Original Claim {claimInfo.claimId}
                     </text>
                     <text x="450" y="21" fontSize="9" fill="#6B7280">
-                      Notify Q{notifyQuarter} → Settle Q{settlementQuarter}
+                      Notify Q{notifyQuarter + devOffset} → Settle Q{settlementQuarter + devOffset}
                     </text>
 
                     {/* Training rows */}
-                    {Array.from({ length: validNumRows }, (_, i) => {
+                    {trainingRows.map((row, i) => {
                       const y = startY + i * 25;
-                      const currentQuarter = notifyQuarter + i;
-                      const isLastObservableRow = currentQuarter === maxObservableQuarter;
 
                       // Calculate widths
                       const totalQuarters = settlementQuarter - notifyQuarter + 1;
-                      const observedQuarters = currentQuarter - notifyQuarter + 1;
+                      const observedQuarters = i + 1;
                       const cutoffWidth = (observedQuarters / totalQuarters) * totalWidth;
+                      const fillColor = row.zero_target ? '#FEE2E2' : '#DBEAFE'; // red-100 if zero, otherwise blue-100
 
                       return (
                         <g key={i}>
@@ -89,76 +99,25 @@ function DevelopmentPeriodGeneration({
                           />
 
                           {/* Visible (uncensored) part */}
-                          {(() => {
-                            // Compute outstanding liability for this row to decide color
-                            const observationQuarter = getQuarterInfo(endDate, claimInfo.accidentDate);
-                            const targetQuarterKey = observationQuarter.quarterKey;
-                            const targetPI = priceIndexMap ? priceIndexMap[targetQuarterKey] : null;
-                            const midMap = midQuarterIndexMap || {};
-                            const ultimateClaimSize = quarters.reduce((sum, q) => {
-                              const srcMid = midMap[q.quarterKey] || (priceIndexMap ? priceIndexMap[q.quarterKey] : null);
-                              const factor = (targetPI && srcMid) ? (targetPI / srcMid) : 1.0;
-                              return sum + (q.nominalAmount || q.totalAmount) * factor;
-                            }, 0);
-
-                            let cumulativeToDate = 0;
-                            for (let qIdx = 0; qIdx < quarters.length; qIdx++) {
-                              const q = quarters[qIdx];
-                              if (q.developmentQuarter <= currentQuarter) {
-                                const srcMid = midMap[q.quarterKey] || (priceIndexMap ? priceIndexMap[q.quarterKey] : null);
-                                const factor = (targetPI && srcMid) ? (targetPI / srcMid) : 1.0;
-                                cumulativeToDate += (q.nominalAmount || q.totalAmount) * factor;
-                              }
-                            }
-                            const outstandingLiability = Math.max(0, ultimateClaimSize - cumulativeToDate);
-                            const isZeroTarget = Math.round(outstandingLiability * 100) === 0;
-                            const fillColor = isZeroTarget ? '#FEE2E2' : '#DBEAFE'; // red-100 if zero, otherwise blue-100
-
-                            return (
-                              <rect
-                                x="20"
-                                y={y}
-                                width={cutoffWidth}
-                                height={rowHeight}
-                                fill={fillColor}
-                                stroke="#3B82F6"
-                                strokeWidth="1"
-                                rx="2"
-                              />
-                            );
-                          })()}
+                          <rect
+                            x="20"
+                            y={y}
+                            width={cutoffWidth}
+                            height={rowHeight}
+                            fill={fillColor}
+                            stroke="#3B82F6"
+                            strokeWidth="1"
+                            rx="2"
+                          />
 
                           {/* Row label */}
                           <text x="25" y={y + 11} fontSize="9" fill="#374151" fontWeight="medium">
-                            Row {i + 1}: Observe to Dev Q{currentQuarter}
+                            Row {i + 1}: Observe to Dev Q{row.dev_quarter}
                           </text>
 
                           {/* Outstanding liability value */}
                           <text x={20 + cutoffWidth - 5} y={y + 11} fontSize="8" fill="#1F2937" textAnchor="end" fontWeight="bold">
-                            {(() => {
-                              // Calculate outstanding liability at this development quarter
-                              const observationQuarter = getQuarterInfo(endDate, claimInfo.accidentDate);
-                              const targetPI = priceIndexMap ? priceIndexMap[observationQuarter.quarterKey] : null;
-                              const midMap = midQuarterIndexMap || {};
-                              const ultimateClaimSize = quarters.reduce((sum, q) => {
-                                const srcMid = midMap[q.quarterKey] || (priceIndexMap ? priceIndexMap[q.quarterKey] : null);
-                                const factor = (targetPI && srcMid) ? (targetPI / srcMid) : 1.0;
-                                return sum + (q.nominalAmount || q.totalAmount) * factor;
-                              }, 0);
-
-                              let cumulativeToDate = 0;
-                              for (let qIdx = 0; qIdx < quarters.length; qIdx++) {
-                                const q = quarters[qIdx];
-                                if (q.developmentQuarter <= currentQuarter) {
-                                  const srcMid = midMap[q.quarterKey] || (priceIndexMap ? priceIndexMap[q.quarterKey] : null);
-                                  const factor = (targetPI && srcMid) ? (targetPI / srcMid) : 1.0;
-                                  cumulativeToDate += (q.nominalAmount || q.totalAmount) * factor;
-                                }
-                              }
-
-                              const outstandingLiability = Math.max(0, ultimateClaimSize - cumulativeToDate);
-                              return `Target: ${formatCurrency(outstandingLiability)}`;
-                            })()}
+                            Target: {formatCurrency(row.outstanding_liability)}
                           </text>
 
                           {/* Cutoff line */}
@@ -185,54 +144,29 @@ function DevelopmentPeriodGeneration({
                         <tr>
                           <th className="px-3 py-2 text-left font-medium">Row</th>
                           <th className="px-3 py-2 text-left font-medium">Description</th>
+                          <th className="px-3 py-2 text-left font-medium">Status</th>
                           <th className="px-3 py-2 text-right font-medium">Total Paid to Date</th>
                           <th className="px-3 py-2 text-right font-medium">Outstanding Liability</th>
                         </tr>
                       </thead>
                       <tbody>
-                        {Array.from({ length: validNumRows }, (_, i) => {
-                          const currentQuarter = notifyQuarter + i;
-                          const devPeriod = oneBasedDevQuarters ? currentQuarter + 1 : currentQuarter;
-
-                          // Calculate outstanding liability and cumulative paid
-                          const observationQuarter = getQuarterInfo(endDate, claimInfo.accidentDate);
-                          const targetPI = priceIndexMap ? priceIndexMap[observationQuarter.quarterKey] : null;
-                          const midMap = midQuarterIndexMap || {};
-                          const ultimateClaimSize = quarters.reduce((sum, q) => {
-                            const srcMid = midMap[q.quarterKey] || (priceIndexMap ? priceIndexMap[q.quarterKey] : null);
-                            const factor = (targetPI && srcMid) ? (targetPI / srcMid) : 1.0;
-                            return sum + (q.nominalAmount || q.totalAmount) * factor;
-                          }, 0);
-
-                          let cumulativeToDate = 0;
-                          for (let qIdx = 0; qIdx < quarters.length; qIdx++) {
-                            const q = quarters[qIdx];
-                            if (q.developmentQuarter <= currentQuarter) {
-                              const srcMid = midMap[q.quarterKey] || (priceIndexMap ? priceIndexMap[q.quarterKey] : null);
-                              const factor = (targetPI && srcMid) ? (targetPI / srcMid) : 1.0;
-                              cumulativeToDate += (q.nominalAmount || q.totalAmount) * factor;
-                            }
-                          }
-
-                          const outstandingLiability = Math.max(0, ultimateClaimSize - cumulativeToDate);
-
-                          return (
-                            <tr key={i} className="border-t border-gray-100">
-                              <td className="px-3 py-2 text-left">
-                                <span className="font-mono bg-blue-100 px-2 py-1 rounded text-blue-800 text-xs">R{i + 1}</span>
-                              </td>
-                              <td className="px-3 py-2 text-left text-xs">
-                                Claim {claimInfo.claimId} at Dev Period {devPeriod}
-                              </td>
-                              <td className="px-3 py-2 text-right text-gray-600">
-                                {formatCurrency(cumulativeToDate)}
-                              </td>
-                              <td className="px-3 py-2 text-right font-medium text-red-700">
-                                {formatCurrency(outstandingLiability)}
-                              </td>
-                            </tr>
-                          );
-                        })}
+                        {trainingRows.map((row, i) => (
+                          <tr key={i} className="border-t border-gray-100">
+                            <td className="px-3 py-2 text-left">
+                              <span className="font-mono bg-blue-100 px-2 py-1 rounded text-blue-800 text-xs">R{i + 1}</span>
+                            </td>
+                            <td className="px-3 py-2 text-left text-xs">
+                              Claim {claimInfo.claimId} at Dev Period {row.dev_quarter}
+                            </td>
+                            <td className="px-3 py-2 text-left text-xs">{row.claim_status}</td>
+                            <td className="px-3 py-2 text-right text-gray-600">
+                              {formatCurrency(row.cum_paid_last)}
+                            </td>
+                            <td className="px-3 py-2 text-right font-medium text-red-700">
+                              {formatCurrency(row.outstanding_liability)}
+                            </td>
+                          </tr>
+                        ))}
                       </tbody>
                     </table>
                   </div>
@@ -243,6 +177,17 @@ function DevelopmentPeriodGeneration({
                   with features based on information available up to that point and the target being the remaining outstanding liability.
                   <div className="mt-1"><strong>Discard rule:</strong> Rows where the target is <span className="font-mono">$0.00</span> are highlighted and will be <em>discarded</em> before model training.</div>
                 </div>
+
+                <TrainingDatasetExport
+                  claims={claims}
+                  cutoffs={cutoffs}
+                  endDate={endDate}
+                  oneBasedDevQuarters={oneBasedDevQuarters}
+                  priceIndexMap={priceIndexMap}
+                  midQuarterIndexMap={midQuarterIndexMap}
+                  splitMode={trainingSplitMode}
+                  setSplitMode={setTrainingSplitMode}
+                />
               </div>
             );
           })()}
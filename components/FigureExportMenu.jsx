@@ -0,0 +1,40 @@
+// FigureExportMenu Component
+// Compact SVG / PNG (chosen DPI) / PDF download buttons for an SVG panel, given a ref to its <svg>
+
+function FigureExportMenu({ svgRef, filename }) {
+  const { downloadSvgElement, downloadSvgAsPng, downloadSvgAsPdf } = window.utils;
+  const [dpi, setDpi] = React.useState(300);
+  const [error, setError] = React.useState(null);
+
+  const run = (fn) => {
+    const svg = svgRef.current;
+    if (!svg) return;
+    setError(null);
+    Promise.resolve()
+      .then(() => fn(svg))
+      .catch((e) => setError(e.message));
+  };
+
+  const pill = "text-xs px-2 py-0.5 bg-white hover:bg-gray-100 border border-gray-300 rounded-full transition-colors";
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 text-xs text-gray-600">
+      <span>Export:</span>
+      <button className={pill} onClick={() => run((svg) => downloadSvgElement(svg, `${filename}.svg`))}>SVG</button>
+      <button className={pill} onClick={() => run((svg) => downloadSvgAsPng(svg, `${filename}.png`, dpi))}>PNG</button>
+      <select
+        className="text-xs border border-gray-300 rounded px-1 py-0.5 bg-white"
+        value={dpi}
+        onChange={(e) => setDpi(Number(e.target.value))}
+        title="PNG resolution"
+      >
+        {[96, 150, 300, 600].map((d) => <option key={d} value={d}>{d} dpi</option>)}
+      </select>
+      <button className={pill} onClick={() => run((svg) => downloadSvgAsPdf(svg, `${filename}.pdf`))}>PDF</button>
+      {error && <span className="text-red-700">{error}</span>}
+    </div>
+  );
+}
+
+// Make the component globally available
+window.FigureExportMenu = FigureExportMenu;
@@ -7,11 +7,15 @@ function InflationAdjustment({
   endDate,
   priceIndexMap,
   priceIndexSeries,
-  midQuarterIndexMap
+  midQuarterIndexMap,
+  calendarShocks = []
 }) {
   // Use utilities from global scope
-  const { getQuarterInfo, formatCurrency } = window.utils;
+  const { getQuarterInfo, formatCurrency, parseQuarterKey, nextQuarterKey, findMissingIndexQuarters, formatQuarterRanges } = window.utils;
+  const { SHOCK_TYPES } = window.claimSimulator;
+  const shockType = (sh) => SHOCK_TYPES.find(t => t.id === sh.type);
   const [show, setShow] = React.useState(true);
+  const svgRef = React.useRef(null);
 
   // NEW: Build end-of-quarter WPI: w[t] = sqrt( w(t) * w(t+1) ) from quarter-averages w(t)
   const eoqIndexMap = React.useMemo(() => {
@@ -19,7 +23,7 @@ function InflationAdjustment({
     const m = {};
     for (let i = 0; i < priceIndexSeries.length - 1; i++) {
       const qk = priceIndexSeries[i].quarterKey;
-      const nextQk = priceIndexSeries[i + 1].quarterKey;
+      const nextQk = nextQuarterKey(qk); // by key, so a gap in an uploaded series is not bridged
       const wCurr = priceIndexMap[qk];
       const wNext = priceIndexMap[nextQk];
       if (wCurr != null && wNext != null) {
@@ -34,16 +38,26 @@ function InflationAdjustment({
     return m;
   }, [priceIndexSeries, priceIndexMap]);
 
+  // Quarters this claim needs (payment quarters through the valuation quarter) that the index does not cover
+  const missingQuarters = React.useMemo(() => {
+    if (!priceIndexMap || !quarters.length) return [];
+    const first = quarters.find(q => q.paymentCount > 0) || quarters[0];
+    return findMissingIndexQuarters(priceIndexMap, claimInfo.accidentDate, endDate, midQuarterIndexMap).filter(k => k >= first.quarterKey);
+  }, [priceIndexMap, midQuarterIndexMap, quarters, claimInfo, endDate]);
+
   return (
     <div className="bg-orange-50 p-4 rounded-lg border border-orange-200">
       <div className="flex items-center justify-between mb-3">
         <div className="text-sm font-medium text-orange-900">Inflation Adjustment</div>
-        <button
-          onClick={() => setShow(!show)}
-          className="text-xs px-3 py-1 bg-orange-200 hover:bg-orange-300 rounded-full transition-colors"
-        >
-          {show ? 'Hide' : 'Show'}
-        </button>
+        <div className="flex items-center gap-3">
+          {show && <FigureExportMenu svgRef={svgRef} filename="price_index" />}
+          <button
+            onClick={() => setShow(!show)}
+            className="text-xs px-3 py-1 bg-orange-200 hover:bg-orange-300 rounded-full transition-colors"
+          >
+            {show ? 'Hide' : 'Show'}
+          </button>
+        </div>
       </div>
       {show && (
         <>
@@ -73,14 +87,31 @@ function InflationAdjustment({
 
               const minY = Math.min(Math.min(...quarterSeries.map(p => p.index)), Math.min(...eoqSeries.map(p => p.index))) * 0.98;
               const maxY = Math.max(Math.max(...quarterSeries.map(p => p.index)), Math.max(...eoqSeries.map(p => p.index))) * 1.02;
-              const n = quarterSeries.length;
-              const xScale = (i) => pad + (i / (n - 1)) * (w - 2 * pad);
+              // Position by quarter offset (not array index) so gaps in an uploaded series stay visible as breaks
+              const quarterNo = (qk) => { const { year, quarter } = parseQuarterKey(qk); return year * 4 + quarter; };
+              const offsets = quarterSeries.map(p => quarterNo(p.quarterKey) - quarterNo(quarterSeries[0].quarterKey));
+              const n = offsets[offsets.length - 1] + 1;
+              const xScale = (i) => pad + (offsets[i] / Math.max(1, n - 1)) * (w - 2 * pad);
               const yScale = (v) => h - pad - ((v - minY) / (maxY - minY)) * (h - 2 * pad);
-              const linePath = quarterSeries.map((p, i) => `${i === 0 ? 'M' : 'L'} ${xScale(i)} ${yScale(p.index)}`).join(' ');
+              const linePath = quarterSeries.map((p, i) => `${i === 0 || offsets[i] !== offsets[i - 1] + 1 ? 'M' : 'L'} ${xScale(i)} ${yScale(p.index)}`).join(' ');
+              // Calendar-quarter shocks: a band one quarter wide centred on the shocked quarter
+              const step = (w - 2 * pad) / Math.max(1, n - 1);
+              const shockBands = calendarShocks
+                .map(sh => ({ sh, offset: quarterNo(sh.quarter) - quarterNo(quarterSeries[0].quarterKey) }))
+                .filter(b => b.offset >= 0 && b.offset < n);
 
               return (
-                <svg width="100%" viewBox={`0 0 ${w} ${h}`}>
+                <svg ref={svgRef} width="100%" viewBox={`0 0 ${w} ${h}`}>
                   <rect x="0" y="0" width={w} height={h} fill="#ffffff" />
+                  {/* Shocked quarters */}
+                  {shockBands.map((b, i) => {
+                    const x = pad + b.offset * step;
+                    return (
+                      <rect key={i} x={Math.max(pad, x - step / 2)} y={pad} width={Math.min(x + step / 2, w - pad) - Math.max(pad, x - step / 2)} height={h - 2 * pad} fill={shockType(b.sh).color} opacity="0.15">
+                        <title>{`${shockType(b.sh).label}, ${b.sh.quarter}`}</title>
+                      </rect>
+                    );
+                  })}
                   {/* Quarter WPI line */}
                   <path d={linePath} fill="none" stroke="#f59e0b" strokeWidth="2" />
                   {/* End-of-quarter dots */}
@@ -100,6 +131,32 @@ function InflationAdjustment({
             })()}
           </div>
 
+          {calendarShocks.length > 0 && (
+            <div className="mb-4 text-xs text-orange-800">
+              <div className="flex flex-wrap gap-3 mb-1">
+                {calendarShocks.map((sh, i) => (
+                  <span key={i} className="inline-flex items-center gap-1">
+                    <span className="inline-block w-3 h-3 rounded-sm" style={{ background: shockType(sh).color, opacity: 0.4 }} />
+                    {shockType(sh).label} {sh.quarter}
+                    {sh.type === 'courtAward' && ` (+${Math.round(sh.size * 100)}%)`}
+                    {sh.type === 'backlog' && ` (${sh.size} days)`}
+                  </span>
+                ))}
+              </div>
+              The simulated payments carry calendar-quarter shocks that the index does not: a court-award step is superimposed
+              inflation, so payments after it stay higher even in today's money, and a freeze or backlog moves payments into
+              later quarters, where they are deflated with a different index value. A temporal split puts each shock in one
+              dataset only.
+            </div>
+          )}
+
+          {missingQuarters.length > 0 && (
+            <div className="mb-4 p-2 bg-red-50 border border-red-200 rounded text-xs text-red-800">
+              <strong>Price index missing for:</strong> {formatQuarterRanges(missingQuarters).join(', ')}.
+              Amounts in these quarters are left nominal and their factors are shown as <span className="font-mono">missing</span> rather than 1.0.
+            </div>
+          )}
+
           <div className="grid md:grid-cols-2 gap-4">
             {/* Index values & factors for used quarters */}
             <div>
@@ -125,8 +182,8 @@ function InflationAdjustment({
                       return usedQs.map((qk, i) => {
                         const srcQuarter = priceIndexMap ? priceIndexMap[qk] : null; // w(t)
                         const srcEOQ = eoqIndexMap ? eoqIndexMap[qk] : (srcQuarter ?? null); // w[t]
-                        const payFactor = (srcQuarter && targetEOQ) ? (targetEOQ / srcQuarter) : 1.0;
-                        const caseFactor = (srcEOQ && targetEOQ) ? (targetEOQ / srcEOQ) : 1.0;
+                        const payFactor = (srcQuarter && targetEOQ) ? (targetEOQ / srcQuarter) : null;
+                        const caseFactor = (srcEOQ && targetEOQ) ? (targetEOQ / srcEOQ) : null;
                         return (
                           <tr key={i} className="border-t border-gray-100">
                             <td className="px-2 py-1 font-mono">{qk}</td>
@@ -134,8 +191,8 @@ function InflationAdjustment({
                             <td className="px-2 py-1 text-right font-mono">{srcEOQ ? srcEOQ.toFixed(2) : '-'}</td>
                             <td className="px-2 py-1 font-mono">{targetQuarterKey}</td>
                             <td className="px-2 py-1 text-right font-mono">{targetEOQ ? targetEOQ.toFixed(2) : '-'}</td>
-                            <td className="px-2 py-1 text-right font-mono">{payFactor.toFixed(4)}</td>
-                            <td className="px-2 py-1 text-right font-mono">{caseFactor.toFixed(4)}</td>
+                            <td className="px-2 py-1 text-right font-mono">{payFactor != null ? payFactor.toFixed(4) : <span className="text-red-700">missing</span>}</td>
+                            <td className="px-2 py-1 text-right font-mono">{caseFactor != null ? caseFactor.toFixed(4) : <span className="text-red-700">missing</span>}</td>
                           </tr>
                         );
                       });
@@ -165,8 +222,8 @@ function InflationAdjustment({
                       const targetQuarterKey = getQuarterInfo(endDate, claimInfo.accidentDate).quarterKey;
                       const targetEOQ = eoqIndexMap ? eoqIndexMap[targetQuarterKey] : null; // w[T]
                       const srcQuarter = priceIndexMap ? priceIndexMap[calendarQuarterKey] : null; // w(t)
-                      const displayFactor = (srcQuarter && targetEOQ) ? (targetEOQ / srcQuarter) : 1.0; // payments factor
-                      const adjustedSum = (quarter.nominalAmount || quarter.totalAmount) * displayFactor;
+                      const displayFactor = (srcQuarter && targetEOQ) ? (targetEOQ / srcQuarter) : null; // payments factor
+                      const adjustedSum = (quarter.nominalAmount || quarter.totalAmount) * (displayFactor ?? 1.0); // left nominal when missing
 
                       if (quarter.paymentCount === 0) {
                         return (
@@ -185,7 +242,7 @@ function InflationAdjustment({
                           <td className="px-3 py-2 font-mono">Dev Q{quarter.developmentQuarter}</td>
                           <td className="px-3 py-2 font-mono">{calendarQuarterKey}</td>
                           <td className="px-3 py-2 text-right font-medium">{formatCurrency(quarter.nominalAmount)}</td>
-                          <td className="px-3 py-2 text-right text-gray-600 font-mono">{displayFactor.toFixed(4)}</td>
+                          <td className="px-3 py-2 text-right text-gray-600 font-mono">{displayFactor != null ? displayFactor.toFixed(4) : <span className="text-red-700">missing</span>}</td>
                           <td className="px-3 py-2 text-right font-medium text-orange-700">{formatCurrency(adjustedSum)}</td>
                         </tr>
                       );
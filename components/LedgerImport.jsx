@@ -0,0 +1,114 @@
+// LedgerImport Component
+// Data source panel: switch between simulated claims and an imported payment ledger + claim header table
+
+function LedgerImport({
+  dataSource,
+  setDataSource,
+  ledgerFileName,
+  headerFileName,
+  onLedgerFile,
+  onHeaderFile,
+  result
+}) {
+  const [show, setShow] = React.useState(dataSource === 'ledger');
+  const [showErrors, setShowErrors] = React.useState(false);
+
+  const readFile = (file, cb) => {
+    if (!file) return;
+    file.text().then((text) => cb(text, file.name));
+  };
+
+  const errors = result ? result.errors : [];
+
+  return (
+    <div className="w-full max-w-6xl mx-auto mb-4 p-3 bg-white rounded-lg border">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-4 text-sm">
+          <span className="font-medium">Data source:</span>
+          <label className="inline-flex items-center gap-2">
+            <input type="radio" name="preprocessingDataSource" value="simulated" checked={dataSource === 'simulated'} onChange={(e) => setDataSource(e.target.value)} />
+            <span>Simulated claims</span>
+          </label>
+          <label className="inline-flex items-center gap-2">
+            <input type="radio" name="preprocessingDataSource" value="ledger" checked={dataSource === 'ledger'} onChange={(e) => { setDataSource(e.target.value); setShow(true); }} />
+            <span>Imported ledger</span>
+          </label>
+        </div>
+        <button
+          onClick={() => setShow(!show)}
+          className="text-xs px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded-full transition-colors"
+        >
+          {show ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {show && (
+        <div className="mt-3 space-y-3 text-sm">
+          <div className="text-gray-700">
+            Upload a payment ledger (<span className="font-mono">claim_id, transaction_date, amount, transaction_type</span>) and
+            a claim header table (<span className="font-mono">claim_id, accident_date, notify_date, settlement_date</span>, plus any
+            covariate columns such as <span className="font-mono">postcode</span> or <span className="font-mono">claimType</span>).
+            Ledger rows are grouped into one claim per header row and flow through every preprocessing step below.
+            A claim that closed and reopened can carry <span className="font-mono">close</span> and <span className="font-mono">reopen</span> rows
+            (amount ignored) between notification and its final closure, the header's settlement date.
+            Recoveries are negative amounts, or rows of type <span className="font-mono">salvage</span>, <span className="font-mono">subrogation</span>,{' '}
+            <span className="font-mono">refund</span> or <span className="font-mono">recovery</span> (stored as negative whatever the sign);
+            accounting negatives such as <span className="font-mono">(1,250.00)</span> are accepted.
+            Case-estimate revisions are rows of type <span className="font-mono">estimate</span> (or <span className="font-mono">case_estimate</span>,{' '}
+            <span className="font-mono">reserve</span>) whose amount is the new estimate of the cost still to come; claims without them get a simulated history.
+          </div>
+          <div className="grid md:grid-cols-2 gap-3">
+            <label className="flex flex-col text-xs">
+              <span className="font-medium mb-1">Payment ledger (CSV){ledgerFileName ? `: ${ledgerFileName}` : ''}</span>
+              <input type="file" accept=".csv,text/csv" onChange={(e) => readFile(e.target.files && e.target.files[0], onLedgerFile)} />
+            </label>
+            <label className="flex flex-col text-xs">
+              <span className="font-medium mb-1">Claim header table (CSV){headerFileName ? `: ${headerFileName}` : ''}</span>
+              <input type="file" accept=".csv,text/csv" onChange={(e) => readFile(e.target.files && e.target.files[0], onHeaderFile)} />
+            </label>
+          </div>
+
+          {result && (
+            <div className="text-xs">
+              <span className="font-medium">{result.claims.length}</span> claim{result.claims.length === 1 ? '' : 's'} built;{' '}
+              <span className={errors.length ? 'text-red-700 font-medium' : ''}>{errors.length}</span> row{errors.length === 1 ? '' : 's'} with problems
+              {errors.length > 0 && (
+                <button onClick={() => setShowErrors(!showErrors)} className="ml-2 underline text-red-700">
+                  {showErrors ? 'hide' : 'list'}
+                </button>
+              )}
+            </div>
+          )}
+
+          {showErrors && errors.length > 0 && (
+            <div className="max-h-48 overflow-auto rounded border border-red-200 bg-red-50">
+              <table className="w-full text-xs">
+                <thead className="bg-red-100 sticky top-0">
+                  <tr>
+                    <th className="px-2 py-1 text-left font-medium">File</th>
+                    <th className="px-2 py-1 text-left font-medium">Line</th>
+                    <th className="px-2 py-1 text-left font-medium">Claim</th>
+                    <th className="px-2 py-1 text-left font-medium">Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {errors.map((e, i) => (
+                    <tr key={i} className="border-t border-red-100">
+                      <td className="px-2 py-1">{e.source}</td>
+                      <td className="px-2 py-1 font-mono">{e.line}</td>
+                      <td className="px-2 py-1 font-mono">{e.claimId || ''}</td>
+                      <td className="px-2 py-1 text-red-800">{e.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Make the component globally available
+window.LedgerImport = LedgerImport;
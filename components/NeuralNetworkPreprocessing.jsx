@@ -8,7 +8,7 @@ function NeuralNetworkPreprocessing({
   midQuarterIndexMap,
   oneBasedDevQuarters,
 }) {
-  const { formatCurrency, getQuarterInfo } = window.utils;
+  const { formatCurrency, signedLog1p, buildClaimQuarterSeries, seriesStatsUpTo } = window.utils;
 
   if (!claimData || !claimData.quarters || !Array.isArray(claimData.quarters) || !claimData.claimInfo) {
     return null;
@@ -24,10 +24,6 @@ function NeuralNetworkPreprocessing({
   // Calculate features (same logic as CovariateHistorySummaries)
   const postcodeHistory = [];
   const legalRepHistory = [];
-  const adjustedIncrements = [];
-  const cumulativeAdj = [];
-  let runningTotal = 0;
-
   for (const q of quarters) {
     if (q.postcode !== null && q.postcode !== undefined) {
       postcodeHistory.push({ devQ: q.developmentQuarter, value: q.postcode });
@@ -35,80 +31,38 @@ function NeuralNetworkPreprocessing({
     if (q.legalRep !== null && q.legalRep !== undefined) {
       legalRepHistory.push({ devQ: q.developmentQuarter, value: q.legalRep });
     }
-
-    const observationQuarter = getQuarterInfo(endDate, claimInfo.accidentDate);
-    const targetPI = priceIndexMap ? priceIndexMap[observationQuarter.quarterKey] : null;
-    const midMap = midQuarterIndexMap || {};
-    const srcMid = midMap[q.quarterKey] || (priceIndexMap ? priceIndexMap[q.quarterKey] : null);
-    const factor = (targetPI && srcMid) ? (targetPI / srcMid) : 1.0;
-    const adjIncrement = (q.nominalAmount || q.totalAmount) * factor;
-
-    adjustedIncrements.push(adjIncrement);
-    runningTotal += adjIncrement;
-    cumulativeAdj.push(runningTotal);
   }
 
-  // Calculate ultimate claim size
-  const ultimateAdj = adjustedIncrements.reduce((sum, val) => sum + val, 0);
+  // Increments, cumulative paid, true outstanding and the claim's case-estimate (incurred) history, from the
+  // same shared series as CovariateHistorySummaries and the training-row export
+  const qSorted = [...quarters].sort((a, b) => a.developmentQuarter - b.developmentQuarter);
+  const {
+    adjustedIncrements,
+    cumulativeAdj,
+    trueOutstanding, // negative while a recovery is still to come
+    incurred,
+  } = buildClaimQuarterSeries({ claimInfo, quarters: qSorted }, { endDate, priceIndexMap, midQuarterIndexMap });
 
   // Use middle development quarter as cutoff (like CovariateHistorySummaries)
   // to avoid showing a settled claim with zero outstanding
-  const devQs = quarters.map(q => q.developmentQuarter);
+  const devQs = qSorted.map(q => q.developmentQuarter);
   const minDevQ = Math.min(...devQs);
   const maxDevQ = Math.max(...devQs);
   const cutoffDevQ = Math.floor((minDevQ + maxDevQ) / 2);
+  const cutoffIndex = Math.max(0, Math.min(qSorted.length - 1, cutoffDevQ - minDevQ));
 
   // Calculate features at cutoff
   const postcodeLatest = [...postcodeHistory].reverse().find(x => x.devQ <= cutoffDevQ)?.value;
   const legalRepLatest = [...legalRepHistory].reverse().find(x => x.devQ <= cutoffDevQ)?.value;
 
-  const incUpToCutoff = adjustedIncrements.filter((_, i) => quarters[i].developmentQuarter <= cutoffDevQ);
-  const incStats = {
-    mean: incUpToCutoff.length > 0 ? incUpToCutoff.reduce((a, b) => a + b, 0) / incUpToCutoff.length : 0,
-    max: incUpToCutoff.length > 0 ? Math.max(...incUpToCutoff) : 0,
-    sd: incUpToCutoff.length > 1 
-      ? Math.sqrt(incUpToCutoff.reduce((sum, val) => sum + Math.pow(val - (incUpToCutoff.reduce((a, b) => a + b, 0) / incUpToCutoff.length), 2), 0) / incUpToCutoff.length)
-      : 0,
-  };
-
-  const cumUpToCutoff = cumulativeAdj.filter((_, i) => quarters[i].developmentQuarter <= cutoffDevQ);
-  const cumStats = {
-    last: cumUpToCutoff.length > 0 ? cumUpToCutoff[cumUpToCutoff.length - 1] : 0,
-  };
-
-  // Calculate true outstanding and incurred with error (same as CovariateHistorySummaries)
-  const trueOutstanding = cumulativeAdj.map(c => Math.max(0, ultimateAdj - c));
-  
-  // Add estimation error to incurred
-  const mulberry32 = (a) => {
-    return function() {
-      let t = a += 0x6D2B79F5;
-      t = Math.imul(t ^ t >>> 15, t | 1);
-      t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-      return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
-  };
-  const claimIdNum = parseInt(claimInfo.claimId.replace(/\D/g, ''), 10) || 1;
-  
-  const remainingAdj = trueOutstanding.map((trueVal, i) => {
-    const progress = (i + 1) / Math.max(1, trueOutstanding.length);
-    const baseErrorPct = 0.25 * (1 - progress * 0.7);
-    const rng = mulberry32(claimIdNum * 1000 + i);
-    const errorFactor = 1 + baseErrorPct * (2 * rng() - 1);
-    return Math.max(0, trueVal * errorFactor);
-  });
-
-  const remUpToCutoff = remainingAdj.filter((_, i) => quarters[i].developmentQuarter <= cutoffDevQ);
-  const remStats = {
-    last: remUpToCutoff.length > 0 ? remUpToCutoff[remUpToCutoff.length - 1] : 0,
-  };
-
-  const trueOutstandingStats = {
-    last: trueOutstanding.filter((_, i) => quarters[i].developmentQuarter <= cutoffDevQ).slice(-1)[0] || 0,
-  };
-
-  // Apply log1p transformation to dollar amounts
-  const log1p = (x) => Math.log(1 + x);
+  const incStats = seriesStatsUpTo(adjustedIncrements, cutoffIndex);
+  const cumStats = seriesStatsUpTo(cumulativeAdj, cutoffIndex);
+  const remStats = seriesStatsUpTo(incurred, cutoffIndex);
+  const trueOutstandingStats = seriesStatsUpTo(trueOutstanding, cutoffIndex);
+
+  // Apply the sign-preserving log1p to dollar amounts: net increments and estimates can be negative
+  // once recoveries are netted off, where Math.log(1 + x) is NaN (x < -1) or -Infinity (x = -1)
+  const log1p = signedLog1p;
 
   return (
     <div className="mb-4 p-4 bg-teal-50 rounded-lg border border-teal-200">
@@ -133,7 +87,9 @@ function NeuralNetworkPreprocessing({
             <div>
               <strong>Log Transformation:</strong> All dollar-amount features are transformed using{' '}
               <code className="bg-teal-100 px-1 rounded">log(1 + x)</code> to reduce skewness and handle the wide range of payment values.
-              This helps the neural network learn more effectively from the data.
+              Amounts net of recoveries (salvage, subrogation, refunds) can be negative, so the transform keeps the sign:{' '}
+              <code className="bg-teal-100 px-1 rounded">sign(x) · log(1 + |x|)</code>, which equals <code className="bg-teal-100 px-1 rounded">log(1 + x)</code> for
+              non-negative amounts. This helps the neural network learn more effectively from the data.
             </div>
           </div>
 
@@ -157,7 +113,7 @@ function NeuralNetworkPreprocessing({
                 <tr>
                   <th className="px-3 py-2 text-left font-medium">Feature</th>
                   <th className="px-3 py-2 text-left font-medium">Original Value</th>
-                  <th className="px-3 py-2 text-right font-medium">log(1 + x)</th>
+                  <th className="px-3 py-2 text-right font-medium">sign(x) · log(1 + |x|)</th>
                 </tr>
               </thead>
               <tbody>
@@ -209,7 +165,7 @@ function NeuralNetworkPreprocessing({
 
         <div className="text-xs text-gray-600 mt-2">
           <strong>Note:</strong> The target variable (<code className="bg-gray-100 px-1 rounded">outstanding_liability</code>) is <em>not</em> log-transformed.
-          The model predicts the outstanding liability directly in dollar amounts.
+          The model predicts the outstanding liability directly in dollar amounts; it is negative while a recovery is still expected.
         </div>
       </div>
     </div>
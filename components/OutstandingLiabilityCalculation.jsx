@@ -9,7 +9,7 @@ function OutstandingLiabilityCalculation({
   midQuarterIndexMap
 }) {
   // Use utilities from global scope
-  const { getQuarterInfo, formatCurrency } = window.utils;
+  const { getQuarterInfo, formatCurrency, calculateAdjustmentFactorByIndex, formatQuarterRanges } = window.utils;
   const [show, setShow] = React.useState(true);
 
   return (
@@ -56,26 +56,33 @@ function OutstandingLiabilityCalculation({
 
           {(() => {
           const observationQuarterKey = getQuarterInfo(endDate, claimInfo.accidentDate).quarterKey;
-          const targetPI = priceIndexMap ? priceIndexMap[observationQuarterKey] : null;
+
+          // Payments in quarter t adjust by PI[T] / PI_mid(t); null when the index misses either quarter,
+          // in which case the amount is left nominal and the quarter is flagged
+          const factors = quarters.map(q => calculateAdjustmentFactorByIndex(q.quarterKey, observationQuarterKey, priceIndexMap, midQuarterIndexMap));
+          const adjusted = quarters.map((q, i) => (q.nominalAmount || q.totalAmount) * (factors[i] ?? 1));
+          const missingQuarters = quarters.filter((q, i) => factors[i] == null && (q.nominalAmount || q.totalAmount)).map(q => q.quarterKey);
 
           // Ultimate = total inflation-adjusted payments over the claim lifetime
-          const midMap = midQuarterIndexMap || {};
-          const ultimateClaimSize = quarters.reduce((sum, q) => {
-            const srcMid = midMap[q.quarterKey] || (priceIndexMap ? priceIndexMap[q.quarterKey] : null);
-            const factor = (targetPI && srcMid) ? (targetPI / srcMid) : 1.0;
-            return sum + (q.nominalAmount || q.totalAmount) * factor;
-          }, 0);
+          const ultimateClaimSize = adjusted.reduce((sum, v) => sum + v, 0);
 
           return (
             <>
               <div className="text-sm mb-3">
                 <strong>Ultimate = Total Payments Over Claim Lifetime (adjusted to {observationQuarterKey}) = {formatCurrency(ultimateClaimSize)}</strong>
               </div>
+              {missingQuarters.length > 0 && (
+                <div className="mb-3 p-2 bg-red-50 border border-red-200 rounded text-xs text-red-800">
+                  <strong>Price index missing for:</strong> {formatQuarterRanges(missingQuarters).join(', ')}.
+                  Payments in these quarters are left nominal, so the ultimate and the liability mix money values.
+                </div>
+              )}
               <div className="bg-white rounded border overflow-hidden">
                 <table className="w-full text-sm">
                   <thead className="bg-gray-50">
                     <tr>
                       <th className="px-3 py-2 text-left font-medium">Quarter</th>
+                      <th className="px-3 py-2 text-right font-medium">Index Factor</th>
                       <th className="px-3 py-2 text-right font-medium">Cumulative Paid</th>
                       <th className="px-3 py-2 text-right font-medium">Outstanding Liability</th>
                     </tr>
@@ -84,14 +91,13 @@ function OutstandingLiabilityCalculation({
                     {(() => {
                       let cumulativeSum = 0;
                       return quarters.map((quarter, i) => {
-                        const srcMid = midMap[quarter.quarterKey] || (priceIndexMap ? priceIndexMap[quarter.quarterKey] : null);
-                        const factor = (targetPI && srcMid) ? (targetPI / srcMid) : 1.0;
-                        const adjustedThisQuarter = (quarter.nominalAmount || quarter.totalAmount) * factor;
-                        cumulativeSum += adjustedThisQuarter;
-                        const outstandingLiability = Math.max(0, ultimateClaimSize - cumulativeSum);
+                        cumulativeSum += adjusted[i];
+                        // Not floored at zero: negative while a recovery is still to come
+                        const outstandingLiability = ultimateClaimSize - cumulativeSum;
                         return (
                           <tr key={i} className="border-t border-gray-100">
                             <td className="px-3 py-2 font-mono">Dev Q{quarter.developmentQuarter}</td>
+                            <td className="px-3 py-2 text-right font-mono text-gray-600">{factors[i] != null ? factors[i].toFixed(4) : <span className="text-red-700">missing</span>}</td>
                             <td className="px-3 py-2 text-right font-medium">{formatCurrency(cumulativeSum)}</td>
                             <td className="px-3 py-2 text-right font-medium">{formatCurrency(outstandingLiability)}</td>
                           </tr>
@@ -103,6 +109,7 @@ function OutstandingLiabilityCalculation({
               </div>
               <div className="text-xs text-gray-600 mt-2">
                 <strong>Formula:</strong> OCL = <span className="font-mono">Ultimate</span> − <span className="font-mono">CumulativePaidToDate</span>.
+                Both are net of recoveries (salvage, subrogation, refunds), so the liability is negative while a recovery is still to be received.
               </div>
             </>
           );
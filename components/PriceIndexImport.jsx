@@ -0,0 +1,108 @@
+// PriceIndexImport Component
+// Price index panel: switch between the synthetic index and an uploaded quarterly CSV (e.g. a published WPI or CPI)
+
+function PriceIndexImport({
+  indexSource,
+  setIndexSource,
+  fileName,
+  onFile,
+  result,
+  missingQuarters,
+  startDate,
+  endDate
+}) {
+  const { toISODate, formatQuarterRanges } = window.utils;
+  const [show, setShow] = React.useState(indexSource === 'csv');
+
+  const readFile = (file) => {
+    if (!file) return;
+    file.text().then((text) => onFile(text, file.name));
+  };
+
+  const errors = result ? result.errors : [];
+  const series = result ? result.series : [];
+
+  return (
+    <div className="w-full max-w-6xl mx-auto mb-4 p-3 bg-white rounded-lg border">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-4 text-sm">
+          <span className="font-medium">Price index:</span>
+          <label className="inline-flex items-center gap-2">
+            <input type="radio" name="priceIndexSource" value="simulated" checked={indexSource === 'simulated'} onChange={(e) => setIndexSource(e.target.value)} />
+            <span>Synthetic</span>
+          </label>
+          <label className="inline-flex items-center gap-2">
+            <input type="radio" name="priceIndexSource" value="csv" checked={indexSource === 'csv'} onChange={(e) => { setIndexSource(e.target.value); setShow(true); }} />
+            <span>Uploaded CSV</span>
+          </label>
+          {missingQuarters.length > 0 && (
+            <span className="text-xs text-red-700 font-medium">
+              {missingQuarters.length} quarter{missingQuarters.length === 1 ? '' : 's'} missing
+            </span>
+          )}
+        </div>
+        <button
+          onClick={() => setShow(!show)}
+          className="text-xs px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded-full transition-colors"
+        >
+          {show ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {show && (
+        <div className="mt-3 space-y-3 text-sm">
+          <div className="text-gray-700">
+            Upload a quarterly index with a <span className="font-mono">quarter</span> column
+            (<span className="font-mono">2021Q3</span>, <span className="font-mono">Q3 2021</span>, <span className="font-mono">Sep-2021</span> or a date)
+            and an <span className="font-mono">index</span> column. It replaces the synthetic index in every inflation adjustment below.
+            Every quarter from {toISODate(startDate)} to {toISODate(endDate)} must be present; gaps are flagged, not filled.
+          </div>
+          <label className="flex flex-col text-xs">
+            <span className="font-medium mb-1">Quarterly index (CSV){fileName ? `: ${fileName}` : ''}</span>
+            <input type="file" accept=".csv,text/csv" onChange={(e) => readFile(e.target.files && e.target.files[0])} />
+          </label>
+
+          {result && (
+            <div className="text-xs">
+              <span className="font-medium">{series.length}</span> quarter{series.length === 1 ? '' : 's'} loaded
+              {series.length > 0 && <span> ({series[0].quarterKey} to {series[series.length - 1].quarterKey})</span>}
+              {errors.length > 0 && <span className="text-red-700">; {errors.length} row{errors.length === 1 ? '' : 's'} with problems</span>}
+            </div>
+          )}
+
+          {missingQuarters.length > 0 && (
+            <div className="p-2 rounded border border-red-200 bg-red-50 text-xs text-red-800">
+              <strong>Missing from the index:</strong> {formatQuarterRanges(missingQuarters).join(', ')}.
+              Payments in these quarters (or valued at them) cannot be inflation-adjusted: they are left nominal and flagged
+              (<span className="font-mono">price_index_missing</span> in the training-row export).
+            </div>
+          )}
+
+          {errors.length > 0 && (
+            <div className="max-h-48 overflow-auto rounded border border-red-200 bg-red-50">
+              <table className="w-full text-xs">
+                <thead className="bg-red-100 sticky top-0">
+                  <tr>
+                    <th className="px-2 py-1 text-left font-medium">Line</th>
+                    <th className="px-2 py-1 text-left font-medium">Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {errors.map((e, i) => (
+                    <tr key={i} className="border-t border-red-100">
+                      <td className="px-2 py-1 font-mono">{e.line ?? ''}</td>
+                      <td className="px-2 py-1 text-red-800">{e.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Make the component globally available
+window.PriceIndexImport = PriceIndexImport;
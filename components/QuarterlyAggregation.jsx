@@ -7,9 +7,15 @@ function QuarterlyAggregation({
   setShowQuarterlyAggregation
 }) {
   // Use utilities from global scope
-  const { toISODate } = window.utils;
+  const { toISODate, formatCurrency } = window.utils;
+  const { isRecovery } = window.claimSimulator;
 
-  const maxNominalAmount = Math.max(...quarters.map(q => isNaN(q.nominalAmount) ? 0 : q.nominalAmount), 1);
+  // Gross and recovered amounts share one scale, so a quarter's net is the gap between its two bars
+  const safe = (v) => (v == null || isNaN(v) ? 0 : v);
+  const grossOf = (q) => safe(q.nominalGrossAmount ?? q.nominalAmount);
+  const recoveredOf = (q) => safe(q.nominalRecoveryAmount);
+  const maxNominalAmount = Math.max(...quarters.map(q => Math.max(grossOf(q), recoveredOf(q))), 1);
+  const hasRecoveries = quarters.some(q => recoveredOf(q) > 0);
 
   return (
     <div className="bg-yellow-50 p-4 rounded-lg">
@@ -27,13 +33,18 @@ function QuarterlyAggregation({
         <>
           <div className="text-sm text-gray-700 mb-3">
             This section simulates the typical aggregation of payments that is done from the raw payment history (daily) into quarters.
+            A claim that closes and later reopens keeps its closed quarters (with no payments) and continues through the reopened period to its final closure.
+            Recoveries (salvage, subrogation, refunds) are negative payments: each quarter has a gross amount paid out, an amount recovered and the net of the two,
+            and the net is what the development quarter contributes to cumulative paid.
           </div>
           <div className="grid grid-cols-2 gap-6">
             {/* Left half - Visual bars */}
             <div className="space-y-2">
               <div className="text-xs font-medium text-gray-600 mb-2">Payment Composition</div>
               {quarters.map((quarter, i) => {
-                const quarterNominalAmount = quarter.nominalAmount || quarter.totalAmount;
+                const quarterGrossAmount = grossOf(quarter);
+                const quarterRecoveredAmount = recoveredOf(quarter);
+                const recoveries = quarter.payments.filter(isRecovery);
                 return (
                   <div key={i} className="flex items-center gap-4 p-2 bg-white rounded border">
                     <div className="w-16 text-sm font-mono">
@@ -41,15 +52,19 @@ function QuarterlyAggregation({
                     </div>
                     <div className="w-20 text-sm">
                       {quarter.quarterKey}
+                      {quarter.reopened && <div className="text-xs text-purple-700" title="The claim reopened in this quarter">reopened</div>}
+                      {!quarter.reopened && quarter.status === 'closed' && i < quarters.length - 1 && (
+                        <div className="text-xs text-gray-500" title="Closed at quarter end; it reopens later">closed</div>
+                      )}
                     </div>
-                    <div className="flex-1">
+                    <div className="flex-1 space-y-1">
                       <div className="flex items-center gap-2">
-                        <div className="flex h-6 rounded overflow-hidden relative" style={{ width: `${(quarterNominalAmount / maxNominalAmount) * 100}%`, minWidth: '60px' }}>
-                          {quarter.payments.map((payment, paymentIdx) => {
+                        <div className="flex h-6 rounded overflow-hidden relative" style={{ width: `${(quarterGrossAmount / maxNominalAmount) * 100}%`, minWidth: '60px' }}>
+                          {quarter.payments.filter(p => !isRecovery(p)).map((payment, paymentIdx) => {
                             const colors = ['#fbbf24', '#f59e0b', '#d97706', '#b45309', '#92400e', '#78350f', '#451a03'];
                             const color = colors[paymentIdx % colors.length];
                             const paymentNominalAmount = payment.nominalAmount || payment.amount;
-                            const paymentWidth = (paymentNominalAmount / quarterNominalAmount) * 100;
+                            const paymentWidth = (paymentNominalAmount / quarterGrossAmount) * 100;
                             return (
                               <div
                                 key={paymentIdx}
@@ -71,10 +86,22 @@ function QuarterlyAggregation({
                           })}
                         </div>
                       </div>
+                      {recoveries.length > 0 && (
+                        <div
+                          className="flex h-3 rounded overflow-hidden bg-cyan-600"
+                          style={{ width: `${(quarterRecoveredAmount / maxNominalAmount) * 100}%`, minWidth: '4px' }}
+                          title={recoveries.map(p => `${p.type ? `Recovery (${p.type})` : 'Recovery'}: ${formatCurrency(p.nominalAmount || p.amount)} on ${toISODate(p.date)}`).join('\n')}
+                        />
+                      )}
                     </div>
                   </div>
                 );
               })}
+              {hasRecoveries && (
+                <div className="flex items-center gap-2 text-xs text-gray-600">
+                  <span className="inline-block w-4 h-3 rounded bg-cyan-600" /> Recovered in the quarter (same scale as the payments above it)
+                </div>
+              )}
             </div>
 
             {/* Right half - Summary table */}
@@ -85,7 +112,9 @@ function QuarterlyAggregation({
                   <thead className="bg-gray-50">
                     <tr>
                       <th className="px-3 py-2 text-left font-medium">Quarter</th>
-                      <th className="px-3 py-2 text-right font-medium">Sum</th>
+                      {hasRecoveries && <th className="px-3 py-2 text-right font-medium">Gross</th>}
+                      {hasRecoveries && <th className="px-3 py-2 text-right font-medium">Recovered</th>}
+                      <th className="px-3 py-2 text-right font-medium">{hasRecoveries ? 'Net' : 'Sum'}</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -95,7 +124,9 @@ function QuarterlyAggregation({
                       return (
                         <tr key={i} className="border-t border-gray-100">
                           <td className="px-3 py-2 font-mono">Dev Q{quarter.developmentQuarter}</td>
-                          <td className="px-3 py-2 text-right font-medium">${quarterNominalAmount.toFixed(2)}</td>
+                          {hasRecoveries && <td className="px-3 py-2 text-right">{formatCurrency(grossOf(quarter))}</td>}
+                          {hasRecoveries && <td className="px-3 py-2 text-right text-cyan-700">{formatCurrency(recoveredOf(quarter))}</td>}
+                          <td className="px-3 py-2 text-right font-medium">{formatCurrency(quarterNominalAmount)}</td>
                         </tr>
                       );
                     })}
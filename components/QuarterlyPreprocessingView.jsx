@@ -13,7 +13,12 @@ function QuarterlyPreprocessingView({
   selectedClaim,
   priceIndexMap,
   priceIndexSeries,
-  midQuarterIndexMap
+  midQuarterIndexMap,
+  calendarShocks,
+  claims,
+  cutoffs,
+  trainingSplitMode,
+  setTrainingSplitMode
 }) {
   if (!claimData) {
     return (
@@ -90,6 +95,7 @@ function QuarterlyPreprocessingView({
               priceIndexMap={priceIndexMap}
               priceIndexSeries={priceIndexSeries}
               midQuarterIndexMap={midQuarterIndexMap}
+              calendarShocks={calendarShocks}
             />
           </div>
         )}
@@ -112,6 +118,10 @@ function QuarterlyPreprocessingView({
             oneBasedDevQuarters={oneBasedDevQuarters}
             priceIndexMap={priceIndexMap}
             midQuarterIndexMap={midQuarterIndexMap}
+            claims={claims}
+            cutoffs={cutoffs}
+            trainingSplitMode={trainingSplitMode}
+            setTrainingSplitMode={setTrainingSplitMode}
           />
         </div>
 
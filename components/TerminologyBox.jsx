@@ -23,6 +23,7 @@ function TerminologyBox() {
               A case estimator's best estimate of the remaining liability for a claim, at a given point in time before settlement. 
               This is a <strong>time series</strong> as multiple estimates are made as the claim develops. 
               These estimates are correlated with the true outstanding but contain estimation error, with earlier estimates typically being less accurate than later ones.
+              Each claim carries its dated estimate history (set at notification, revised as it develops, zero at closure), and every section below reads incurred from it.
             </div>
           </div>
           
@@ -0,0 +1,103 @@
+// TrainingDatasetExport Component
+// Builds the portfolio-wide training table (one row per claim and development quarter) and exports it as CSV/JSON
+
+function TrainingDatasetExport({
+  claims,
+  cutoffs,
+  splitIds = window.utils.DEFAULT_SPLIT_IDS,
+  endDate,
+  oneBasedDevQuarters,
+  priceIndexMap,
+  midQuarterIndexMap,
+  splitMode,
+  setSplitMode
+}) {
+  // Use utilities from global scope
+  const { buildPortfolioTrainingRows, TRAINING_ROW_COLUMNS, toCsv, downloadBlob, toISODate } = window.utils;
+  const [dropZeroTargets, setDropZeroTargets] = React.useState(true);
+  const [dataset, setDataset] = React.useState(null);
+
+  // A built table goes stale as soon as any of its inputs change
+  React.useEffect(() => {
+    setDataset(null);
+  }, [claims, cutoffs, splitIds, endDate, oneBasedDevQuarters, priceIndexMap, splitMode, dropZeroTargets]);
+
+  if (!claims || !claims.length || !cutoffs) return null;
+
+  const build = () => {
+    const all = buildPortfolioTrainingRows(claims, {
+      endDate,
+      priceIndexMap,
+      midQuarterIndexMap,
+      oneBasedDevQuarters,
+      cutoffs,
+      splitIds,
+      splitMode,
+    });
+    const rows = dropZeroTargets ? all.filter(r => !r.zero_target) : all;
+    const bySplit = {};
+    for (const r of rows) bySplit[r.split] = (bySplit[r.split] || 0) + 1;
+    const unindexed = rows.filter(r => r.price_index_missing).length;
+    setDataset({ rows, bySplit, dropped: all.length - rows.length, unindexed });
+  };
+
+  const baseName = `training_rows_${splitMode}_${toISODate(endDate)}`;
+
+  return (
+    <div className="bg-white rounded border p-3">
+      <div className="text-sm font-medium text-purple-900 mb-2">Build Dataset (all claims)</div>
+      <div className="text-xs text-gray-600 mb-3">
+        Runs the training-row logic above over every claim in the portfolio: one row per claim and development quarter,
+        with the as‑of features from the Feature Summarisation section, the outstanding‑liability target and the split label.
+      </div>
+      <div className="flex flex-wrap items-center gap-4 text-xs mb-3">
+        <span className="font-medium">Split label by:</span>
+        <label className="inline-flex items-center gap-1">
+          <input type="radio" name="exportSplitMode" value="notify" checked={splitMode === 'notify'} onChange={(e) => setSplitMode(e.target.value)} />
+          Notification date
+        </label>
+        <label className="inline-flex items-center gap-1">
+          <input type="radio" name="exportSplitMode" value="settlement" checked={splitMode === 'settlement'} onChange={(e) => setSplitMode(e.target.value)} />
+          Settlement date
+        </label>
+        <label className="inline-flex items-center gap-1">
+          <input type="checkbox" checked={dropZeroTargets} onChange={(e) => setDropZeroTargets(e.target.checked)} />
+          Discard $0.00 target rows
+        </label>
+        <span className="text-gray-500">
+          Cutoffs: {cutoffs.map(c => toISODate(c)).join(' / ')}
+        </span>
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        <button onClick={build} className="text-xs px-3 py-1 bg-purple-200 hover:bg-purple-300 rounded-full transition-colors">
+          Build dataset
+        </button>
+        {dataset && (
+          <>
+            <button
+              onClick={() => downloadBlob(toCsv(dataset.rows, TRAINING_ROW_COLUMNS), `${baseName}.csv`, 'text/csv;charset=utf-8')}
+              className="text-xs px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded-full transition-colors"
+            >
+              Download CSV
+            </button>
+            <button
+              onClick={() => downloadBlob(JSON.stringify(dataset.rows, TRAINING_ROW_COLUMNS, 2), `${baseName}.json`, 'application/json')}
+              className="text-xs px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded-full transition-colors"
+            >
+              Download JSON
+            </button>
+            <span className="text-xs text-gray-700">
+              {dataset.rows.length} rows from {claims.length} claims
+              {' '}({splitIds.map(k => `${k}: ${dataset.bySplit[k] || 0}`).join(', ')})
+              {dataset.dropped > 0 && <span className="text-gray-500">; {dataset.dropped} zero-target rows discarded</span>}
+              {dataset.unindexed > 0 && <span className="text-red-700">; {dataset.unindexed} rows flagged price_index_missing</span>}
+            </span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Make the component globally available
+window.TrainingDatasetExport = TrainingDatasetExport;
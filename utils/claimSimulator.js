@@ -0,0 +1,646 @@
+// Claim Simulator
+// Stochastic claim portfolio generator shared by the preprocessing and splitting pages: Poisson (or fixed-count)
+// accident arrivals, notification and settlement delay distributions, lognormal / gamma severities and a payment
+// pattern that spreads each claim's ultimate cost over its partial payments and the final settlement payment.
+// Claims can close and reopen, can receive recoveries (salvage, subrogation, refunds) as negative payments, and
+// carry a dated case-estimate (incurred) history; calendar-quarter shocks (a court-award step, a payment freeze, a
+// processing backlog) hit every claim paying in that quarter; the status-event, recovery and case-estimate helpers here are the
+// claim model every page reads them through.
+// Wrapped in a function so it can be loaded next to the self-contained splitting page without clashing with the
+// helpers that page (and utils/utilities.js) declare at the top level.
+
+(function () {
+  const MS_PER_DAY = 86400000;
+
+  function addDays(d, days) {
+    return new Date(d.getTime() + days * MS_PER_DAY);
+  }
+
+  function monthKeyUTC(d) {
+    return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  function mulberry32(a) {
+    return function () {
+      let t = (a += 0x6d2b79f5);
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // -------------------- Distributions --------------------
+  // Every distribution is given by its mean and coefficient of variation (sd / mean), which read the same way
+  // for delays and severities, except the uniform which is given by its range.
+
+  const DISTRIBUTIONS = [
+    { id: 'exponential', label: 'Exponential', params: ['mean'] },
+    { id: 'lognormal', label: 'Lognormal', params: ['mean', 'cv'] },
+    { id: 'gamma', label: 'Gamma', params: ['mean', 'cv'] },
+    { id: 'uniform', label: 'Uniform', params: ['min', 'max'] },
+  ];
+
+  // Standard normal (Box-Muller; 1 - u keeps the log away from zero)
+  function sampleNormal(rand) {
+    const u = 1 - rand();
+    const v = rand();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  // Gamma(shape, 1) by Marsaglia-Tsang; shapes below 1 use the u^(1/shape) boost
+  function sampleGammaUnit(shape, rand) {
+    if (shape < 1) return sampleGammaUnit(shape + 1, rand) * Math.pow(1 - rand(), 1 / shape);
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x, v;
+      do {
+        x = sampleNormal(rand);
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = 1 - rand();
+      if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+    }
+  }
+
+  // Poisson count (Knuth; the simulator only asks for small means)
+  function samplePoisson(mean, rand) {
+    if (!(mean > 0)) return 0;
+    const limit = Math.exp(-mean);
+    let k = 0;
+    let p = rand();
+    while (p > limit) {
+      k += 1;
+      p *= rand();
+    }
+    return k;
+  }
+
+  function sampleDistribution(spec, rand) {
+    const mean = Math.max(0, spec.mean || 0);
+    const cv = Math.max(0.01, spec.cv || 0);
+    switch (spec.dist) {
+      case 'exponential':
+        return -mean * Math.log(1 - rand());
+      case 'lognormal': {
+        const sigma2 = Math.log(1 + cv * cv);
+        return Math.exp(Math.log(Math.max(mean, 1e-9)) - sigma2 / 2 + Math.sqrt(sigma2) * sampleNormal(rand));
+      }
+      case 'gamma': {
+        const shape = 1 / (cv * cv);
+        return sampleGammaUnit(shape, rand) * mean / shape;
+      }
+      case 'uniform': {
+        const lo = Math.min(spec.min, spec.max);
+        const hi = Math.max(spec.min, spec.max);
+        return lo + rand() * (hi - lo);
+      }
+      default:
+        throw new Error(`Unknown distribution: ${spec.dist}`);
+    }
+  }
+
+  // Theoretical mean of a distribution spec (for the parameter summaries)
+  function distributionMean(spec) {
+    return spec.dist === 'uniform' ? (spec.min + spec.max) / 2 : spec.mean;
+  }
+
+  // -------------------- Parameters --------------------
+
+  const ARRIVAL_MODELS = [
+    { id: 'poisson', label: 'Poisson process' },
+    { id: 'fixed', label: 'Fixed count' },
+  ];
+
+  // Delays are in days; severity is the ultimate (nominal) cost of a claim. payments.meanCount is the Poisson
+  // mean of the number of partial payments before the settlement payment (capped at maxCount); payments.pattern
+  // is the exponent of the cumulative paid share u^pattern at fraction u of the claim's life, so values below 1
+  // pay early and values above 1 hold most of the cost back to settlement.
+  const DEFAULT_SIMULATOR_PARAMS = {
+    arrivals: 'poisson',
+    notifyDelay: { dist: 'exponential', mean: 60, cv: 1, min: 7, max: 120 },
+    settleDelay: { dist: 'lognormal', mean: 450, cv: 0.8, min: 180, max: 1095 },
+    severity: { dist: 'lognormal', mean: 25000, cv: 1.5, min: 10000, max: 100000 },
+    payments: { meanCount: 5, maxCount: 20, pattern: 1 },
+    // After each closure the claim reopens with this probability, after an exponential delay (days); the
+    // reopened period lasts an exponential duration and pays costShare of the original ultimate again.
+    reopen: { probability: 0.1, delayMean: 180, durationMean: 120, costShare: 0.2 },
+    // With this probability a claim gets one recovery (salvage, subrogation or a refund), a negative payment of on
+    // average share of its original ultimate, received in the second half of its first life.
+    recoveries: { probability: 0.15, share: 0.3 },
+    // Case estimates: set at notification (and at every reopen), revised a Poisson(revisionsMean) number of times
+    // over the claim's life, zero at every closure. Each is the cost still to come in the current open period
+    // times a lognormal error of mean 1 whose CV falls from cv at notification to 30% of it at settlement.
+    caseEstimates: { revisionsMean: 3, cv: 0.25 },
+    // Calendar-quarter shocks [{ type, quarter: 'YYYYQn', size }], see SHOCK_TYPES; none by default
+    shocks: [],
+  };
+
+  // Calendar-quarter shocks. The date shocks apply first, in quarter order, then the court-award steps to the moved payments:
+  // - courtAward: superimposed inflation; every payment (not recovery) from the start of the quarter on is a share `size` higher
+  // - freeze: nothing is paid or closed during the quarter; all of it happens on the first day of the next quarter
+  // - backlog: every claim open during the quarter falls `size` days behind; its payments and status changes from the
+  //   start of the quarter on come that much later
+  const SHOCK_TYPES = [
+    { id: 'courtAward', label: 'Court-award step', sizeLabel: 'Step (share)', defaultSize: 0.25, color: '#dc2626' },
+    { id: 'freeze', label: 'Payment freeze', sizeLabel: null, defaultSize: 0, color: '#2563eb' },
+    { id: 'backlog', label: 'Processing backlog', sizeLabel: 'Delay (days)', defaultSize: 60, color: '#d97706' },
+  ];
+  const MAX_SHOCKS = 12;
+
+  const DELAY_KEYS = ['notifyDelay', 'settleDelay', 'severity'];
+  // At most this many reopens per claim
+  const MAX_REOPENS = 3;
+
+  function finiteOr(v, fallback, min = -Infinity) {
+    const n = Number(v);
+    return isFinite(n) ? Math.max(min, n) : fallback;
+  }
+
+  // Fill missing fields from the defaults and clamp every number into a usable range (URL / scenario input)
+  function normaliseSimulatorParams(raw) {
+    const src = raw && typeof raw === 'object' ? raw : {};
+    const out = {
+      arrivals: ARRIVAL_MODELS.some((m) => m.id === src.arrivals) ? src.arrivals : DEFAULT_SIMULATOR_PARAMS.arrivals,
+    };
+    for (const key of DELAY_KEYS) {
+      const def = DEFAULT_SIMULATOR_PARAMS[key];
+      const s = src[key] && typeof src[key] === 'object' ? src[key] : {};
+      const min = finiteOr(s.min, def.min, 0);
+      out[key] = {
+        dist: DISTRIBUTIONS.some((d) => d.id === s.dist) ? s.dist : def.dist,
+        mean: finiteOr(s.mean, def.mean, 0),
+        cv: finiteOr(s.cv, def.cv, 0.01),
+        min,
+        max: finiteOr(s.max, def.max, min),
+      };
+    }
+    const p = src.payments && typeof src.payments === 'object' ? src.payments : {};
+    const maxCount = Math.round(finiteOr(p.maxCount, DEFAULT_SIMULATOR_PARAMS.payments.maxCount, 0));
+    out.payments = {
+      meanCount: Math.min(50, finiteOr(p.meanCount, DEFAULT_SIMULATOR_PARAMS.payments.meanCount, 0)),
+      maxCount,
+      pattern: finiteOr(p.pattern, DEFAULT_SIMULATOR_PARAMS.payments.pattern, 0.05),
+    };
+    const r = src.reopen && typeof src.reopen === 'object' ? src.reopen : {};
+    const defReopen = DEFAULT_SIMULATOR_PARAMS.reopen;
+    out.reopen = {
+      probability: Math.min(1, finiteOr(r.probability, defReopen.probability, 0)),
+      delayMean: finiteOr(r.delayMean, defReopen.delayMean, 1),
+      durationMean: finiteOr(r.durationMean, defReopen.durationMean, 1),
+      costShare: finiteOr(r.costShare, defReopen.costShare, 0),
+    };
+    const rc = src.recoveries && typeof src.recoveries === 'object' ? src.recoveries : {};
+    const defRecoveries = DEFAULT_SIMULATOR_PARAMS.recoveries;
+    out.recoveries = {
+      probability: Math.min(1, finiteOr(rc.probability, defRecoveries.probability, 0)),
+      share: Math.min(1, finiteOr(rc.share, defRecoveries.share, 0)),
+    };
+    const ce = src.caseEstimates && typeof src.caseEstimates === 'object' ? src.caseEstimates : {};
+    const defEstimates = DEFAULT_SIMULATOR_PARAMS.caseEstimates;
+    out.caseEstimates = {
+      revisionsMean: Math.min(20, finiteOr(ce.revisionsMean, defEstimates.revisionsMean, 0)),
+      cv: Math.min(2, finiteOr(ce.cv, defEstimates.cv, 0)),
+    };
+    out.shocks = (Array.isArray(src.shocks) ? src.shocks : [])
+      .filter((sh) => sh && SHOCK_TYPES.some((t) => t.id === sh.type) && /^\d{4}Q[1-4]$/.test(String(sh.quarter)))
+      .slice(0, MAX_SHOCKS)
+      .map((sh) => {
+        const type = SHOCK_TYPES.find((t) => t.id === sh.type);
+        return { type: sh.type, quarter: String(sh.quarter), size: type.sizeLabel ? finiteOr(sh.size, type.defaultSize, 0) : 0 };
+      });
+    return out;
+  }
+
+  // The old generators' knobs (uniform duration between min and max days, 0..maxPartials partial payments, no
+  // reopens or recoveries) expressed as simulator parameters; used for old links, old scenario files and the editable diagram.
+  function simulatorParamsFromDurations({ minDurDays = 30, maxDurDays = 300, maxPartials = 3 } = {}) {
+    const base = DEFAULT_SIMULATOR_PARAMS;
+    return normaliseSimulatorParams({
+      ...base,
+      settleDelay: { ...base.settleDelay, dist: 'uniform', min: minDurDays, max: Math.max(minDurDays, maxDurDays) },
+      payments: { ...base.payments, meanCount: maxPartials / 2, maxCount: maxPartials },
+      reopen: { ...base.reopen, probability: 0 },
+      recoveries: { ...base.recoveries, probability: 0 },
+    });
+  }
+
+  // Compact URL form: the JSON of the parameters; falls back to the old minDur / maxDur / partials parameters
+  function simulatorParamsFromUrl(params) {
+    const raw = params.get('sim');
+    if (raw) {
+      try {
+        return normaliseSimulatorParams(JSON.parse(raw));
+      } catch (e) {
+        // fall back below
+      }
+    }
+    if (params.has('minDur') || params.has('maxDur') || params.has('partials')) {
+      const int = (k, d) => (isFinite(parseInt(params.get(k), 10)) ? parseInt(params.get(k), 10) : d);
+      return simulatorParamsFromDurations({ minDurDays: int('minDur', 180), maxDurDays: int('maxDur', 1095), maxPartials: int('partials', 20) });
+    }
+    return normaliseSimulatorParams(DEFAULT_SIMULATOR_PARAMS);
+  }
+
+  function simulatorParamsToUrl(params) {
+    return JSON.stringify(params);
+  }
+
+  // -------------------- Simulation --------------------
+
+  const POSTCODES = ['2000', '3000', '4000', '5000', '6000', '7000', '1000'];
+  const CLAIM_TYPES = ['Motor', 'Property', 'Liability', 'Workers Comp'];
+  const REGIONS = ['Metro', 'Regional', 'Remote'];
+  const RECOVERY_TYPES = ['salvage', 'subrogation', 'refund'];
+
+  // Accident dates over [startDate, endDate]: a Poisson process with n expected accidents, or exactly n uniform dates
+  function simulateAccidentDates(arrivals, n, startDate, windowDays, rand) {
+    const days = [];
+    if (!(n > 0)) return days; // a zero (or negative) rate would never reach the end of the window
+    if (arrivals === 'fixed') {
+      for (let i = 0; i < n; i++) days.push(rand() * windowDays);
+      days.sort((a, b) => a - b);
+    } else {
+      const rate = n / windowDays;
+      let t = -Math.log(1 - rand()) / rate;
+      while (t < windowDays) {
+        days.push(t);
+        t += -Math.log(1 - rand()) / rate;
+      }
+    }
+    return days.map((d) => addDays(startDate, Math.floor(d)));
+  }
+
+  // Partial payment dates uniform over the claim's life, amounts from the u^pattern cumulative paid share,
+  // and the remainder paid at settlement
+  function simulatePayments(notify, lifeDays, ultimate, payments, rand) {
+    const count = Math.min(payments.maxCount, samplePoisson(payments.meanCount, rand));
+    const fractions = [];
+    for (let j = 0; j < count && lifeDays >= 2; j++) fractions.push(rand());
+    fractions.sort((a, b) => a - b);
+    const list = [];
+    let paidShare = 0;
+    for (const u of fractions) {
+      const share = Math.pow(u, payments.pattern);
+      list.push({ date: addDays(notify, Math.max(1, Math.floor(u * lifeDays))), amount: ultimate * (share - paidShare) });
+      paidShare = share;
+    }
+    list.push({ date: addDays(notify, lifeDays), amount: ultimate * (1 - paidShare) });
+    return list;
+  }
+
+  // Merge payments in the same calendar month into the month's last payment (so the settlement payment keeps its
+  // date). Recoveries are merged only with recoveries, so gross and net amounts survive the merge.
+  function mergeMonthlyPayments(payments) {
+    const merged = [];
+    for (const p of payments) {
+      const idx = merged.findIndex((m) => monthKeyUTC(m.date) === monthKeyUTC(p.date) && isRecovery(m) === isRecovery(p));
+      if (idx >= 0) {
+        merged[idx] = { ...merged[idx], date: p.date, amount: merged[idx].amount + p.amount };
+      } else {
+        merged.push({ ...p });
+      }
+    }
+    return merged.sort((a, b) => a.date.getTime() - b.date.getTime());
+  }
+
+  // [from, to) of a shock's calendar quarter, in UTC
+  function shockWindow(shock) {
+    const year = Number(shock.quarter.slice(0, 4));
+    const month = (Number(shock.quarter.slice(5)) - 1) * 3;
+    return { from: new Date(Date.UTC(year, month, 1)), to: new Date(Date.UTC(year, month + 3, 1)) };
+  }
+
+  // A claim's status events and payments with the calendar shocks applied (see SHOCK_TYPES). Notification, the
+  // first event, never moves; the date shocks are monotone per claim, so payments stay in date order.
+  function applyCalendarShocks(events, payments, shocks) {
+    const ordered = shocks.slice().sort((a, b) => (a.quarter < b.quarter ? -1 : a.quarter > b.quarter ? 1 : 0));
+    for (const shock of ordered) {
+      if (shock.type === 'courtAward') continue;
+      const { from, to } = shockWindow(shock);
+      let move;
+      if (shock.type === 'freeze') {
+        move = (d) => (d >= from && d < to ? to : d);
+      } else {
+        const openDuring = events.some((e, i) => e.status !== 'closed' && i + 1 < events.length && e.date < to && events[i + 1].date > from);
+        if (!openDuring) continue;
+        move = (d) => (d >= from ? addDays(d, shock.size) : d);
+      }
+      events = events.map((e, i) => (i === 0 ? e : { ...e, date: move(e.date) }));
+      payments = payments.map((q) => ({ ...q, date: move(q.date) }));
+    }
+    // A claim closed and reopened inside a frozen quarter lands both on the same day: keep status changes a day apart
+    for (let i = 1; i < events.length; i++) {
+      if (events[i].date <= events[i - 1].date) events[i] = { ...events[i], date: addDays(events[i - 1].date, 1) };
+    }
+    for (const shock of ordered) {
+      if (shock.type !== 'courtAward') continue;
+      const { from } = shockWindow(shock);
+      payments = payments.map((q) => (q.date >= from && !isRecovery(q) ? { ...q, amount: q.amount * (1 + shock.size) } : q));
+    }
+    return { events, payments };
+  }
+
+  // Case-estimate history [{ date, amount }] for a claim's status events and payments (see DEFAULT_SIMULATOR_PARAMS).
+  // The estimate only looks at the current open period: a handler closing a claim does not foresee its reopen.
+  function simulateCaseEstimates(events, payments, caseEstimates, rand) {
+    const first = events[0].date.getTime();
+    const span = Math.max(1, events[events.length - 1].date.getTime() - first);
+    const estimates = [];
+    for (let i = 0; i + 1 < events.length; i += 2) {
+      const from = events[i].date;
+      const to = events[i + 1].date;
+      const lifeDays = Math.round((to.getTime() - from.getTime()) / MS_PER_DAY);
+      const count = samplePoisson(i === 0 ? caseEstimates.revisionsMean : caseEstimates.revisionsMean / 2, rand);
+      const dates = [from];
+      for (let j = 0; j < count && lifeDays >= 2; j++) dates.push(addDays(from, 1 + Math.floor(rand() * (lifeDays - 1))));
+      dates.sort((a, b) => a.getTime() - b.getTime());
+      for (const d of dates) {
+        const toCome = payments.reduce((sum, q) => (q.date > d && q.date <= to ? sum + q.amount : sum), 0);
+        const progress = (d.getTime() - first) / span;
+        const error = sampleDistribution({ dist: 'lognormal', mean: 1, cv: caseEstimates.cv * (1 - 0.7 * progress) }, rand);
+        const amount = Math.round(toCome * error * 100) / 100;
+        if (estimates.length && estimates[estimates.length - 1].date.getTime() === d.getTime()) estimates[estimates.length - 1].amount = amount;
+        else estimates.push({ date: d, amount });
+      }
+      estimates.push({ date: to, amount: 0 });
+    }
+    return estimates;
+  }
+
+  // Simulated portfolio of claims in the shape every page expects ({ accident, notify, settlement, partials,
+  // recoveries, payments, statusEvents, caseEstimates, staticCovariates }), sorted by notification. Claims not notified by endDate are left out (they are
+  // not reported yet); claims still open at endDate are cut there, with their later payments dropped.
+  function simulateClaims(options) {
+    return simulatePortfolio(options).claims;
+  }
+
+  // The same portfolio plus the accidents it leaves out: { claims, unreported }, where unreported lists
+  // { accident, notify } for every accident not notified by endDate, in accident order (the IBNR claims at endDate).
+  function simulatePortfolio({
+    n = 20,
+    startDate,
+    endDate,
+    seed = 1,
+    dedupeMonthly = true,
+    idPrefix = 'CL',
+    params = DEFAULT_SIMULATOR_PARAMS,
+  }) {
+    const p = normaliseSimulatorParams(params);
+    const rand = mulberry32(seed);
+    // Case estimates draw from their own stream, so changing their settings leaves the portfolio itself unchanged
+    const estimateRand = mulberry32((seed ^ 0x5bd1e995) >>> 0);
+    const windowDays = Math.max(1, (endDate.getTime() - startDate.getTime()) / MS_PER_DAY);
+    const accidents = simulateAccidentDates(p.arrivals, n, startDate, windowDays, rand);
+
+    const claims = [];
+    const unreported = [];
+    for (const accident of accidents) {
+      const notify = addDays(accident, Math.round(sampleDistribution(p.notifyDelay, rand)));
+      const lifeDays = Math.max(1, Math.round(sampleDistribution(p.settleDelay, rand)));
+      const ultimate = sampleDistribution(p.severity, rand);
+      let payments = simulatePayments(notify, lifeDays, ultimate, p.payments, rand);
+      let events = [{ date: notify, status: 'open' }, { date: addDays(notify, lifeDays), status: 'closed' }];
+      let totalAmount = ultimate;
+      if (rand() < p.recoveries.probability) {
+        const date = addDays(notify, Math.max(1, Math.floor((0.5 + 0.5 * rand()) * lifeDays)));
+        const amount = ultimate * p.recoveries.share * (0.5 + rand());
+        const type = RECOVERY_TYPES[Math.floor(rand() * RECOVERY_TYPES.length)];
+        payments = payments.concat([{ date, amount: -amount, type }]).sort((a, b) => a.date.getTime() - b.date.getTime());
+        totalAmount -= amount;
+      }
+      for (let k = 0; k < MAX_REOPENS && rand() < p.reopen.probability; k++) {
+        const closed = events[events.length - 1].date;
+        const reopened = addDays(closed, Math.max(1, Math.round(-p.reopen.delayMean * Math.log(1 - rand()))));
+        const reopenDays = Math.max(1, Math.round(-p.reopen.durationMean * Math.log(1 - rand())));
+        const extra = ultimate * p.reopen.costShare;
+        payments = payments.concat(simulatePayments(reopened, reopenDays, extra, { ...p.payments, meanCount: p.payments.meanCount / 2 }, rand));
+        events.push({ date: reopened, status: 'reopened' }, { date: addDays(reopened, reopenDays), status: 'closed' });
+        totalAmount += extra;
+      }
+      if (p.shocks.length) {
+        ({ events, payments } = applyCalendarShocks(events, payments, p.shocks));
+        totalAmount = payments.reduce((sum, q) => sum + q.amount, 0);
+      }
+      const staticCovariates = {
+        postcode: POSTCODES[Math.floor(rand() * POSTCODES.length)],
+        claimType: CLAIM_TYPES[Math.floor(rand() * CLAIM_TYPES.length)],
+        region: REGIONS[Math.floor(rand() * REGIONS.length)],
+        policyYear: accident.getUTCFullYear(),
+        totalAmount,
+      };
+      let caseEstimates = simulateCaseEstimates(events, payments, p.caseEstimates, estimateRand);
+      if (notify > endDate) {
+        unreported.push({ accident, notify });
+        continue;
+      }
+
+      // Settlement is the last closure on or before endDate; a claim still open (or reopened) at endDate is cut
+      // there. A closure followed by a reopen after endDate stays closed: the reopen has not happened yet.
+      events = events.filter((e) => e.date <= endDate);
+      const lastEvent = events[events.length - 1];
+      const settlement = lastEvent.status === 'closed' ? lastEvent.date : endDate;
+      caseEstimates = caseEstimates.filter((e) => e.date <= endDate);
+      payments = payments.filter((q) => q.date <= settlement);
+      if (dedupeMonthly) payments = mergeMonthlyPayments(payments);
+
+      claims.push({
+        accident,
+        notify,
+        settlement,
+        partials: payments.filter((q) => q.date < settlement && !isRecovery(q)).map((q) => q.date),
+        recoveries: payments.filter(isRecovery).map((q) => q.date),
+        payments,
+        statusEvents: events,
+        caseEstimates,
+        staticCovariates,
+      });
+    }
+
+    claims.sort((a, b) => a.notify.getTime() - b.notify.getTime());
+    claims.forEach((c, i) => {
+      c.staticCovariates = { claimId: `${idPrefix}${String(i + 1).padStart(4, '0')}`, ...c.staticCovariates };
+    });
+    return { claims, unreported };
+  }
+
+  // -------------------- Reporting delay (IBNR) --------------------
+
+  // Claims incurred but not reported on a date: accident on or before it, notification after it. Pass the reported
+  // claims and, for a simulated portfolio, its unreported accidents too; either list only needs accident and notify.
+  function ibnrCountAt(claims, date) {
+    const t = date.getTime();
+    return claims.reduce((n, c) => (c.accident && c.accident.getTime() <= t && c.notify.getTime() > t ? n + 1 : n), 0);
+  }
+
+  // -------------------- Claim status events --------------------
+  // A claim's status history is [{ date, status }]: 'open' at notification, then alternating 'closed' and
+  // 'reopened'. `settlement` is always the final closure (or the end of the data for a claim still open).
+  // Claims without a history (imports, custom JSON, old scenario files) open at notification and close once at settlement.
+
+  function claimStatusEvents(claim) {
+    if (Array.isArray(claim.statusEvents) && claim.statusEvents.length) return claim.statusEvents;
+    return [{ date: claim.notify, status: 'open' }, { date: claim.settlement, status: 'closed' }];
+  }
+
+  // Status on a date: that of the latest event on or before it, 'unreported' before notification
+  function claimStatusAt(claim, date) {
+    let status = 'unreported';
+    for (const e of claimStatusEvents(claim)) {
+      if (e.date > date) break;
+      status = e.status;
+    }
+    return status;
+  }
+
+  // Closed periods the claim later reopens from: [{ from: closure, to: reopen }]
+  function closedGaps(claim) {
+    const events = claimStatusEvents(claim);
+    const gaps = [];
+    for (let i = 1; i < events.length; i++) {
+      if (events[i].status === 'reopened' && events[i - 1].status === 'closed') gaps.push({ from: events[i - 1].date, to: events[i].date });
+    }
+    return gaps;
+  }
+
+  function reopenDates(claim) {
+    return claimStatusEvents(claim).filter((e) => e.status === 'reopened').map((e) => e.date);
+  }
+
+  // Check an imported history (interim events between notification and the final closure at settlement):
+  // returns { events, error } with the full alternating history, or an error message.
+  function buildStatusEvents(notify, settlement, interim) {
+    const sorted = interim.slice().sort((a, b) => a.date.getTime() - b.date.getTime());
+    const events = [{ date: notify, status: 'open' }];
+    for (const e of sorted) {
+      if (e.date < notify || e.date > settlement) return { events: null, error: `Status event on ${e.date.toISOString().slice(0, 10)} is outside the notify–settlement window` };
+      const prev = events[events.length - 1].status;
+      const expected = prev === 'closed' ? 'reopened' : 'closed';
+      if (e.status !== expected) return { events: null, error: `Expected a ${expected === 'closed' ? 'closure' : 'reopen'} on ${e.date.toISOString().slice(0, 10)}, found "${e.status}"` };
+      events.push({ date: e.date, status: e.status });
+    }
+    const last = events[events.length - 1];
+    if (last.status === 'closed' && last.date.getTime() !== settlement.getTime()) {
+      return { events: null, error: 'Closed before settlement without a reopen' };
+    }
+    if (last.status !== 'closed') events.push({ date: settlement, status: 'closed' });
+    return { events, error: null };
+  }
+
+  // -------------------- Recoveries --------------------
+  // Salvage, subrogation and refunds are payments with a negative amount (an optional `type` names the kind).
+  // Gross is what was paid out, net is gross less what was recovered.
+
+  function isRecovery(payment) {
+    return payment.amount < 0;
+  }
+
+  // { gross, recovered, net } of a list of payments; recovered is a positive amount
+  function grossNetAmounts(payments) {
+    let gross = 0;
+    let recovered = 0;
+    for (const p of payments || []) {
+      if (isRecovery(p)) recovered -= p.amount;
+      else gross += p.amount;
+    }
+    return { gross, recovered, net: gross - recovered };
+  }
+
+  // -------------------- Case estimates --------------------
+  // A claim's incurred history is caseEstimates: [{ date, amount }], the case estimator's assessment of the cost
+  // still to come from that date on (the first at notification, then revisions). Every page reads incurred through
+  // these helpers, so the same claim shows the same estimates everywhere. Claims without a history (imports, custom
+  // JSON, old scenario files) get one simulated with the default settings, seeded by the claim ID.
+
+  function hashString(text) {
+    let h = 2166136261;
+    for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+    return h >>> 0;
+  }
+
+  const derivedCaseEstimates = new WeakMap();
+
+  function claimCaseEstimates(claim) {
+    if (Array.isArray(claim.caseEstimates) && claim.caseEstimates.length) return claim.caseEstimates;
+    if (!derivedCaseEstimates.has(claim)) {
+      const id = (claim.staticCovariates && claim.staticCovariates.claimId) || '';
+      const rand = mulberry32(hashString(`${id}|${claim.notify.getTime()}`));
+      // A history cut at the end of the data ends open; its last period runs to the (cut) settlement
+      const events = claimStatusEvents(claim);
+      const closed = events[events.length - 1].status === 'closed' ? events : events.concat([{ date: claim.settlement, status: 'closed' }]);
+      derivedCaseEstimates.set(claim, simulateCaseEstimates(closed, claim.payments || [], DEFAULT_SIMULATOR_PARAMS.caseEstimates, rand));
+    }
+    return derivedCaseEstimates.get(claim);
+  }
+
+  // Imported estimates ([{ date, amount }], inside the notify-settlement window) as a full history: sorted, and
+  // dropping to zero at every closure of the claim ({ notify, settlement, statusEvents? })
+  function buildCaseEstimates(claim, estimates) {
+    const closures = claimStatusEvents(claim).filter((e) => e.status === 'closed').map((e) => ({ date: e.date, amount: 0 }));
+    return [...estimates, ...closures].sort((a, b) => a.date.getTime() - b.date.getTime());
+  }
+
+  // Case estimate on a date: the latest on or before it, 0 before notification
+  function caseEstimateAt(claim, date) {
+    let amount = 0;
+    for (const e of claimCaseEstimates(claim)) {
+      if (e.date > date) break;
+      amount = e.amount;
+    }
+    return amount;
+  }
+
+  // Revisions of an open claim's estimate (not the first estimate of a period, nor the drop to zero at a closure):
+  // [{ date, amount, previous }]
+  function caseEstimateRevisions(claim) {
+    const estimates = claimCaseEstimates(claim);
+    const closures = new Set(claimStatusEvents(claim).filter((e) => e.status === 'closed').map((e) => e.date.getTime()));
+    const opens = new Set(claimStatusEvents(claim).filter((e) => e.status !== 'closed').map((e) => e.date.getTime()));
+    const revisions = [];
+    for (let i = 1; i < estimates.length; i++) {
+      const t = estimates[i].date.getTime();
+      if (closures.has(t) || opens.has(t)) continue;
+      revisions.push({ date: estimates[i].date, amount: estimates[i].amount, previous: estimates[i - 1].amount });
+    }
+    return revisions;
+  }
+
+  // -------------------- Exports --------------------
+
+  const claimSimulator = {
+    DISTRIBUTIONS,
+    ARRIVAL_MODELS,
+    DEFAULT_SIMULATOR_PARAMS,
+    RECOVERY_TYPES,
+    SHOCK_TYPES,
+    sampleDistribution,
+    distributionMean,
+    normaliseSimulatorParams,
+    simulatorParamsFromDurations,
+    simulatorParamsFromUrl,
+    simulatorParamsToUrl,
+    simulateClaims,
+    simulatePortfolio,
+    shockWindow,
+    ibnrCountAt,
+    claimStatusEvents,
+    claimStatusAt,
+    closedGaps,
+    reopenDates,
+    buildStatusEvents,
+    isRecovery,
+    grossNetAmounts,
+    claimCaseEstimates,
+    buildCaseEstimates,
+    caseEstimateAt,
+    caseEstimateRevisions,
+  };
+
+  if (typeof window !== 'undefined') {
+    window.claimSimulator = claimSimulator;
+  }
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = claimSimulator;
+  }
+})();
@@ -80,7 +80,16 @@ function formatCurrency(amount) {
   if (amount == null || isNaN(amount)) {
     return "-";
   }
-  return `$${Number(amount).toFixed(2)}`;
+  const n = Number(amount);
+  return n < 0 ? `-$${(-n).toFixed(2)}` : `$${n.toFixed(2)}`;
+}
+
+/**
+ * Sign-preserving log(1 + |x|): the usual log1p on non-negative amounts, mirrored for negative ones
+ * (recoveries, net increments below zero), where Math.log(1 + x) is NaN or -Infinity.
+ */
+function signedLog1p(x) {
+  return Math.sign(x) * Math.log1p(Math.abs(x));
 }
 
 // -------------------- Random Number Helpers --------------------
@@ -166,6 +175,8 @@ function getQuarterInfo(date, referenceDate) {
 /**
  * Generate a deterministic quarterly Price Index time series between startDate and endDate (inclusive, by quarter).
  * Base ~100 at the first quarter, then apply a small positive drift with light noise.
+ * The simulator's calendar-quarter shocks (court-award steps, freezes, backlogs) are claims-side effects and
+ * deliberately not in this index, so deflating payments does not remove them.
  * Returns: { series: [{date, quarterKey, index}], map: { [quarterKey]: index } }
  */
 function generatePriceIndexSeries(startDate, endDate, seed = 1) {
@@ -195,45 +206,159 @@ function generatePriceIndexSeries(startDate, endDate, seed = 1) {
 /**
  * Construct a mid-quarter index map using geometric means of end-of-quarter indices:
  *   PI_mid[q] = sqrt( PI_eoq[q-1] * PI_eoq[q] )
- * For the first available quarter, fall back to PI_eoq[q].
+ * For the first available quarter, fall back to PI_eoq[q]. The quarter right after a gap in the index has no
+ * PI_eoq[q-1] and is left out, so it is reported as missing like the gap itself.
  */
 function buildMidQuarterIndexMap(priceIndexMap) {
   if (!priceIndexMap) return null;
   const midMap = {};
   const keys = Object.keys(priceIndexMap).sort(); // lexical sort works for YYYYQn
-  for (const k of keys) {
+  keys.forEach((k, i) => {
     const prev = prevQuarterKey(k);
     const eoq = priceIndexMap[k];
     const prevVal = priceIndexMap[prev];
     if (prevVal && eoq) {
       midMap[k] = Math.sqrt(prevVal * eoq);
-    } else {
+    } else if (i === 0) {
       midMap[k] = eoq; // fallback for first quarter in range
     }
-  }
+  });
   return midMap;
 }
 
-/** Adjust a nominal amount from paymentDate's quarter to targetDate's quarter using the Price Index. */
+/**
+ * Adjust a nominal amount from paymentDate's quarter to targetDate's quarter using the Price Index.
+ * Returns null when either quarter is missing from the index (no map means no adjustment).
+ */
 function adjustUsingPriceIndex(nominalAmount, paymentDate, targetDate, priceIndexMap) {
   if (!paymentDate || !targetDate || !priceIndexMap) return nominalAmount;
   const srcKey = getQuarterInfo(paymentDate, paymentDate).quarterKey;
   const tgtKey = getQuarterInfo(targetDate, targetDate).quarterKey;
-  const srcIdx = priceIndexMap[srcKey];
-  const tgtIdx = priceIndexMap[tgtKey];
-  if (!srcIdx || !tgtIdx) return nominalAmount;
-  return nominalAmount * (tgtIdx / srcIdx);
+  const factor = calculateAdjustmentFactorByIndex(srcKey, tgtKey, priceIndexMap);
+  return factor == null ? null : nominalAmount * factor;
 }
 
-/** Adjustment factor between two quarter keys using the Price Index map. */
-function calculateAdjustmentFactorByIndex(sourceQuarterKey, targetQuarterKey, priceIndexMap) {
+/**
+ * Adjustment factor between two quarter keys using the Price Index map; `sourceIndexMap` (e.g. the mid-quarter
+ * map, for payments) supplies the source quarter's level instead when given.
+ * Returns null when either quarter is missing from the index so callers can flag it (no map means no adjustment).
+ */
+function calculateAdjustmentFactorByIndex(sourceQuarterKey, targetQuarterKey, priceIndexMap, sourceIndexMap = priceIndexMap) {
   if (!priceIndexMap) return 1.0;
-  const s = priceIndexMap[sourceQuarterKey];
+  const s = (sourceIndexMap || priceIndexMap)[sourceQuarterKey];
   const t = priceIndexMap[targetQuarterKey];
-  if (!s || !t) return 1.0;
+  if (!s || !t) return null;
   return t / s;
 }
 
+/**
+ * Quarter keys between startDate's and endDate's quarters (inclusive) that have no value in the index, or, when
+ * midQuarterIndexMap is given, no mid-quarter value (the quarter right after a gap).
+ */
+function findMissingIndexQuarters(priceIndexMap, startDate, endDate, midQuarterIndexMap = null) {
+  const missing = [];
+  if (!priceIndexMap || !startDate || !endDate) return missing;
+  let q = startOfQuarterUTC(startDate);
+  const lastQ = startOfQuarterUTC(endDate);
+  while (q <= lastQ) {
+    const k = quarterKeyFromUTC(q);
+    if (!(priceIndexMap[k] > 0) || (midQuarterIndexMap && !(midQuarterIndexMap[k] > 0))) missing.push(k);
+    q = addQuartersUTC(q, 1);
+  }
+  return missing;
+}
+
+/** Collapse sorted quarter keys into display ranges, e.g. ['2021Q2', '2021Q3', '2022Q1'] -> ['2021Q2–2021Q3', '2022Q1']. */
+function formatQuarterRanges(keys) {
+  const ranges = [];
+  for (const k of keys) {
+    const last = ranges[ranges.length - 1];
+    if (last && nextQuarterKey(last.to) === k) last.to = k;
+    else ranges.push({ from: k, to: k });
+  }
+  return ranges.map((r) => (r.from === r.to ? r.from : `${r.from}–${r.to}`));
+}
+
+// Accepted header names for an uploaded quarterly index (e.g. a published WPI or CPI series).
+const PRICE_INDEX_COLUMNS = {
+  quarter: ['quarter', 'quarterkey', 'period', 'date', 'time', 'timeperiod'],
+  index: ['index', 'indexvalue', 'value', 'obsvalue', 'wpi', 'cpi'],
+};
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parse a quarter cell to a YYYYQn key. Accepts 2021Q3, 2021-Q3, 2021 Q3, Q3 2021, an ISO date
+ * (the quarter containing it) or a month label such as Sep-2021 (the quarter containing that month).
+ * Returns null for blanks and undefined when unparseable.
+ */
+function parseQuarterCell(value) {
+  const v = (value || '').trim();
+  if (v === '') return null;
+  let m = v.match(/^(\d{4})\s*[-\s]?\s*Q([1-4])$/i);
+  if (m) return `${m[1]}Q${m[2]}`;
+  m = v.match(/^Q([1-4])\s*[-\s]?\s*(\d{4})$/i);
+  if (m) return `${m[2]}Q${m[1]}`;
+  m = v.match(/^([A-Za-z]{3})[A-Za-z]*[-\s](\d{2}|\d{4})$/);
+  if (m && MONTH_ABBREVIATIONS.includes(m[1].toLowerCase())) {
+    const year = m[2].length === 2 ? 2000 + Number(m[2]) : Number(m[2]);
+    return `${year}Q${Math.floor(MONTH_ABBREVIATIONS.indexOf(m[1].toLowerCase()) / 3) + 1}`;
+  }
+  const d = parseCsvDate(v);
+  return d ? quarterKeyFromUTC(d) : undefined;
+}
+
+/**
+ * Build a quarterly price index from a parsed CSV (see parseCsv) with a quarter column and an index column.
+ * Returns { series, map, errors } with the same series/map shape as generatePriceIndexSeries; quarters
+ * missing between the first and last row are reported in errors (and left out of the map) rather than filled.
+ */
+function buildPriceIndexFromCsv(parsed) {
+  const errors = [];
+  const cols = resolveColumns(parsed.header, PRICE_INDEX_COLUMNS);
+  const missingCols = Object.keys(PRICE_INDEX_COLUMNS).filter((k) => cols[k] < 0);
+  if (missingCols.length) {
+    errors.push({ line: 1, message: `Missing column(s): ${missingCols.join(', ')}` });
+    return { series: [], map: {}, errors };
+  }
+
+  const map = {};
+  for (const rec of parsed.records) {
+    const rawQuarter = rec.cells[cols.quarter];
+    const key = parseQuarterCell(rawQuarter);
+    const value = parseCsvAmount(rec.cells[cols.index]);
+    if (key === null) {
+      errors.push({ line: rec.line, message: 'Missing quarter' });
+      continue;
+    }
+    if (key === undefined) {
+      errors.push({ line: rec.line, message: `Unparseable quarter "${rawQuarter}"` });
+      continue;
+    }
+    if (!(value > 0)) {
+      errors.push({ line: rec.line, message: `Index for ${key} must be a positive number` });
+      continue;
+    }
+    if (map[key] != null) {
+      errors.push({ line: rec.line, message: `Duplicate quarter ${key}` });
+      continue;
+    }
+    map[key] = value;
+  }
+
+  const keys = Object.keys(map).sort(); // lexical sort works for YYYYQn
+  const series = keys.map((k) => {
+    const { year, quarter } = parseQuarterKey(k);
+    return { date: new Date(Date.UTC(year, (quarter - 1) * 3, 1)), quarterKey: k, index: map[k] };
+  });
+  if (series.length) {
+    const gaps = findMissingIndexQuarters(map, series[0].date, series[series.length - 1].date);
+    if (gaps.length) {
+      errors.push({ line: null, message: `Missing quarter(s) inside the series: ${formatQuarterRanges(gaps).join(', ')}` });
+    }
+  }
+  return { series, map, errors };
+}
+
 // -------------------- Tick Generation Helpers --------------------
 
 function generateSmartTicks(start, end, maxTicks = 10) {
@@ -290,7 +415,8 @@ function aggregateClaimToQuarters(claim, oneBasedDevQuarters = false, observatio
   const notifyQuarter = getQuarterInfo(claim.notify, claim.accident);
   const settlementQuarter = getQuarterInfo(claim.settlement, claim.accident);
 
-  // Group payments by quarter
+  // Group payments by quarter; recoveries (negative amounts) are kept apart so each quarter has gross and net amounts
+  const { isRecovery } = getClaimSimulator();
   const quarterlyPayments = new Map();
 
   for (const payment of claim.payments) {
@@ -301,14 +427,23 @@ function aggregateClaimToQuarters(claim, oneBasedDevQuarters = false, observatio
       quarterlyPayments.set(key, {
         ...paymentQuarter,
         totalAmount: 0,
+        grossAmount: 0,
+        recoveryAmount: 0,
         paymentCount: 0,
+        recoveryCount: 0,
         payments: []
       });
     }
 
     const quarterData = quarterlyPayments.get(key);
     quarterData.totalAmount += payment.amount;
-    quarterData.paymentCount += 1;
+    if (isRecovery(payment)) {
+      quarterData.recoveryAmount -= payment.amount;
+      quarterData.recoveryCount += 1;
+    } else {
+      quarterData.grossAmount += payment.amount;
+      quarterData.paymentCount += 1;
+    }
     quarterData.payments.push(payment);
   }
 
@@ -351,21 +486,29 @@ function aggregateClaimToQuarters(claim, oneBasedDevQuarters = false, observatio
         const sourceMidPI = midMap ? midMap[existingQuarter.quarterKey] : null;
 
         const nominalAmount = existingQuarter.totalAmount;
-        const factor = (targetPI && sourceMidPI) ? (targetPI / sourceMidPI) : 1.0;
-        const safeAdjustedAmount = isNaN(factor) ? nominalAmount : nominalAmount * factor;
+        // A quarter the index does not cover is flagged and left nominal instead of using a factor of 1.0
+        const indexMissing = !!priceIndexMap && !(targetPI && sourceMidPI);
+        const factor = priceIndexMap ? (indexMissing ? null : targetPI / sourceMidPI) : 1.0;
+        const safeAdjustedAmount = (factor == null || isNaN(factor)) ? nominalAmount : nominalAmount * factor;
 
         // Create adjusted quarter data. Keep payments nominal (for composition display).
+        const scale = (factor == null || isNaN(factor)) ? 1 : factor;
         const adjustedQuarter = {
           ...existingQuarter,
           nominalAmount: nominalAmount,
           totalAmount: safeAdjustedAmount,
-          inflationAdjusted: true,
+          nominalGrossAmount: existingQuarter.grossAmount,
+          nominalRecoveryAmount: existingQuarter.recoveryAmount,
+          grossAmount: existingQuarter.grossAmount * scale,
+          recoveryAmount: existingQuarter.recoveryAmount * scale,
+          inflationAdjusted: !indexMissing,
           priceIndex: {
             targetQuarterKey: observationQuarterKey,
             targetPI,
             sourceQuarterKey: existingQuarter.quarterKey,
             sourceMidPI,
-            factor
+            factor,
+            missing: indexMissing
           },
           payments: existingQuarter.payments.map(payment => ({
             ...payment,
@@ -380,6 +523,8 @@ function aggregateClaimToQuarters(claim, oneBasedDevQuarters = false, observatio
         const quarterWithNominal = {
           ...existingQuarter,
           nominalAmount: existingQuarter.totalAmount,
+          nominalGrossAmount: existingQuarter.grossAmount,
+          nominalRecoveryAmount: existingQuarter.recoveryAmount,
           inflationAdjusted: false
         };
         quarters.push(quarterWithNominal);
@@ -395,13 +540,34 @@ function aggregateClaimToQuarters(claim, oneBasedDevQuarters = false, observatio
         developmentQuarter: devQ,
         totalAmount: 0,
         nominalAmount: 0,
+        grossAmount: 0,
+        recoveryAmount: 0,
+        nominalGrossAmount: 0,
+        nominalRecoveryAmount: 0,
         paymentCount: 0,
+        recoveryCount: 0,
         payments: [],
         inflationAdjusted: !!observationEndDate
       });
     }
   }
 
+  // Claim status and case estimate at each quarter's last day (or the observation end, if earlier); quarters in a
+  // closed period before a reopen stay in the sequence (with no payments), so the reopened development is
+  // aggregated like any other
+  const { claimStatusAt, claimStatusEvents, reopenDates, claimCaseEstimates, caseEstimateAt, caseEstimateRevisions } = getClaimSimulator();
+  const reopens = reopenDates(claim);
+  const revisions = caseEstimateRevisions(claim);
+  quarters.forEach(q => {
+    const qStart = new Date(Date.UTC(q.calendarYear, (q.calendarQuarter - 1) * 3, 1));
+    const qEnd = new Date(Date.UTC(q.calendarYear, q.calendarQuarter * 3, 1));
+    const qLast = addDays(qEnd, -1);
+    q.status = claimStatusAt(claim, qLast);
+    q.reopened = reopens.some(d => d >= qStart && d < qEnd);
+    q.caseEstimate = caseEstimateAt(claim, observationEndDate && observationEndDate < qLast ? observationEndDate : qLast);
+    q.estimateRevisions = revisions.filter(r => r.date >= qStart && r.date < qEnd).length;
+  });
+
   // Adjust development quarters if one-based is selected
   if (oneBasedDevQuarters) {
     quarters.forEach(q => {
@@ -416,6 +582,9 @@ function aggregateClaimToQuarters(claim, oneBasedDevQuarters = false, observatio
       accidentDate: claim.accident,
       notifyDate: claim.notify,
       settlementDate: claim.settlement,
+      statusEvents: claimStatusEvents(claim),
+      reopenCount: reopens.length,
+      caseEstimates: claimCaseEstimates(claim),
       accidentQuarter: accidentQuarter.quarterKey,
       notifyQuarter: notifyQuarter.quarterKey,
       notifyLag: notifyQuarter.developmentQuarter - accidentQuarter.developmentQuarter
@@ -424,103 +593,740 @@ function aggregateClaimToQuarters(claim, oneBasedDevQuarters = false, observatio
   };
 }
 
-// -------------------- Claim Generation --------------------
+// -------------------- Training Row Helpers --------------------
 
-function generateClaims({
-  n = 20,
-  startDate,
-  endDate,
-  minDurDays = 30,
-  maxDurDays = 300,
-  maxPartials = 3,
-  seed = 1,
-  dedupeMonthly = true,
-  observationEndDate,
-}) {
-  const rand = mulberry32(seed);
-  const claims = [];
-  const totalDays = Math.max(1, daysBetween(startDate, endDate));
-  const latestNotify = Math.max(0, totalDays - minDurDays);
-  // Static covariate options
-  const postcodes = ['2000', '3000', '4000', '5000', '6000', '7000', '1000'];
-  const claimTypes = ['Motor', 'Property', 'Liability', 'Workers Comp'];
-  const regions = ['Metro', 'Regional', 'Remote'];
-
-  for (let i = 0; i < n; i++) {
-    // Generate accident date (7-60 days before notification)
-    const accidentOffset = 7 + Math.floor(rand() * 54);
-    const notify = addDays(startDate, Math.floor(rand() * latestNotify));
-    const accident = addDays(notify, -accidentOffset);
-
-    const dur = minDurDays + Math.floor(rand() * Math.max(1, maxDurDays - minDurDays + 1));
-    const rawSettlement = addDays(notify, dur);
-    const settlement = rawSettlement > endDate ? endDate : rawSettlement;
-
-    // Generate payments (using original logic)
-    let k = Math.floor(rand() * (maxPartials + 1));
-    if (daysBetween(notify, settlement) < 2) k = 0;
-    let payments = [];
-    for (let j = 0; j < k; j++) {
-      const spanDays = Math.max(1, daysBetween(notify, settlement));
-      const t = addDays(notify, Math.floor(rand() * spanDays));
-      const amount = 1 + Math.floor(rand() * 9); // Random nominal amount 1-9
-
-      payments.push({
-        date: t,
-        amount: amount // Store nominal amount initially
+/**
+ * Factor taking a payment made in `quarterKey` to the target (valuation) quarter's index level,
+ * using the mid-quarter index for the source quarter where available. Returns 1.0 when no index is
+ * in use and null when the index is missing either quarter (see findMissingIndexQuarters).
+ */
+function inflationFactorToTarget(quarterKey, targetPI, priceIndexMap, midQuarterIndexMap) {
+  if (!priceIndexMap) return 1.0;
+  const srcMid = midQuarterIndexMap ? midQuarterIndexMap[quarterKey] : priceIndexMap[quarterKey];
+  return (targetPI && srcMid) ? (targetPI / srcMid) : null;
+}
+
+/** Summary statistics of arr[0..endIdx] (sample SD). */
+function seriesStatsUpTo(arr, endIdx) {
+  const n = Math.max(0, endIdx + 1);
+  if (n === 0) return { n: 0, sum: 0, mean: 0, max: 0, sd: 0, last: 0 };
+  let sum = 0, max = -Infinity;
+  for (let i = 0; i <= endIdx; i++) {
+    const v = arr[i] ?? 0;
+    sum += v;
+    if (v > max) max = v;
+  }
+  const mean = sum / n;
+  let varSum = 0;
+  for (let i = 0; i <= endIdx; i++) {
+    const v = arr[i] ?? 0;
+    varSum += (v - mean) * (v - mean);
+  }
+  const sd = n > 1 ? Math.sqrt(varSum / (n - 1)) : 0;
+  const last = arr[endIdx] ?? 0;
+  return { n, sum, mean, max: isFinite(max) ? max : 0, sd, last };
+}
+
+/**
+ * Per-quarter series for one aggregated claim ({ claimInfo, quarters } from aggregateClaimToQuarters),
+ * all inflation-adjusted to the quarter of `endDate`. Index i of every array is the i-th quarter since
+ * the accident quarter, whatever numbering (0- or 1-based) the quarters carry.
+ *
+ * Increments, cumulative paid and the ultimate are net of recoveries. The true outstanding is
+ * net ultimate - net paid to date and is not floored at zero: while a recovery is still to come it is
+ * negative (the insurer is owed money), and clipping it would hide that from the target.
+ *
+ * Incurred is the claim's case estimate at each quarter end (its dated caseEstimates history, see
+ * utils/claimSimulator.js), adjusted like the payments.
+ */
+function buildClaimQuarterSeries(claimData, { endDate, priceIndexMap, midQuarterIndexMap }) {
+  const { claimInfo, quarters } = claimData;
+  const targetKey = getQuarterInfo(endDate, claimInfo.accidentDate).quarterKey;
+  const targetPI = priceIndexMap ? priceIndexMap[targetKey] : null;
+  // Paid quarters the index does not cover stay nominal and are flagged rather than silently adjusted by 1.0
+  const indexMissing = [];
+  const factors = quarters.map((q) => inflationFactorToTarget(q.quarterKey, targetPI, priceIndexMap, midQuarterIndexMap));
+  const adjustedIncrements = quarters.map((q, i) => {
+    const nominal = q.nominalAmount ?? q.totalAmount ?? 0;
+    const factor = factors[i];
+    indexMissing.push(factor == null && nominal !== 0);
+    const v = factor == null ? nominal : nominal * factor;
+    return isFinite(v) ? v : 0;
+  });
+  const cumulativeAdj = [];
+  const cumulativeRecoveredAdj = [];
+  let running = 0;
+  let recovered = 0;
+  quarters.forEach((q, i) => {
+    running += adjustedIncrements[i];
+    const nominalRecovery = q.nominalRecoveryAmount ?? 0;
+    recovered += factors[i] == null ? nominalRecovery : nominalRecovery * factors[i];
+    cumulativeAdj.push(running);
+    cumulativeRecoveredAdj.push(recovered);
+  });
+  const ultimateAdj = running;
+  const trueOutstanding = cumulativeAdj.map((c) => ultimateAdj - c);
+  const incurred = quarters.map((q, i) => {
+    const nominal = q.caseEstimate ?? 0;
+    return factors[i] == null ? nominal : nominal * factors[i];
+  });
+  return { targetQuarterKey: targetKey, adjustedIncrements, cumulativeAdj, cumulativeRecoveredAdj, ultimateAdj, trueOutstanding, incurred, indexMissing };
+}
+
+/**
+ * Training rows for one aggregated claim: one row per development quarter from notification to
+ * min(settlement, observation end), with the as-of features shown in "Feature Summarisation" and the
+ * outstanding-liability target shown in "Development Period & Training Row Generation".
+ */
+function buildClaimTrainingRows(claimData, { endDate, priceIndexMap, midQuarterIndexMap, oneBasedDevQuarters = false }) {
+  const { claimInfo, quarters } = claimData;
+  if (!quarters || !quarters.length) return [];
+  const series = buildClaimQuarterSeries(claimData, { endDate, priceIndexMap, midQuarterIndexMap });
+
+  const notifyIdx = getQuarterInfo(claimInfo.notifyDate, claimInfo.accidentDate).developmentQuarter;
+  const settlementIdx = getQuarterInfo(claimInfo.settlementDate, claimInfo.accidentDate).developmentQuarter;
+  const observationIdx = getQuarterInfo(endDate, claimInfo.accidentDate).developmentQuarter;
+  const lastIdx = Math.min(settlementIdx, observationIdx, quarters.length - 1);
+
+  // Near-static covariates (illustrative): postcode known from notification, legal rep two quarters later
+  const postcodeKnownFrom = Math.max(0, notifyIdx);
+  const legalRepKnownFrom = Math.min(quarters.length - 1, postcodeKnownFrom + 2);
+
+  // The target depends on every paid quarter, so one unindexed payment affects all of the claim's rows
+  const priceIndexMissing = series.indexMissing.some(Boolean);
+
+  const rows = [];
+  for (let idx = Math.max(0, notifyIdx); idx <= lastIdx; idx++) {
+    const inc = seriesStatsUpTo(series.adjustedIncrements, idx);
+    const outstanding = series.trueOutstanding[idx];
+    rows.push({
+      claim_id: claimInfo.claimId,
+      dev_quarter: oneBasedDevQuarters ? idx + 1 : idx,
+      calendar_quarter: quarters[idx].quarterKey,
+      postcode_latest: idx >= postcodeKnownFrom ? (claimInfo.postcode ?? null) : null,
+      legal_rep_latest: idx >= legalRepKnownFrom ? 'Yes' : null,
+      claim_status: quarters[idx].status ?? null,
+      inc_paid_mean: inc.mean,
+      inc_paid_max: inc.max,
+      inc_paid_sd: inc.sd,
+      cum_paid_last: series.cumulativeAdj[idx],
+      cum_recovered_last: series.cumulativeRecoveredAdj[idx],
+      incurred_last: series.incurred[idx],
+      outstanding_liability: outstanding,
+      zero_target: Math.round(outstanding * 100) === 0,
+      price_index_missing: priceIndexMissing,
+    });
+  }
+  return rows;
+}
+
+// Dataset ids for the default [trainCut, valCut, testCut] cutoffs; the last id is for dates after every cutoff
+const DEFAULT_SPLIT_IDS = ['train', 'val', 'test', 'post'];
+
+/**
+ * Dataset a date falls into given sorted cutoffs (same rule as the splitting diagram: cutoffs are exclusive).
+ * `ids` has one entry per cutoff plus a final one for dates on or after the last cutoff.
+ */
+function datasetForCutoffs(date, cutoffs, ids = DEFAULT_SPLIT_IDS) {
+  if (ids.length !== cutoffs.length + 1) {
+    throw new Error(`Expected ${cutoffs.length + 1} dataset ids for ${cutoffs.length} cutoffs, got ${ids.length}`);
+  }
+  const i = cutoffs.findIndex(cut => date < cut);
+  return ids[i === -1 ? cutoffs.length : i];
+}
+
+// Column order for the portfolio training-row export
+const TRAINING_ROW_COLUMNS = [
+  'claim_id', 'split', 'dev_quarter', 'calendar_quarter', 'claim_type', 'region',
+  'postcode_latest', 'legal_rep_latest', 'claim_status', 'inc_paid_mean', 'inc_paid_max', 'inc_paid_sd',
+  'cum_paid_last', 'cum_recovered_last', 'incurred_last', 'outstanding_liability', 'zero_target', 'price_index_missing',
+];
+
+/**
+ * Run the per-claim training-row logic over a whole portfolio. Each claim is labelled with the
+ * dataset of its notification or settlement date (`splitMode`) against `cutoffs`, using `splitIds`
+ * (see datasetForCutoffs).
+ */
+function buildPortfolioTrainingRows(claims, { endDate, priceIndexMap, midQuarterIndexMap, oneBasedDevQuarters = false, cutoffs, splitIds = DEFAULT_SPLIT_IDS, splitMode = 'notify' }) {
+  const out = [];
+  for (const claim of claims) {
+    const claimData = aggregateClaimToQuarters(claim, oneBasedDevQuarters, endDate, priceIndexMap);
+    const split = datasetForCutoffs(splitMode === 'settlement' ? claim.settlement : claim.notify, cutoffs, splitIds);
+    const rows = buildClaimTrainingRows(claimData, { endDate, priceIndexMap, midQuarterIndexMap, oneBasedDevQuarters });
+    for (const r of rows) {
+      out.push({
+        ...r,
+        split,
+        claim_type: claim.staticCovariates.claimType ?? null,
+        region: claim.staticCovariates.region ?? null,
       });
     }
+  }
+  return out;
+}
 
-    // Filter, sort, and dedupe payments
-    payments = payments
-      .filter((p) => p.date > notify && p.date <= settlement)
-      .sort((a, b) => a.date.getTime() - b.date.getTime());
+// -------------------- CSV Helpers --------------------
 
-    if (dedupeMonthly) {
-      const seen = new Set();
-      const deduped = [];
-      for (const p of payments) {
-        const key = monthKeyUTC(p.date);
-        if (!seen.has(key)) {
-          seen.add(key);
-          deduped.push(p);
+/**
+ * Minimal RFC 4180 parser (quoted fields, "" escapes, CRLF).
+ * Returns { header: string[], records: [{ line, cells }] }; `line` is the 1-based line in the file.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
         } else {
-          // If same month, add amounts together
-          const existing = deduped.find(d => monthKeyUTC(d.date) === key);
-          if (existing) {
-            existing.amount += p.amount;
-          }
+          inQuotes = false;
         }
+      } else {
+        field += ch;
       }
-      payments = deduped;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  const numbered = rows.map((r, i) => ({ line: i + 1, cells: r })).filter((r) => r.cells.some((c) => c.trim() !== ''));
+  if (!numbered.length) return { header: [], records: [] };
+  const header = numbered[0].cells.map((h) => h.trim());
+  return { header, records: numbered.slice(1) };
+}
+
+/** Parse an ISO date cell (YYYY-MM-DD...). Returns null for blanks and undefined when unparseable. */
+function parseCsvDate(value) {
+  const v = (value || '').trim();
+  if (v === '') return null;
+  if (!/^\d{4}-\d{1,2}-\d{1,2}/.test(v)) return undefined;
+  const d = new Date(v);
+  return isNaN(d.getTime()) ? undefined : d;
+}
+
+/**
+ * Parse a money cell, tolerating "$", thousands separators and accounting negatives "(1,234.00)".
+ * Returns null for blanks and undefined when unparseable.
+ */
+function parseCsvAmount(value) {
+  let v = (value || '').trim().replace(/[$,\s]/g, '');
+  if (v === '') return null;
+  const negative = /^\(.*\)$/.test(v);
+  if (negative) v = v.slice(1, -1);
+  const n = Number(v);
+  if (!isFinite(n) || (negative && n < 0)) return undefined;
+  return negative ? -n : n;
+}
+
+// -------------------- URL State --------------------
+
+/** Query-string parameters of the current page (empty outside a browser, e.g. under Node). */
+function readUrlParams() {
+  if (typeof window === 'undefined' || !window.location) return new URLSearchParams();
+  return new URLSearchParams(window.location.search);
+}
+
+/** Replace the page's query string with `params` (null/empty values dropped) without adding a history entry. */
+function writeUrlParams(params) {
+  if (typeof window === 'undefined' || !window.history || !window.history.replaceState) return;
+  const qs = new URLSearchParams();
+  for (const [k, v] of Object.entries(params)) {
+    if (v != null && v !== '') qs.set(k, String(v));
+  }
+  const search = qs.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+  window.history.replaceState(null, '', url);
+}
+
+/** Integer URL parameter, or `fallback` when absent or not a number. */
+function urlInt(params, key, fallback) {
+  const v = params.get(key);
+  const n = v == null ? NaN : parseInt(v, 10);
+  return isFinite(n) ? n : fallback;
+}
+
+// -------------------- Scenario Files --------------------
+
+// A scenario file is { format, version, page, savedAt, ...sections } where the sections (controls, data,
+// selectedClaimId, ...) are page-specific. Bump SCENARIO_VERSION whenever the meaning of a saved field changes
+// and add the upgrade to SCENARIO_MIGRATIONS; merely adding a control only needs a default in the page's scenario defaults.
+const SCENARIO_FORMAT = 'individual-reserving-scenario';
+const SCENARIO_VERSION = 2;
+// SCENARIO_MIGRATIONS[v] upgrades a version-v scenario to version v + 1.
+const SCENARIO_MIGRATIONS = {
+  // v1 -> v2: the uniform duration / partial-count knobs become claim simulator parameters
+  1: (s) => {
+    const { minDurDays, maxDurDays, maxPartials, ...controls } = s.controls || {};
+    const simulator = getClaimSimulator().simulatorParamsFromDurations({ minDurDays, maxDurDays, maxPartials });
+    return { ...s, controls: { ...controls, simulator } };
+  },
+};
+
+/** Wrap a page's state in the versioned scenario envelope. */
+function buildScenario(page, sections) {
+  return { format: SCENARIO_FORMAT, version: SCENARIO_VERSION, page, savedAt: new Date().toISOString(), ...sections };
+}
+
+/**
+ * Parse, migrate and default-fill a scenario file against a page's `defaults`.
+ * Returns { scenario, error } (scenario is null on error).
+ */
+function readScenario(text, page, defaults) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    return { scenario: null, error: `Invalid JSON: ${e.message}` };
+  }
+  if (!raw || raw.format !== SCENARIO_FORMAT) return { scenario: null, error: 'Not a scenario file' };
+  if (raw.page !== page) return { scenario: null, error: `This scenario was saved from the ${raw.page} page` };
+  // Files from before versioning carry no version and read as version 1
+  let version = raw.version == null ? 1 : Number(raw.version);
+  if (!Number.isInteger(version) || version < 1) return { scenario: null, error: `Invalid scenario version: ${raw.version}` };
+  if (version > SCENARIO_VERSION) {
+    return { scenario: null, error: `Scenario version ${version} is newer than this page supports (${SCENARIO_VERSION})` };
+  }
+  let scenario = raw;
+  while (version < SCENARIO_VERSION) {
+    const migrate = SCENARIO_MIGRATIONS[version];
+    if (typeof migrate !== 'function') return { scenario: null, error: `No upgrade from scenario version ${version}` };
+    try {
+      scenario = migrate(scenario);
+    } catch (e) {
+      return { scenario: null, error: `Could not upgrade scenario version ${version}: ${e.message}` };
     }
+    version += 1;
+  }
+  // Fill anything the file predates from the page defaults (one level deep for grouped sections)
+  const filled = { ...scenario, version };
+  for (const [key, def] of Object.entries(defaults)) {
+    const isGroup = def && typeof def === 'object' && !Array.isArray(def);
+    filled[key] = isGroup ? { ...def, ...(scenario[key] || {}) } : (scenario[key] ?? def);
+  }
+  return { scenario: filled, error: null };
+}
+
+// -------------------- Export Helpers --------------------
 
-    // Legacy partials for backward compatibility
-    const partials = payments.map(p => p.date);
+function csvEscape(value) {
+  if (value == null) return '';
+  const s = value instanceof Date ? toISODate(value) : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Serialise an array of flat objects to CSV using `columns` (defaults to the first row's keys). */
+function toCsv(rows, columns) {
+  const cols = columns || (rows.length ? Object.keys(rows[0]) : []);
+  const lines = [cols.map(csvEscape).join(',')];
+  for (const r of rows) lines.push(cols.map((c) => csvEscape(r[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+/** Trigger a browser download of `content` as `filename`. */
+function downloadBlob(content, filename, mimeType = 'text/plain;charset=utf-8') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// -------------------- Figure Export Helpers --------------------
+
+const CSS_PX_PER_INCH = 96;
+
+/** Drawing size of an SVG element in CSS pixels: its viewBox, else its on-screen size, else its width/height attributes. */
+function svgPixelSize(svgEl) {
+  const vb = svgEl.viewBox && svgEl.viewBox.baseVal;
+  if (vb && vb.width > 0 && vb.height > 0) return { width: vb.width, height: vb.height };
+  const rect = svgEl.getBoundingClientRect ? svgEl.getBoundingClientRect() : null;
+  if (rect && rect.width > 0 && rect.height > 0) return { width: rect.width, height: rect.height };
+  return { width: Number(svgEl.getAttribute('width')) || 800, height: Number(svgEl.getAttribute('height')) || 400 };
+}
+
+/**
+ * Standalone SVG markup for an on-screen SVG: explicit pixel width/height (so "100%" widths rasterise
+ * at the drawing size) and a viewBox matching the coordinates the figure was drawn in.
+ */
+function serializeSvgForExport(svgEl) {
+  const { width, height } = svgPixelSize(svgEl);
+  const clone = svgEl.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  if (!clone.getAttribute('viewBox')) clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  clone.setAttribute('width', String(width));
+  clone.setAttribute('height', String(height));
+  return new XMLSerializer().serializeToString(clone);
+}
 
-    // Static covariates
-    const staticCovariates = {
-      postcode: postcodes[Math.floor(rand() * postcodes.length)],
-      claimType: claimTypes[Math.floor(rand() * claimTypes.length)],
-      region: regions[Math.floor(rand() * regions.length)],
-      claimId: `CLM-${String(i + 1).padStart(4, '0')}`
+function downloadSvgElement(svgEl, filename) {
+  downloadBlob(serializeSvgForExport(svgEl), filename, 'image/svg+xml;charset=utf-8');
+}
+
+// CRC-32 (PNG chunk checksums)
+let crc32Table = null;
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** Insert a pHYs chunk after IHDR so Word/PowerPoint place the PNG at its intended physical size. */
+function setPngDpi(pngBytes, dpi) {
+  const ppm = Math.round(dpi / 0.0254); // pixels per metre
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, ppm);
+  view.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  const ihdrEnd = 8 + 25; // signature + IHDR chunk
+  const out = new Uint8Array(pngBytes.length + chunk.length);
+  out.set(pngBytes.subarray(0, ihdrEnd), 0);
+  out.set(chunk, ihdrEnd);
+  out.set(pngBytes.subarray(ihdrEnd), ihdrEnd + chunk.length);
+  return out;
+}
+
+/** Rasterise an SVG element to a PNG at `dpi` (96 = on-screen size) with a white background. */
+function downloadSvgAsPng(svgEl, filename, dpi = 300) {
+  const { width, height } = svgPixelSize(svgEl);
+  const scale = dpi / CSS_PX_PER_INCH;
+  const url = URL.createObjectURL(new Blob([serializeSvgForExport(svgEl)], { type: 'image/svg+xml;charset=utf-8' }));
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error('PNG encoding failed'));
+          return;
+        }
+        blob.arrayBuffer().then((buf) => {
+          downloadBlob(new Blob([setPngDpi(new Uint8Array(buf), dpi)], { type: 'image/png' }), filename);
+          resolve();
+        }).catch(reject);
+      }, 'image/png');
     };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render the SVG as an image'));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Vector PDF of an SVG element, one page sized to the figure. Uses jsPDF + svg2pdf.js, loaded from a CDN by the page.
+ */
+function downloadSvgAsPdf(svgEl, filename) {
+  const jsPDF = window.jspdf && window.jspdf.jsPDF;
+  if (!jsPDF || !(jsPDF.API.svg || window.svg2pdf)) {
+    return Promise.reject(new Error('PDF export libraries (jsPDF, svg2pdf.js) are not loaded'));
+  }
+  const { width, height } = svgPixelSize(svgEl);
+  const pt = 72 / CSS_PX_PER_INCH;
+  const doc = new jsPDF({ orientation: width >= height ? 'landscape' : 'portrait', unit: 'pt', format: [width * pt, height * pt] });
+  const opts = { x: 0, y: 0, width: width * pt, height: height * pt };
+  const render = doc.svg ? doc.svg(svgEl, opts) : window.svg2pdf.svg2pdf(svgEl, doc, opts);
+  return render.then(() => doc.save(filename));
+}
+
+// -------------------- Ledger Ingestion --------------------
+
+// Accepted header names (case-insensitive, spaces/underscores ignored) for each ledger/header column.
+const LEDGER_COLUMNS = {
+  claimId: ['claimid', 'claimno', 'claimnumber', 'claim'],
+  transactionDate: ['transactiondate', 'txndate', 'date', 'paymentdate'],
+  amount: ['amount', 'transactionamount', 'paid'],
+  transactionType: ['transactiontype', 'txntype', 'type'],
+};
+const CLAIM_HEADER_COLUMNS = {
+  claimId: LEDGER_COLUMNS.claimId,
+  accident: ['accidentdate', 'accident', 'lossdate', 'dateofloss'],
+  notify: ['notifydate', 'notificationdate', 'notify', 'reportdate', 'reporteddate'],
+  settlement: ['settlementdate', 'settlement', 'settledate', 'closeddate', 'closedate'],
+};
+// Header covariate columns stored under the names the rest of the pipeline reads (claim_type -> claimType, ...);
+// any other header column is kept under its own name.
+const CLAIM_COVARIATE_COLUMNS = {
+  claimType: ['claimtype', 'type', 'lineofbusiness'],
+  region: ['region', 'state'],
+  postcode: ['postcode', 'postalcode', 'zip', 'zipcode'],
+  policyYear: ['policyyear', 'underwritingyear'],
+};
+// Transaction types treated as claim payments; anything else is reported and skipped. A payment row with a
+// negative amount is a recovery too.
+const PAYMENT_TRANSACTION_TYPES = ['payment', 'paid', 'partial', 'partialpayment', 'final', 'finalpayment', ''];
+// Transaction types recording money received back (salvage, subrogation, refunds): stored as a negative payment
+// whatever the sign of the amount column.
+const RECOVERY_TRANSACTION_TYPES = { recovery: 'recovery', salvage: 'salvage', subrogation: 'subrogation', refund: 'refund' };
+// Transaction types recording a case estimate (incurred): the amount is the new estimate of the cost still to come.
+const CASE_ESTIMATE_TRANSACTION_TYPES = ['caseestimate', 'estimate', 'casereserve', 'reserve', 'incurred'];
+// Transaction types recording a status change (amount ignored): an interim closure or a reopen. The final
+// closure is the header's settlement date.
+const STATUS_TRANSACTION_TYPES = { close: 'closed', closed: 'closed', closure: 'closed', reopen: 'reopened', reopened: 'reopened' };
+
+function normaliseColumnName(name) {
+  return String(name || '').toLowerCase().replace(/[\s_\-.]/g, '');
+}
+
+function resolveColumns(header, spec) {
+  const norm = header.map(normaliseColumnName);
+  const out = {};
+  for (const [key, aliases] of Object.entries(spec)) {
+    out[key] = norm.findIndex((h) => aliases.includes(h));
+  }
+  return out;
+}
+
+/**
+ * Build claim objects from a payment ledger plus a claim header table.
+ *
+ * ledger: parsed CSV with claim_id, transaction_date, amount, transaction_type
+ * claimHeader: parsed CSV with claim_id, accident_date, notify_date, settlement_date;
+ *   every other header column becomes a static covariate (e.g. postcode, claimType, region), with the known ones
+ *   (CLAIM_COVARIATE_COLUMNS) renamed to the pipeline's names. policyYear defaults to the accident year and
+ *   totalAmount is the net total of the claim's imported payments, as for every other claim source.
+ *
+ * Returns { claims, errors } where claims have the
+ * { accident, notify, settlement, partials, recoveries, payments, statusEvents?, caseEstimates?, staticCovariates } shape used by
+ * aggregateClaimToQuarters, and errors lists every unusable row as { source, line, claimId, message }.
+ */
+function buildClaimsFromLedger(ledger, claimHeader, { dedupeMonthly = false } = {}) {
+  const errors = [];
+  const ledgerCols = resolveColumns(ledger.header, LEDGER_COLUMNS);
+  const headerCols = resolveColumns(claimHeader.header, CLAIM_HEADER_COLUMNS);
+
+  const missingLedger = Object.keys(LEDGER_COLUMNS).filter((k) => k !== 'transactionType' && ledgerCols[k] < 0);
+  const missingHeader = Object.keys(CLAIM_HEADER_COLUMNS).filter((k) => k !== 'accident' && headerCols[k] < 0);
+  if (missingLedger.length) {
+    errors.push({ source: 'ledger', line: 1, claimId: null, message: `Missing column(s): ${missingLedger.join(', ')}` });
+  }
+  if (missingHeader.length) {
+    errors.push({ source: 'header', line: 1, claimId: null, message: `Missing column(s): ${missingHeader.join(', ')}` });
+  }
+  if (errors.length) return { claims: [], errors };
+
+  const get = (rec, idx) => (idx >= 0 ? (rec.cells[idx] || '').trim() : '');
+  const knownHeaderIdx = new Set(Object.values(headerCols));
+  const covariateName = (name) => {
+    const norm = normaliseColumnName(name);
+    const known = Object.keys(CLAIM_COVARIATE_COLUMNS).find((key) => CLAIM_COVARIATE_COLUMNS[key].includes(norm));
+    return known || name;
+  };
+  const covariateCols = claimHeader.header
+    .map((name, idx) => ({ name: covariateName(name), idx }))
+    .filter((c) => !knownHeaderIdx.has(c.idx) && c.name !== '');
+
+  // Group ledger payments (and close / reopen events and case estimates) by claim
+  const paymentsByClaim = new Map();
+  const statusByClaim = new Map();
+  const estimatesByClaim = new Map();
+  for (const rec of ledger.records) {
+    const claimId = get(rec, ledgerCols.claimId);
+    const type = normaliseColumnName(get(rec, ledgerCols.transactionType));
+    if (!claimId) {
+      errors.push({ source: 'ledger', line: rec.line, claimId: null, message: 'Missing claim ID' });
+      continue;
+    }
+    const status = STATUS_TRANSACTION_TYPES[type];
+    const recoveryType = RECOVERY_TRANSACTION_TYPES[type];
+    const isEstimate = CASE_ESTIMATE_TRANSACTION_TYPES.includes(type);
+    if (!status && !recoveryType && !isEstimate && !PAYMENT_TRANSACTION_TYPES.includes(type)) {
+      errors.push({ source: 'ledger', line: rec.line, claimId, message: `Unsupported transaction type "${get(rec, ledgerCols.transactionType)}" (skipped)` });
+      continue;
+    }
+    const date = parseCsvDate(get(rec, ledgerCols.transactionDate));
+    if (!date) {
+      errors.push({ source: 'ledger', line: rec.line, claimId, message: `Unparseable transaction date "${get(rec, ledgerCols.transactionDate)}"` });
+      continue;
+    }
+    if (status) {
+      if (!statusByClaim.has(claimId)) statusByClaim.set(claimId, []);
+      statusByClaim.get(claimId).push({ date, status, line: rec.line });
+      continue;
+    }
+    const amount = parseCsvAmount(get(rec, ledgerCols.amount));
+    if (amount == null) {
+      errors.push({ source: 'ledger', line: rec.line, claimId, message: `Unparseable amount "${get(rec, ledgerCols.amount)}"` });
+      continue;
+    }
+    if (isEstimate) {
+      if (!estimatesByClaim.has(claimId)) estimatesByClaim.set(claimId, []);
+      estimatesByClaim.get(claimId).push({ date, amount, line: rec.line });
+      continue;
+    }
+    if (!paymentsByClaim.has(claimId)) paymentsByClaim.set(claimId, []);
+    paymentsByClaim.get(claimId).push(recoveryType
+      ? { date, amount: -Math.abs(amount), type: recoveryType, line: rec.line }
+      : { date, amount, line: rec.line });
+  }
+
+  const claims = [];
+  const seenHeaders = new Set();
+  for (const rec of claimHeader.records) {
+    const claimId = get(rec, headerCols.claimId);
+    if (!claimId) {
+      errors.push({ source: 'header', line: rec.line, claimId: null, message: 'Missing claim ID' });
+      continue;
+    }
+    if (seenHeaders.has(claimId)) {
+      errors.push({ source: 'header', line: rec.line, claimId, message: 'Duplicate claim header row (skipped)' });
+      continue;
+    }
+    seenHeaders.add(claimId);
+
+    const notify = parseCsvDate(get(rec, headerCols.notify));
+    const settlement = parseCsvDate(get(rec, headerCols.settlement));
+    const accidentRaw = parseCsvDate(get(rec, headerCols.accident));
+    if (!notify || !settlement || accidentRaw === undefined) {
+      const which = !notify ? 'notification' : !settlement ? 'settlement' : 'accident';
+      errors.push({ source: 'header', line: rec.line, claimId, message: `Missing or unparseable ${which} date` });
+      continue;
+    }
+    const accident = accidentRaw || notify;
+    if (accident > notify || notify > settlement) {
+      errors.push({ source: 'header', line: rec.line, claimId, message: 'Dates out of order (expected accident ≤ notify ≤ settlement)' });
+      continue;
+    }
+
+    let payments = [];
+    for (const p of paymentsByClaim.get(claimId) || []) {
+      if (p.date < notify || p.date > settlement) {
+        errors.push({ source: 'ledger', line: p.line, claimId, message: `Transaction on ${toISODate(p.date)} is outside notify–settlement window (skipped)` });
+        continue;
+      }
+      payments.push(p.type ? { date: p.date, amount: p.amount, type: p.type } : { date: p.date, amount: p.amount });
+    }
+    payments.sort((a, b) => a.date.getTime() - b.date.getTime());
+
+    // Recoveries are merged only with recoveries, so a month's gross and net amounts both survive
+    const { isRecovery } = getClaimSimulator();
+    if (dedupeMonthly) {
+      const byMonth = new Map();
+      for (const p of payments) {
+        const key = `${monthKeyUTC(p.date)}${isRecovery(p) ? '-' : '+'}`;
+        if (byMonth.has(key)) byMonth.get(key).amount += p.amount;
+        else byMonth.set(key, { ...p });
+      }
+      payments = Array.from(byMonth.values());
+    }
+
+    const staticCovariates = { claimId };
+    for (const c of covariateCols) {
+      if (!(c.name in staticCovariates) || staticCovariates[c.name] === '') staticCovariates[c.name] = get(rec, c.idx);
+    }
+    const policyYear = parseInt(staticCovariates.policyYear, 10);
+    staticCovariates.policyYear = isFinite(policyYear) ? policyYear : accident.getUTCFullYear();
+    staticCovariates.totalAmount = payments.reduce((sum, p) => sum + p.amount, 0);
+
+    // Interim closures / reopens; an inconsistent history is reported and the claim kept with a single closure
+    const interim = statusByClaim.get(claimId) || [];
+    let statusEvents;
+    if (interim.length) {
+      const built = getClaimSimulator().buildStatusEvents(notify, settlement, interim);
+      if (built.error) {
+        errors.push({ source: 'ledger', line: interim[0].line, claimId, message: `${built.error} (status events ignored)` });
+      } else {
+        statusEvents = built.events;
+      }
+    }
+
+    // Case estimates as dated in the ledger, dropping to zero at every closure
+    let caseEstimates;
+    const estimates = [];
+    for (const e of estimatesByClaim.get(claimId) || []) {
+      if (e.date < notify || e.date > settlement) {
+        errors.push({ source: 'ledger', line: e.line, claimId, message: `Case estimate on ${toISODate(e.date)} is outside notify–settlement window (skipped)` });
+        continue;
+      }
+      estimates.push({ date: e.date, amount: e.amount });
+    }
+    if (estimates.length) caseEstimates = getClaimSimulator().buildCaseEstimates({ notify, settlement, statusEvents }, estimates);
 
     claims.push({
       accident,
       notify,
       settlement,
-      partials, // for backward compatibility
-      payments, // new enhanced payment data
+      partials: payments.filter(p => !isRecovery(p)).map(p => p.date),
+      recoveries: payments.filter(isRecovery).map(p => p.date),
+      payments,
+      ...(statusEvents ? { statusEvents } : {}),
+      ...(caseEstimates ? { caseEstimates } : {}),
       staticCovariates
     });
   }
+
+  for (const [claimId, list] of [...paymentsByClaim, ...statusByClaim, ...estimatesByClaim]) {
+    if (!seenHeaders.has(claimId)) {
+      for (const p of list) {
+        errors.push({ source: 'ledger', line: p.line, claimId, message: 'No claim header row for this claim (skipped)' });
+      }
+    }
+  }
+
   claims.sort((a, b) => a.notify.getTime() - b.notify.getTime());
-  return claims;
+  errors.sort((a, b) => (a.source === b.source ? a.line - b.line : a.source < b.source ? -1 : 1));
+  return { claims, errors };
 }
 
-// Make utilities globally available
-window.utils = {
+// -------------------- Claim Generation --------------------
+
+// The stochastic simulator lives in utils/claimSimulator.js (also loaded by the self-contained splitting page);
+// the pages load it before this file, Node requires it on first use.
+function getClaimSimulator() {
+  if (typeof window !== 'undefined' && window.claimSimulator) return window.claimSimulator;
+  return require('./claimSimulator.js');
+}
+
+/** Simulated claims; see simulateClaims in utils/claimSimulator.js for the options (`params` holds the distributions). */
+function generateClaims(options) {
+  return getClaimSimulator().simulateClaims({ idPrefix: 'CLM-', ...options });
+}
+
+// -------------------- Exports --------------------
+
+const utils = {
   // Date helpers
   toISODate,
   clampDate,
@@ -537,6 +1343,7 @@ window.utils = {
 
   // Formatting
   formatCurrency,
+  signedLog1p,
 
   // Random
   hashStringToSeed,
@@ -554,6 +1361,10 @@ window.utils = {
   buildMidQuarterIndexMap,
   adjustUsingPriceIndex,
   calculateAdjustmentFactorByIndex,
+  findMissingIndexQuarters,
+  formatQuarterRanges,
+  parseQuarterCell,
+  buildPriceIndexFromCsv,
 
   // Tick generation
   generateSmartTicks,
@@ -561,6 +1372,51 @@ window.utils = {
   // Aggregation
   aggregateClaimToQuarters,
 
+  // Training rows
+  inflationFactorToTarget,
+  seriesStatsUpTo,
+  buildClaimQuarterSeries,
+  buildClaimTrainingRows,
+  DEFAULT_SPLIT_IDS,
+  datasetForCutoffs,
+  TRAINING_ROW_COLUMNS,
+  buildPortfolioTrainingRows,
+
+  // Export
+  toCsv,
+  downloadBlob,
+
+  // Figure export
+  serializeSvgForExport,
+  downloadSvgElement,
+  downloadSvgAsPng,
+  downloadSvgAsPdf,
+
+  // URL state
+  readUrlParams,
+  writeUrlParams,
+  urlInt,
+
+  // Scenario files
+  SCENARIO_VERSION,
+  buildScenario,
+  readScenario,
+
+  // CSV / ledger ingestion
+  parseCsv,
+  parseCsvDate,
+  parseCsvAmount,
+  buildClaimsFromLedger,
+
   // Claim generation
   generateClaims,
 };
+
+// Make utilities globally available in the browser pages, and requireable from Node
+// (`const utils = require('./utils/utilities.js')` or `import utils from './utils/utilities.js'`)
+if (typeof window !== 'undefined') {
+  window.utils = utils;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = utils;
+}